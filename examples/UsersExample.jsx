@@ -71,9 +71,8 @@ export default function UsersPage() {
     }
   };
 
-  const handleEdit = (user) => {
-    // In a real app, you might open a modal or navigate to edit page
-    alert(`Edit user: ${user.name} (${user.email})`);
+  const handleEdit = (updatedUser, originalUser) => {
+    setUsers(users.map(u => u.id === originalUser.id ? updatedUser : u));
   };
 
   const handleDelete = (id) => {
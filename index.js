@@ -1,2 +1,85 @@
 export { default as GenericCrudPage } from './src/GenericCrudPage.jsx';
-export { default } from './src/GenericCrudPage.jsx'; 
\ No newline at end of file
+export { default } from './src/GenericCrudPage.jsx';
+export { default as useGenericCrud } from './src/useGenericCrud.js';
+export { default as CrudForm } from './src/CrudForm.jsx';
+export { default as CrudToolbar } from './src/CrudToolbar.jsx';
+export { default as CrudSearchBar } from './src/CrudSearchBar.jsx';
+export { default as CrudTable } from './src/CrudTable.jsx';
+export { default as ConfirmDialog } from './src/ConfirmDialog.jsx';
+export { compareValues, getNextSort, sortData } from './src/sorting.js';
+export {
+  DEFAULT_PAGE_SIZE_OPTIONS,
+  getPageCount,
+  clampPage,
+  paginate,
+  getPageRange,
+  getPageNumbers
+} from './src/pagination.js';
+export {
+  getColumnFilter,
+  isFilterActive,
+  matchesFilter,
+  getActiveFilters,
+  applyFilters,
+  describeFilter
+} from './src/filters.js';
+export {
+  parseSearchQuery,
+  matchesQuery,
+  getHighlightTerms,
+  getSearchText,
+  createSearchIndex,
+  SearchQueryError
+} from './src/searchQuery.js';
+export {
+  getEmptyValue,
+  getInitialValues,
+  isEmptyValue,
+  toInputValue,
+  fromInputEvent,
+  checkRange,
+  formatCellValue
+} from './src/fieldValues.js';
+export { validateFieldValue, validateValues, getFieldErrors } from './src/validation.js';
+export { EXPORT_FORMATS, exportRows, escapeDelimitedValue, downloadFile } from './src/exporting.js';
+export {
+  parseDelimited,
+  parseImportFile,
+  guessMapping,
+  toFieldValue,
+  buildImportRows
+} from './src/importing.js';
+export { fromJsonSchema } from './src/jsonSchema.js';
+export { createRestAdapter, createMemoryAdapter } from './src/dataSources.js';
+export { default as useCrudResource } from './src/useCrudResource.js';
+export { default as useVirtualRows } from './src/useVirtualRows.js';
+export {
+  lightTheme,
+  darkTheme,
+  themes,
+  createTheme,
+  resolveTheme,
+  toCssVariables
+} from './src/theme.js';
+export { ThemeProvider, useTheme, useCrudStyles } from './src/ThemeProvider.jsx';
+export { createStyles } from './src/styles.js';
+export { defaultMessages, defaultI18n, createI18n, getDirection } from './src/i18n.js';
+export { DEFAULT_SHORTCUTS, resolveShortcuts, matchesShortcut, getNextCell } from './src/keyboard.js';
+export {
+  ACTIONS_COLUMN,
+  MIN_COLUMN_WIDTH,
+  normalizeColumnState,
+  moveColumn,
+  setColumnHidden,
+  setColumnWidth,
+  setColumnPinned,
+  getColumnLayout
+} from './src/columns.js';
+export {
+  TABLE_STATE_PARAMS,
+  loadTableState,
+  saveTableState,
+  parseTableStateParams,
+  toTableStateParams
+} from './src/tableState.js';
+export { createView, createLocalViewStorage } from './src/views.js';
@@ -0,0 +1,143 @@
+/**
+ * ConfirmDialog.jsx
+ *
+ * The modal GenericCrudPage shows before deleting. It is an `alertdialog`
+ * that keeps focus inside itself while open, cancels on Escape and gives
+ * focus back to the element that opened it when it closes.
+ *
+ * With `confirmText`, the confirm button stays disabled until the user has
+ * typed that text, for records that are expensive to delete by mistake.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+import useInstanceId from './useInstanceId.js';
+import { defaultI18n } from './i18n.js';
+
+// Elements that can take focus with Tab
+const FOCUSABLE = [
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'a[href]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+export default function ConfirmDialog({
+  title,                  // Dialog heading
+  message,                // Text or React node explaining what will happen
+  confirmLabel,           // Text of the confirm button
+  confirmText,            // Text the user must type before confirming (optional)
+  onConfirm,              // Function: called when the user confirms
+  onCancel,               // Function: called on Cancel and Escape
+  styles: stylesProp,     // Style slots from useCrudStyles (defaults to the current theme's)
+  i18n = defaultI18n      // Messages and formatting, as on GenericCrudPage
+}) {
+  const { styles: themeStyles } = useCrudStyles({ direction: i18n.direction });
+  const styles = stylesProp || themeStyles;
+  const { t } = i18n;
+  const id = useInstanceId('generic-crud-dialog');
+  const dialogRef = useRef(null);
+  const inputRef = useRef(null);
+  const cancelRef = useRef(null);
+  const [typed, setTyped] = useState('');
+
+  const canConfirm = !confirmText || typed.trim() === confirmText;
+
+  // Focus the dialog's first control, and restore the previous focus on close
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    (inputRef.current || cancelRef.current)?.focus();
+    return () => {
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus();
+      }
+    };
+  }, []);
+
+  // Cancel on Escape and keep Tab cycling through the dialog's controls
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onCancel();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (canConfirm) onConfirm();
+  };
+
+  return (
+    <div style={styles.dialogOverlay}>
+      <div
+        ref={dialogRef}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby={`${id}-title`}
+        aria-describedby={`${id}-message`}
+        onKeyDown={handleKeyDown}
+        style={styles.dialog}
+      >
+        <h2 id={`${id}-title`} style={styles.dialogTitle}>{title}</h2>
+        <div id={`${id}-message`} style={styles.dialogMessage}>{message}</div>
+
+        <form onSubmit={handleSubmit}>
+          {confirmText && (
+            <div style={styles.formField}>
+              <label htmlFor={`${id}-confirm`} style={styles.label}>
+                {t('confirmTypeLabel', { text: confirmText })}
+              </label>
+              <input
+                ref={inputRef}
+                id={`${id}-confirm`}
+                type="text"
+                value={typed}
+                onChange={(e) => setTyped(e.target.value)}
+                autoComplete="off"
+                spellCheck={false}
+                style={styles.input}
+              />
+            </div>
+          )}
+
+          <div style={styles.dialogActions}>
+            <button
+              ref={cancelRef}
+              type="button"
+              onClick={onCancel}
+              style={{ ...styles.actionButton, ...styles.secondaryActionButton }}
+            >
+              {t('cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={!canConfirm}
+              style={{ ...styles.actionButton, ...styles.deleteButton }}
+            >
+              {confirmLabel || t('delete')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
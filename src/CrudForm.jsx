@@ -0,0 +1,229 @@
+/**
+ * CrudForm.jsx
+ *
+ * The add and edit form of GenericCrudPage, rendered from the result of
+ * useGenericCrud. It shows a control per form field, with its validation
+ * message, and Add, or Save and Cancel while an item is being edited.
+ *
+ *   const crud = useGenericCrud({ formFields, onAdd, onEdit });
+ *   <CrudForm crud={crud} />
+ */
+
+import React from 'react';
+import { Plus, RefreshCw } from 'lucide-react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+import { isEmptyValue, toInputValue, fromInputEvent } from './fieldValues.js';
+
+export default function CrudForm({
+  crud,                   // Result of useGenericCrud
+  styles: stylesProp,     // Style slots from useCrudStyles (defaults to the current theme's)
+  renderField,            // Function: custom field renderer ({ field, value, onChange, error, disabled })
+  AddButtonIcon = Plus    // Optional custom add button icon
+}) {
+  const { styles: themeStyles } = useCrudStyles({ direction: crud.direction });
+  const styles = stylesProp || themeStyles;
+  const {
+    t,
+    ids,
+    formFields,
+    formErrors,
+    validatingFields,
+    editingItem,
+    submitting,
+    formDisabled,
+    onAdd
+  } = crud;
+
+  if (formFields.length === 0) return null;
+
+  // Render the input for a form field
+  const renderFieldControl = (field) => {
+    const fieldState = crud.getFieldState(field);
+    const customRenderer = field.renderField || renderField;
+    if (customRenderer) {
+      const rendered = customRenderer(fieldState);
+      if (rendered !== undefined) return rendered;
+    }
+
+    const { value, error, onChange, onBlur } = fieldState;
+    const controlStyle = {
+      ...styles.input,
+      ...(error ? styles.inputInvalid : {})
+    };
+
+    switch (field.type) {
+      case 'select':
+      case 'multiselect':
+        return (
+          <select
+            {...crud.getFieldProps(field)}
+            multiple={field.type === 'multiselect'}
+            style={controlStyle}
+          >
+            {field.type === 'select' && (
+              <option value="">{field.placeholder || t('selectOption', { label: field.label })}</option>
+            )}
+            {field.options?.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        );
+
+      case 'textarea':
+        return (
+          <textarea
+            {...crud.getFieldProps(field)}
+            placeholder={field.placeholder || field.label}
+            rows={field.rows || 3}
+            style={{ ...controlStyle, resize: 'vertical', fontFamily: 'inherit' }}
+          />
+        );
+
+      case 'checkbox':
+      case 'switch':
+        return (
+          <input
+            {...crud.getFieldProps(field)}
+            role={field.type === 'switch' ? 'switch' : undefined}
+            style={styles.checkbox}
+          />
+        );
+
+      case 'radio':
+        return (
+          <div
+            id={ids.field(field.key)}
+            role="radiogroup"
+            aria-labelledby={`${ids.field(field.key)}-label`}
+            aria-describedby={error ? `${ids.field(field.key)}-error` : undefined}
+            onBlur={onBlur}
+            style={styles.radioGroup}
+          >
+            {field.options?.map(opt => (
+              <label key={opt.value} style={styles.radioOption}>
+                <input
+                  type="radio"
+                  name={ids.field(field.key)}
+                  value={opt.value}
+                  checked={toInputValue(field, value) === String(opt.value)}
+                  onChange={(e) => onChange(fromInputEvent(field, e))}
+                  disabled={formDisabled}
+                />
+                {opt.label}
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'file':
+        // File inputs cannot be controlled; remount to clear them when the form resets
+        return (
+          <input
+            {...crud.getFieldProps(field)}
+            key={isEmptyValue(value) ? 'empty' : 'selected'}
+            type="file"
+            accept={field.accept}
+            multiple={field.multiple}
+            style={controlStyle}
+          />
+        );
+
+      default:
+        return (
+          <input
+            {...crud.getFieldProps(field)}
+            type={field.type === 'datetime' ? 'datetime-local' : field.type || 'text'}
+            placeholder={field.placeholder || field.label}
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            style={controlStyle}
+          />
+        );
+    }
+  };
+
+  return (
+    <form {...crud.getFormProps({ style: styles.form })}>
+      {formFields.map(field => (
+        <div key={field.key} style={styles.formField}>
+          <label
+            id={`${ids.field(field.key)}-label`}
+            htmlFor={field.type === 'radio' ? undefined : ids.field(field.key)}
+            style={styles.fieldLabel}
+          >
+            {field.label}
+            {field.required && <span style={styles.requiredMark}> *</span>}
+          </label>
+
+          {renderFieldControl(field)}
+
+          {validatingFields[field.key] && !formErrors[field.key] && (
+            <div
+              style={styles.fieldStatus}
+              role="status"
+            >
+              {t('checkingField', { label: field.label })}
+            </div>
+          )}
+
+          {formErrors[field.key] && (
+            <div
+              id={`${ids.field(field.key)}-error`}
+              style={styles.fieldError}
+              role="alert"
+            >
+              {formErrors[field.key]}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {editingItem ? (
+        <div style={{ display: 'flex', gap: '8px', alignSelf: 'end' }}>
+          <button
+            type="submit"
+            disabled={formDisabled}
+            style={{
+              ...styles.addButton,
+              opacity: formDisabled ? 0.6 : 1,
+              cursor: formDisabled ? 'not-allowed' : 'pointer'
+            }}
+            aria-label={t('saveLabel')}
+          >
+            {submitting && <RefreshCw size={18} style={{ animation: 'spin 1s linear infinite' }} />}
+            {t('save')}
+          </button>
+          <button
+            type="button"
+            onClick={crud.handleCancelEdit}
+            disabled={formDisabled}
+            style={{
+              ...styles.refreshButton,
+              opacity: formDisabled ? 0.6 : 1,
+              cursor: formDisabled ? 'not-allowed' : 'pointer'
+            }}
+            aria-label={t('cancelEditLabel')}
+          >
+            {t('cancel')}
+          </button>
+        </div>
+      ) : onAdd && (
+        <button
+          type="submit"
+          disabled={formDisabled}
+          style={{
+            ...styles.addButton,
+            opacity: formDisabled ? 0.6 : 1,
+            cursor: formDisabled ? 'not-allowed' : 'pointer'
+          }}
+          aria-label={t('addLabel')}
+        >
+          {submitting
+            ? <RefreshCw size={18} style={{ animation: 'spin 1s linear infinite' }} />
+            : <AddButtonIcon size={18} />} {t('add')}
+        </button>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,50 @@
+/**
+ * CrudSearchBar.jsx
+ *
+ * The search box of GenericCrudPage, rendered from the result of
+ * useGenericCrud. While the query has a syntax error, a hint under the box
+ * explains that a plain text search is used instead.
+ *
+ *   <CrudToolbar crud={crud}>
+ *     <CrudSearchBar crud={crud} placeholder="Search users" />
+ *   </CrudToolbar>
+ */
+
+import React from 'react';
+import { Search } from 'lucide-react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+
+export default function CrudSearchBar({
+  crud,                   // Result of useGenericCrud
+  styles: stylesProp,     // Style slots from useCrudStyles (defaults to the current theme's)
+  placeholder             // Custom search placeholder (defaults to the 'searchPlaceholder' message)
+}) {
+  const { styles: themeStyles } = useCrudStyles({ direction: crud.direction });
+  const styles = stylesProp || themeStyles;
+  const { t, ids, searchQuery } = crud;
+
+  return (
+    <div style={{ flex: 1 }}>
+      <div style={{ position: 'relative' }}>
+        <Search size={16} style={styles.searchIcon} />
+        <input
+          {...crud.getSearchInputProps({
+            placeholder: placeholder ?? t('searchPlaceholder'),
+            style: {
+              ...styles.searchInput,
+              ...(searchQuery.error ? styles.searchInputInvalid : {})
+            }
+          })}
+        />
+      </div>
+      {searchQuery.error && (
+        <div
+          id={ids.searchHint}
+          style={styles.searchHint}
+        >
+          {t('searchFallback', { error: searchQuery.error })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,400 @@
+/**
+ * CrudTable.jsx
+ *
+ * The table of GenericCrudPage, rendered from the result of useGenericCrud:
+ * the loading and empty states, the keyboard-navigable grid with sortable,
+ * draggable and resizable headers, the row actions and, when paginating,
+ * the page controls.
+ *
+ *   const crud = useGenericCrud({ data, columns, onEdit, onDelete, pagination: true });
+ *   <CrudTable crud={crud} emptyMessage="No users yet" />
+ */
+
+import React from 'react';
+import {
+  RefreshCw, ChevronUp, ChevronDown, ChevronsUpDown,
+  ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight
+} from 'lucide-react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+import { DEFAULT_PAGE_SIZE_OPTIONS, getPageNumbers } from './pagination.js';
+import { highlightNode } from './highlight.jsx';
+import { formatCellValue } from './fieldValues.js';
+import { MIN_COLUMN_WIDTH } from './columns.js';
+
+export default function CrudTable({
+  crud,                   // Result of useGenericCrud
+  styles: stylesProp,     // Style slots from useCrudStyles (defaults to the current theme's)
+  emptyMessage,           // Custom empty state message (defaults to the 'empty' message)
+  loadingMessage,         // Custom loading message (defaults to the 'loading' message)
+  pageSizeOptions = DEFAULT_PAGE_SIZE_OPTIONS // Choices for the page-size selector
+}) {
+  const { styles: themeStyles } = useCrudStyles({ direction: crud.direction });
+  const styles = stylesProp || themeStyles;
+  const {
+    i18n,
+    t,
+    loading,
+    getRowId,
+    onEdit,
+    onDelete,
+    renderActions,
+    search,
+    highlightPatterns,
+    activeFilters,
+    filteredData,
+    pageData,
+    visibleRows,
+    activeSort,
+    pendingRows,
+    rowErrors,
+    paginationMode,
+    currentPage,
+    currentPageSize,
+    pageCount,
+    totalItems,
+    handlePageChange,
+    handlePageSizeChange,
+    virtualized,
+    virtualRows,
+    rowHeight,
+    tableHeight,
+    selectable,
+    manageColumns,
+    columnLayout,
+    layoutColumns,
+    columnOffset,
+    columnCount,
+    draggedColumn,
+    setDraggedColumn,
+    handleColumnDragStart,
+    handleColumnDragOver,
+    handleColumnDrop,
+    handleResizeStart,
+    handleResizeKeyDown,
+    getTableProps,
+    getCellProps,
+    getSortButtonProps,
+    getEditButtonProps,
+    getDeleteButtonProps,
+    getSelectAllProps,
+    getSelectRowProps
+  } = crud;
+
+  // Page navigation arrows point the other way in right-to-left layouts
+  const [FirstPageIcon, PreviousPageIcon, NextPageIcon, LastPageIcon] = crud.direction === 'rtl'
+    ? [ChevronsRight, ChevronRight, ChevronLeft, ChevronsLeft]
+    : [ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight];
+
+  // The header stays in view while a virtualized table scrolls
+  const headerCellStyle = virtualized
+    ? { ...styles.th, position: 'sticky', top: 0, zIndex: 2 }
+    : styles.th;
+
+  // Sizing and pinning styles of a column's cells
+  const getColumnStyle = (entry, baseStyle, pinnedStyle, zIndex) => ({
+    ...baseStyle,
+    ...(entry.width !== undefined
+      ? { width: `${entry.width}px`, minWidth: `${entry.width}px`, maxWidth: `${entry.width}px`, boxSizing: 'border-box' }
+      : {}),
+    ...(entry.pinned
+      ? { ...pinnedStyle, position: 'sticky', [entry.pinned]: `${entry.offset}px`, zIndex }
+      : {})
+  });
+  const leadingPinnedStyle = columnLayout.leadingPinned
+    ? { position: 'sticky', [columnLayout.leadingPinned]: 0 }
+    : {};
+
+  const renderResizeHandle = (entry, label) => {
+    const width = entry.width ?? null;
+    return (
+      <span
+        role="separator"
+        aria-orientation="vertical"
+        aria-label={t('resizeColumn', { label })}
+        aria-valuenow={width ?? undefined}
+        aria-valuemin={entry.column?.minWidth ?? MIN_COLUMN_WIDTH}
+        tabIndex={0}
+        onMouseDown={(e) => handleResizeStart(e, entry)}
+        onKeyDown={(e) => {
+          const header = e.currentTarget.closest('th');
+          handleResizeKeyDown(e, entry, width ?? (header ? header.getBoundingClientRect().width : 0));
+        }}
+        style={styles.resizeHandle}
+      />
+    );
+  };
+
+  // Edit, Delete and custom actions of a row
+  const renderRowActions = (item, rowPending, rowError) => (
+    <>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center' }}>
+        {onEdit && (
+          <button {...getEditButtonProps(item, { style: { ...styles.actionButton, ...styles.editButton } })}>
+            {t('edit')}
+          </button>
+        )}
+        {onDelete && (
+          <button {...getDeleteButtonProps(item, { style: { ...styles.actionButton, ...styles.deleteButton } })}>
+            {t('delete')}
+          </button>
+        )}
+        {renderActions && renderActions(item)}
+        {rowPending && (
+          <RefreshCw size={14} style={{ animation: 'spin 1s linear infinite' }} />
+        )}
+      </div>
+      {rowError && (
+        <div
+          style={styles.rowErrorText}
+          role="alert"
+        >
+          {rowError}
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <>
+      {loading ? (
+        <div style={styles.loading}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
+            <RefreshCw size={20} style={{ animation: 'spin 1s linear infinite' }} />
+            {loadingMessage ?? t('loading')}
+          </div>
+        </div>
+      ) : filteredData.length === 0 ? (
+        <div style={styles.empty}>
+          {search || activeFilters.length > 0 ? t('noResults') : emptyMessage ?? t('empty')}
+        </div>
+      ) : (
+        <div
+          ref={virtualized ? virtualRows.containerRef : undefined}
+          onScroll={virtualized ? virtualRows.onScroll : undefined}
+          style={virtualized ? { overflow: 'auto', maxHeight: `${tableHeight}px` } : { overflowX: 'auto' }}
+        >
+          <table {...getTableProps({ style: styles.table })}>
+            <thead>
+              <tr aria-rowindex={virtualized ? 1 : undefined}>
+                {selectable && (
+                  <th
+                    style={{
+                      ...headerCellStyle,
+                      width: '40px',
+                      ...leadingPinnedStyle,
+                      ...(columnLayout.leadingPinned ? { zIndex: 3 } : {})
+                    }}
+                    {...getCellProps(0, 0)}
+                  >
+                    <input {...getSelectAllProps()} />
+                  </th>
+                )}
+                {layoutColumns.map((entry, index) => {
+                  const col = entry.column;
+                  const label = col ? col.label : t('actions');
+                  const cellProps = {
+                    ...getCellProps(0, index + columnOffset),
+                    style: {
+                      ...getColumnStyle(entry, headerCellStyle, {}, 3),
+                      // The resize handle is placed against the header's edge
+                      ...(manageColumns && !entry.pinned && !virtualized ? { position: 'relative' } : {}),
+                      ...(draggedColumn === entry.key ? { opacity: 0.5 } : {})
+                    },
+                    ...(manageColumns ? {
+                      draggable: true,
+                      onDragStart: (e) => handleColumnDragStart(e, entry.key),
+                      onDragOver: (e) => handleColumnDragOver(e),
+                      onDrop: (e) => handleColumnDrop(e, entry.key),
+                      onDragEnd: () => setDraggedColumn(null)
+                    } : {})
+                  };
+                  const resizeHandle = manageColumns && renderResizeHandle(entry, label);
+
+                  if (!col || !col.sortable) {
+                    return (
+                      <th key={entry.key} {...cellProps}>
+                        {label}
+                        {resizeHandle}
+                      </th>
+                    );
+                  }
+
+                  const sortIndex = activeSort.findIndex(sortEntry => sortEntry.key === col.key);
+                  const direction = sortIndex >= 0 ? activeSort[sortIndex].direction : null;
+                  const SortIcon = direction === 'asc'
+                    ? ChevronUp
+                    : direction === 'desc' ? ChevronDown : ChevronsUpDown;
+
+                  return (
+                    <th
+                      key={entry.key}
+                      {...cellProps}
+                      aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : 'none'}
+                    >
+                      <button {...getSortButtonProps(col, { style: styles.sortButton })}>
+                        {col.label}
+                        <SortIcon size={14} />
+                        {activeSort.length > 1 && sortIndex >= 0 && (
+                          <span style={{ fontSize: '11px' }}>{sortIndex + 1}</span>
+                        )}
+                      </button>
+                      {resizeHandle}
+                    </th>
+                  );
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {virtualized && virtualRows.paddingTop > 0 && (
+                <tr aria-hidden="true" style={{ height: `${virtualRows.paddingTop}px` }}>
+                  <td colSpan={columnCount} style={{ padding: 0, border: 'none' }} />
+                </tr>
+              )}
+              {visibleRows.map((item, index) => {
+                const rowId = getRowId(item);
+                const rowPending = Boolean(pendingRows[rowId]);
+                const rowError = rowErrors[rowId];
+                const gridRow = (virtualized ? virtualRows.start : 0) + index + 1;
+
+                return (
+                  <tr
+                    key={rowId}
+                    ref={virtualized && !rowHeight ? virtualRows.measureRow(rowId) : undefined}
+                    style={{
+                      opacity: rowPending ? 0.6 : 1,
+                      ...(rowError ? styles.rowError : {}),
+                      height: virtualized && rowHeight ? `${rowHeight}px` : undefined
+                    }}
+                    aria-busy={rowPending}
+                    aria-rowindex={virtualized ? virtualRows.start + index + 2 : undefined}
+                  >
+                    {selectable && (
+                      <td
+                        style={{
+                          ...styles.td,
+                          ...(columnLayout.leadingPinned ? { ...styles.pinnedCell, ...leadingPinnedStyle, zIndex: 1 } : {})
+                        }}
+                        role="gridcell"
+                        {...getCellProps(gridRow, 0)}
+                      >
+                        <input {...getSelectRowProps(item)} />
+                      </td>
+                    )}
+                    {layoutColumns.map((entry, index) => {
+                      const col = entry.column;
+                      const cellProps = {
+                        style: getColumnStyle(entry, styles.td, styles.pinnedCell, 1),
+                        role: 'gridcell',
+                        ...getCellProps(gridRow, index + columnOffset)
+                      };
+
+                      if (!col) {
+                        return (
+                          <td key={`${rowId}-${entry.key}`} {...cellProps}>
+                            {renderRowActions(item, rowPending, rowError)}
+                          </td>
+                        );
+                      }
+
+                      return (
+                        <td key={`${rowId}-${entry.key}`} {...cellProps}>
+                          {highlightNode(
+                            col.render ? col.render(item) : formatCellValue(item[col.key], i18n, col.formatOptions),
+                            highlightPatterns[col.key],
+                            '',
+                            styles.highlight
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+              {virtualized && virtualRows.paddingBottom > 0 && (
+                <tr aria-hidden="true" style={{ height: `${virtualRows.paddingBottom}px` }}>
+                  <td colSpan={columnCount} style={{ padding: 0, border: 'none' }} />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {paginationMode && !loading && totalItems > 0 && (
+        <nav style={styles.pagination} aria-label={t('pagination')}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            {t('rowsPerPage')}
+            <select
+              value={currentPageSize}
+              onChange={(e) => handlePageSizeChange(Number(e.target.value))}
+              style={styles.pageSizeSelect}
+            >
+              {pageSizeOptions.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <button
+              type="button"
+              onClick={() => handlePageChange(1)}
+              disabled={currentPage === 1}
+              style={styles.paginationButton}
+              aria-label={t('firstPage')}
+            >
+              <FirstPageIcon size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handlePageChange(currentPage - 1)}
+              disabled={currentPage === 1}
+              style={styles.paginationButton}
+              aria-label={t('previousPage')}
+            >
+              <PreviousPageIcon size={16} />
+            </button>
+            {getPageNumbers(currentPage, pageCount).map((pageNumber, index) => (
+              pageNumber === 'ellipsis' ? (
+                <span key={`ellipsis-${index}`} style={{ padding: '0 4px' }}>&hellip;</span>
+              ) : (
+                <button
+                  key={pageNumber}
+                  type="button"
+                  onClick={() => handlePageChange(pageNumber)}
+                  style={{
+                    ...styles.paginationButton,
+                    ...(pageNumber === currentPage ? styles.paginationButtonActive : {})
+                  }}
+                  aria-label={t('pageLabel', { page: pageNumber })}
+                  aria-current={pageNumber === currentPage ? 'page' : undefined}
+                >
+                  {i18n.formatNumber(pageNumber)}
+                </button>
+              )
+            ))}
+            <button
+              type="button"
+              onClick={() => handlePageChange(currentPage + 1)}
+              disabled={currentPage === pageCount}
+              style={styles.paginationButton}
+              aria-label={t('nextPage')}
+            >
+              <NextPageIcon size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handlePageChange(pageCount)}
+              disabled={currentPage === pageCount}
+              style={styles.paginationButton}
+              aria-label={t('lastPage')}
+            >
+              <LastPageIcon size={16} />
+            </button>
+          </div>
+        </nav>
+      )}
+    </>
+  );
+}
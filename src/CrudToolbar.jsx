@@ -0,0 +1,579 @@
+/**
+ * CrudToolbar.jsx
+ *
+ * The toolbar of GenericCrudPage, rendered from the result of
+ * useGenericCrud: the Filters, Export, Columns, Views and Import buttons
+ * with the row count, the panels they open, the active filter chips and,
+ * while rows are selected, the bulk actions. Its children, usually a
+ * CrudSearchBar, come first in the toolbar row.
+ *
+ *   <CrudToolbar crud={crud} bulkActions={[{ label: 'Archive', onClick: archive }]}>
+ *     <CrudSearchBar crud={crud} />
+ *   </CrudToolbar>
+ */
+
+import React from 'react';
+import {
+  RefreshCw, ChevronUp, ChevronDown,
+  Filter, X, Download, Upload, Columns, Bookmark
+} from 'lucide-react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+import { getPageRange } from './pagination.js';
+import { describeFilter } from './filters.js';
+import { EXPORT_FORMATS } from './exporting.js';
+import { moveColumn, setColumnHidden, setColumnPinned } from './columns.js';
+import ImportPanel from './ImportPanel.jsx';
+
+export default function CrudToolbar({
+  crud,                   // Result of useGenericCrud
+  styles: stylesProp,     // Style slots from useCrudStyles (defaults to the current theme's)
+  bulkActions = [],       // Custom selection actions [{ label, onClick(selectedItems) }]
+  children                // Content placed first in the toolbar row, e.g. a CrudSearchBar
+}) {
+  const { styles: themeStyles } = useCrudStyles({ direction: crud.direction });
+  const styles = stylesProp || themeStyles;
+  const {
+    i18n,
+    t,
+    ids,
+    onAdd,
+    formFields,
+    validate,
+    filteredData,
+    sortedData,
+    pageData,
+    paginationMode,
+    currentPage,
+    currentPageSize,
+    totalItems,
+    filterableColumns,
+    currentFilters,
+    activeFilters,
+    handleFilterChange,
+    updateFilters,
+    selectable,
+    selection,
+    selectedItems,
+    updateSelection,
+    bulkPending,
+    onBulkDelete,
+    handleBulkDelete,
+    handleBulkAction,
+    manageColumns,
+    columnsByKey,
+    currentColumnState,
+    updateColumnState,
+    resetColumnState,
+    viewsEnabled,
+    savedViews,
+    allViews,
+    viewData,
+    defaultViewId,
+    activeView,
+    applyView,
+    viewName,
+    setViewName,
+    handleSaveView,
+    renamingView,
+    setRenamingView,
+    handleRenameView,
+    handleDeleteView,
+    handleDefaultView,
+    exportable,
+    exportFormats,
+    exportFormat,
+    setExportFormat,
+    exportScope,
+    setExportScope,
+    exportData,
+    canImport,
+    onImport,
+    showFilters,
+    setShowFilters,
+    showExport,
+    setShowExport,
+    showColumns,
+    setShowColumns,
+    showViews,
+    setShowViews,
+    showImport,
+    setShowImport
+  } = crud;
+
+  // Render the control for a column filter
+  const renderFilterControl = ({ column, definition }) => {
+    const value = currentFilters[column.key];
+    const controlStyle = { ...styles.input, width: '100%', boxSizing: 'border-box' };
+
+    switch (definition.type) {
+      case 'select':
+        return (
+          <select
+            value={value ?? ''}
+            onChange={(e) => handleFilterChange(column.key, e.target.value || undefined)}
+            style={controlStyle}
+            aria-label={t('filterLabel', { label: column.label })}
+          >
+            <option value="">{t('filterAll')}</option>
+            {definition.options.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        );
+
+      case 'boolean':
+        return (
+          <select
+            value={typeof value === 'boolean' ? String(value) : ''}
+            onChange={(e) => handleFilterChange(
+              column.key,
+              e.target.value === '' ? undefined : e.target.value === 'true'
+            )}
+            style={controlStyle}
+            aria-label={t('filterLabel', { label: column.label })}
+          >
+            <option value="">{t('filterAny')}</option>
+            <option value="true">{t('yes')}</option>
+            <option value="false">{t('no')}</option>
+          </select>
+        );
+
+      case 'number':
+      case 'date': {
+        const [fromKey, toKey] = definition.type === 'number' ? ['min', 'max'] : ['from', 'to'];
+        const range = value || {};
+        const updateRange = (bound, boundValue) => {
+          const next = { ...range, [bound]: boundValue };
+          handleFilterChange(column.key, next[fromKey] || next[toKey] ? next : undefined);
+        };
+        return (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input
+              type={definition.type}
+              value={range[fromKey] ?? ''}
+              onChange={(e) => updateRange(fromKey, e.target.value)}
+              placeholder={definition.type === 'number' ? t('filterMin') : undefined}
+              style={controlStyle}
+              aria-label={t(definition.type === 'number' ? 'filterMinLabel' : 'filterFromLabel', { label: column.label })}
+            />
+            <input
+              type={definition.type}
+              value={range[toKey] ?? ''}
+              onChange={(e) => updateRange(toKey, e.target.value)}
+              placeholder={definition.type === 'number' ? t('filterMax') : undefined}
+              style={controlStyle}
+              aria-label={t(definition.type === 'number' ? 'filterMaxLabel' : 'filterToLabel', { label: column.label })}
+            />
+          </div>
+        );
+      }
+
+      default:
+        return (
+          <input
+            type="text"
+            value={value ?? ''}
+            onChange={(e) => handleFilterChange(column.key, e.target.value || undefined)}
+            placeholder={definition.placeholder || t('filterLabel', { label: column.label })}
+            style={controlStyle}
+            aria-label={t('filterLabel', { label: column.label })}
+          />
+        );
+    }
+  };
+
+  return (
+    <>
+      <div style={styles.searchBar}>
+        {children}
+        {filterableColumns.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setShowFilters(prev => !prev)}
+            style={styles.toolbarButton}
+            aria-expanded={showFilters}
+            aria-controls={ids.filters}
+          >
+            <Filter size={16} />
+            {activeFilters.length > 0 ? t('filtersActive', { count: activeFilters.length }) : t('filters')}
+          </button>
+        )}
+        {exportable && (
+          <button
+            type="button"
+            onClick={() => setShowExport(prev => !prev)}
+            style={styles.toolbarButton}
+            aria-expanded={showExport}
+            aria-controls={ids.export}
+          >
+            <Download size={16} /> {t('export')}
+          </button>
+        )}
+        {manageColumns && (
+          <button
+            type="button"
+            onClick={() => setShowColumns(prev => !prev)}
+            style={styles.toolbarButton}
+            aria-expanded={showColumns}
+            aria-controls={ids.columns}
+          >
+            <Columns size={16} /> {t('columns')}
+          </button>
+        )}
+        {viewsEnabled && (
+          <button
+            type="button"
+            onClick={() => setShowViews(prev => !prev)}
+            style={styles.toolbarButton}
+            aria-expanded={showViews}
+            aria-controls={ids.views}
+          >
+            <Bookmark size={16} /> {activeView ? t('viewsActive', { name: activeView.name }) : t('views')}
+          </button>
+        )}
+        {canImport && (
+          <button
+            type="button"
+            onClick={() => setShowImport(prev => !prev)}
+            style={styles.toolbarButton}
+            aria-expanded={showImport}
+            aria-controls={ids.import}
+          >
+            <Upload size={16} /> {t('import')}
+          </button>
+        )}
+        <span style={styles.summary}>
+          {paginationMode ? (() => {
+            const { start, end } = getPageRange(currentPage, currentPageSize, totalItems);
+            return totalItems === 0
+              ? t('showingNone')
+              : t('showingRange', { start, end, total: totalItems });
+          })() : t('total', { count: filteredData.length })}
+        </span>
+      </div>
+
+      {/* Column Filters */}
+      {showFilters && filterableColumns.length > 0 && (
+        <div id={ids.filters} style={styles.filterPanel}>
+          {filterableColumns.map(entry => (
+            <div key={entry.column.key} style={styles.formField}>
+              <span style={styles.label}>
+                {entry.column.label}
+              </span>
+              {renderFilterControl(entry)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Column Chooser */}
+      {manageColumns && showColumns && (
+        <div id={ids.columns} style={styles.columnPanel}>
+          <ul style={styles.columnList}>
+            {currentColumnState.order.map((key, index) => {
+              const col = columnsByKey[key];
+              const label = col ? col.label : t('actions');
+              const hidden = currentColumnState.hidden.includes(key);
+              const pinned = key in currentColumnState.pinned
+                ? currentColumnState.pinned[key]
+                : (col && col.pinned) || null;
+              const canHide = Boolean(col) && col.hideable !== false;
+
+              return (
+                <li key={key} style={styles.columnListItem}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', flex: 1 }}>
+                    <input
+                      type="checkbox"
+                      checked={!hidden}
+                      disabled={!canHide}
+                      onChange={(e) => updateColumnState(setColumnHidden(currentColumnState, key, !e.target.checked))}
+                    />
+                    {label}
+                  </label>
+                  <select
+                    value={pinned || ''}
+                    onChange={(e) => updateColumnState(setColumnPinned(currentColumnState, key, e.target.value))}
+                    style={styles.pageSizeSelect}
+                    aria-label={t('pinColumn', { label })}
+                  >
+                    <option value="">{t('pinNone')}</option>
+                    <option value="left">{t('pinLeft')}</option>
+                    <option value="right">{t('pinRight')}</option>
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => updateColumnState(moveColumn(currentColumnState, key, currentColumnState.order[index - 1]))}
+                    disabled={index === 0}
+                    style={styles.chipRemoveButton}
+                    aria-label={t('moveColumnUp', { label })}
+                  >
+                    <ChevronUp size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => updateColumnState(moveColumn(currentColumnState, key, currentColumnState.order[index + 1]))}
+                    disabled={index === currentColumnState.order.length - 1}
+                    style={styles.chipRemoveButton}
+                    aria-label={t('moveColumnDown', { label })}
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <button
+            type="button"
+            onClick={resetColumnState}
+            style={styles.linkButton}
+          >
+            {t('resetColumns')}
+          </button>
+        </div>
+      )}
+
+      {viewsEnabled && showViews && (
+        <div id={ids.views} style={styles.viewPanel}>
+          {allViews.length === 0 ? (
+            <p style={styles.hint}>{t('noViews')}</p>
+          ) : (
+            <ul style={styles.viewList}>
+              {allViews.map(view => {
+                const saved = Boolean(viewData) && viewData.views.includes(view);
+                const isActive = activeView === view;
+                const isDefault = view.id === defaultViewId;
+
+                if (renamingView && renamingView.id === view.id) {
+                  return (
+                    <li key={view.id} style={styles.viewListItem}>
+                      <form
+                        onSubmit={(e) => {
+                          e.preventDefault();
+                          handleRenameView();
+                        }}
+                        style={{ display: 'flex', alignItems: 'center', gap: '8px', flex: 1 }}
+                      >
+                        <input
+                          type="text"
+                          value={renamingView.name}
+                          onChange={(e) => setRenamingView({ ...renamingView, name: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Escape') {
+                              e.stopPropagation();
+                              setRenamingView(null);
+                            }
+                          }}
+                          style={styles.input}
+                          aria-label={t('renameViewInput', { name: view.name })}
+                          autoFocus
+                        />
+                        <button type="submit" style={styles.linkButton}>{t('save')}</button>
+                        <button type="button" onClick={() => setRenamingView(null)} style={styles.linkButton}>
+                          {t('cancel')}
+                        </button>
+                      </form>
+                    </li>
+                  );
+                }
+
+                return (
+                  <li key={view.id} style={styles.viewListItem}>
+                    <button
+                      type="button"
+                      onClick={() => applyView(view)}
+                      style={{ ...styles.viewButton, ...(isActive ? styles.viewButtonActive : {}) }}
+                      aria-pressed={isActive}
+                    >
+                      {view.name}
+                      {isDefault && <span style={styles.hint}> {t('defaultView')}</span>}
+                    </button>
+                    {savedViews && (
+                      <button
+                        type="button"
+                        onClick={() => handleDefaultView(view.id)}
+                        disabled={!viewData}
+                        style={styles.linkButton}
+                        aria-label={t(isDefault ? 'unsetDefaultViewLabel' : 'setDefaultViewLabel', { name: view.name })}
+                      >
+                        {t(isDefault ? 'unsetDefaultView' : 'setDefaultView')}
+                      </button>
+                    )}
+                    {saved && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => setRenamingView({ id: view.id, name: view.name })}
+                          style={styles.linkButton}
+                          aria-label={t('renameViewLabel', { name: view.name })}
+                        >
+                          {t('renameView')}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteView(view.id)}
+                          style={styles.chipRemoveButton}
+                          aria-label={t('deleteViewLabel', { name: view.name })}
+                        >
+                          <X size={14} />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {savedViews && (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleSaveView();
+              }}
+              style={{ display: 'flex', alignItems: 'flex-end', gap: '8px' }}
+            >
+              <label style={styles.formField}>
+                <span style={styles.label}>{t('viewName')}</span>
+                <input
+                  type="text"
+                  value={viewName}
+                  onChange={(e) => setViewName(e.target.value)}
+                  style={styles.input}
+                />
+              </label>
+              <button type="submit" disabled={!viewName.trim() || !viewData} style={styles.addButton}>
+                {t('saveView')}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
+      {/* Export */}
+      {exportable && showExport && (
+        <div id={ids.export} style={styles.exportPanel}>
+          <label style={styles.formField}>
+            <span style={styles.label}>{t('exportFormat')}</span>
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              style={styles.input}
+            >
+              {exportFormats.map(format => (
+                <option key={format} value={format}>{EXPORT_FORMATS[format]?.label || format}</option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.formField}>
+            <span style={styles.label}>{t('exportRows')}</span>
+            <select
+              value={exportScope}
+              onChange={(e) => setExportScope(e.target.value)}
+              style={styles.input}
+            >
+              <option value="all">{t('exportAllRows', { count: sortedData.length })}</option>
+              {selectable && (
+                <option value="selected" disabled={selectedItems.length === 0}>
+                  {t('exportSelectedRows', { count: selectedItems.length })}
+                </option>
+              )}
+              {paginationMode === 'client' && (
+                <option value="page">{t('exportPageRows', { count: pageData.length })}</option>
+              )}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => {
+              exportData(exportFormat, { rows: exportScope });
+              setShowExport(false);
+            }}
+            style={styles.addButton}
+          >
+            <Download size={16} /> {t('download')}
+          </button>
+        </div>
+      )}
+
+      {/* Import */}
+      {canImport && showImport && (
+        <ImportPanel
+          id={ids.import}
+          formFields={formFields}
+          validate={validate}
+          onImport={onImport}
+          onAdd={onAdd}
+          onClose={() => setShowImport(false)}
+          styles={styles}
+          i18n={i18n}
+        />
+      )}
+
+      {activeFilters.length > 0 && (
+        <div style={styles.filterChips}>
+          {activeFilters.map(activeFilter => (
+            <span key={activeFilter.key} style={styles.filterChip}>
+              {describeFilter(activeFilter, i18n)}
+              <button
+                type="button"
+                onClick={() => handleFilterChange(activeFilter.key, undefined)}
+                style={styles.chipRemoveButton}
+                aria-label={t('removeFilter', { label: activeFilter.column.label })}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+          <button
+            type="button"
+            onClick={() => updateFilters({})}
+            style={styles.linkButton}
+          >
+            {t('clearFilters')}
+          </button>
+        </div>
+      )}
+
+      {/* Selection Toolbar */}
+      {selectable && selection.length > 0 && (
+        <div style={styles.selectionToolbar} role="toolbar" aria-label={t('selectionActions')}>
+          <span style={{ fontWeight: '500' }}>
+            {t('selectedCount', { count: selection.length })}
+          </span>
+          <button
+            type="button"
+            onClick={() => updateSelection([])}
+            disabled={bulkPending}
+            style={{ ...styles.actionButton, ...styles.secondaryActionButton }}
+          >
+            {t('clearSelection')}
+          </button>
+          {onBulkDelete && (
+            <button
+              type="button"
+              onClick={handleBulkDelete}
+              disabled={bulkPending}
+              style={{ ...styles.actionButton, ...styles.deleteButton }}
+            >
+              {t('deleteSelected')}
+            </button>
+          )}
+          {bulkActions.map(action => (
+            <button
+              key={action.label}
+              type="button"
+              onClick={() => handleBulkAction(action)}
+              disabled={bulkPending}
+              style={{ ...styles.actionButton, ...styles.editButton }}
+            >
+              {action.label}
+            </button>
+          ))}
+          {bulkPending && (
+            <RefreshCw size={14} style={{ animation: 'spin 1s linear infinite' }} />
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -5,171 +5,222 @@
  * with built-in search and customizable actions.
  *
  * This component is UI-only and does not depend on any specific state management library.
- * You pass your own data, loading state, and handler functions via props.
+ * You pass your own data, loading state, and handler functions via props, or a
+ * `dataSource` adapter and let the component manage the records itself.
+ *
+ * It is the default assembly of the useGenericCrud hook with CrudForm,
+ * CrudToolbar, CrudSearchBar and CrudTable; use those directly for a
+ * different layout.
  *
  * Features:
  * - Responsive design
- * - Accessibility support
- * - Customizable styling
- * - Form validation
- * - Search functionality
- * - Loading states
+ * - Accessibility support, with a keyboard-navigable grid and page shortcuts
+ * - Customizable styling: light and dark themes, design tokens as CSS variables and style slots
+ * - Translatable messages, locale-aware number and date formatting, and right-to-left layouts
+ * - Form validation (async, cross-field, on blur or change) and typed form fields
+ * - Columns and form fields generated from a JSON Schema
+ * - In-place editing
+ * - Search with a query syntax and match highlighting
+ * - Per-column filters
+ * - Multi-column sorting
+ * - Column chooser, drag-and-drop reordering, resizing and pinning
+ * - Table state saved to localStorage and kept in the URL
+ * - Saved views: named searches, filters, sorts and column layouts
+ * - Client-side and server-side pagination
+ * - Virtualized rendering for very large datasets
+ * - Loading states and pending actions
+ * - Optimistic updates with rollback, and undo for deletes and edits
+ * - Row selection and bulk actions
+ * - Delete confirmation dialog, optionally asking for the record's name
+ * - CSV, TSV and JSON export, and import with column mapping and a validation preview
  * - Error handling
  *
  * Author: Abdulkader Shanbour
  * License: MIT
  */
 
-import React, { useState, useMemo, useCallback } from 'react';
-import { Plus, RefreshCw, Search, AlertCircle } from 'lucide-react';
-import { defaultStyles, inputStyles, tableStyles } from './styles.js';
+import React, { forwardRef, useImperativeHandle } from 'react';
+import { Plus, RefreshCw, AlertCircle } from 'lucide-react';
+import { useCrudStyles } from './ThemeProvider.jsx';
+import { DEFAULT_PAGE_SIZE_OPTIONS } from './pagination.js';
+import useGenericCrud from './useGenericCrud.js';
+import CrudForm from './CrudForm.jsx';
+import CrudToolbar from './CrudToolbar.jsx';
+import CrudSearchBar from './CrudSearchBar.jsx';
+import CrudTable from './CrudTable.jsx';
+import ConfirmDialog from './ConfirmDialog.jsx';
 
-export default function GenericCrudPage({
+const GenericCrudPage = forwardRef(function GenericCrudPage({
   title,                  // Page title
-  data = [],              // Array of items to display
-  loading = false,        // Boolean: is data loading
-  error = null,           // Error message to display
-  columns = [],           // Table columns [{ key, label, render, sortable }]
-  formFields = [],        // Form fields [{ key, label, type, placeholder, required, options, validation }]
-  onAdd,                  // Function: called when adding a new item
-  onEdit,                 // Function: called when editing an item
-  onDelete,               // Function: called when deleting an item
-  onRefresh,              // Function: called when refreshing data
+  data: dataProp = [],    // Array of items to display
+  rowKey = 'id',          // Field that identifies a row, or a function (item) => id
+  loading: loadingProp = false, // Boolean: is data loading
+  error: errorProp = null, // Error message to display
+  dataSource,             // Adapter { list, create, update, remove } that manages the data
+  columns: columnsProp = [], // Table columns [{ key, label, render, sortable, sortFn, filter }]
+  formFields: formFieldsProp = [], // Form fields [{ key, label, type, placeholder, required, options, validation, defaultValue }]
+  schema,                 // JSON Schema object; generates columns and form fields, with the props above as overrides
+  validate,               // Function: form-level validation (values) => { [fieldKey]: message }, may be async
+  validateOn = 'submit',  // When fields are validated: 'submit', 'blur' or 'change'
+  renderField,            // Function: custom field renderer ({ field, value, onChange, error, disabled })
+  onAdd: onAddProp,       // Function: called when adding a new item
+  onEdit: onEditProp,     // Function: called with (updatedItem, originalItem) when an edit is saved
+  onDelete: onDeleteProp, // Function: called when deleting an item
+  onRefresh: onRefreshProp, // Function: called when refreshing data
   renderActions,          // Function: custom action buttons per row
   AddButtonIcon = Plus,   // Optional custom add button icon
   RefreshButtonIcon = RefreshCw, // Optional custom refresh icon
-  customStyles = {},      // Optional custom styles
-  confirmDelete = true,   // Whether to show confirmation before delete
-  searchPlaceholder = "Search...", // Custom search placeholder
-  emptyMessage = "No data to display", // Custom empty state message
-  loadingMessage = "Loading data...", // Custom loading message
+  customStyles = {},      // Optional style overrides, keyed by slot name
+  theme,                  // 'light', 'dark' or a partial theme object (defaults to the ThemeProvider's)
+  locale,                 // BCP 47 locale for plurals, numbers and dates, e.g. 'de' or 'ar-EG'
+  messages,               // Overrides of the built-in messages, keyed by message name
+  dir,                    // Text direction 'ltr' or 'rtl' (defaults to the locale's direction)
+  confirmDelete = true,   // Confirm before deleting: boolean, or (item) => message to show
+  typeToConfirm = false,  // Make the user type the record's name to delete it: boolean, or (item) => text to type
+  searchPlaceholder,      // Custom search placeholder (defaults to the 'searchPlaceholder' message)
+  searchDebounce = 250,   // Delay in ms before the search is applied
+  highlightMatches = true, // Whether to highlight search matches in cells
+  emptyMessage,           // Custom empty state message (defaults to the 'empty' message)
+  loadingMessage,         // Custom loading message (defaults to the 'loading' message)
   className = "",         // Additional CSS classes
+  optimistic = false,     // Show adds, edits and deletes before the handler's promise resolves
+  undoable = false,       // Apply deletes and edits right away and call the handler after an undo period
+  undoTimeout = 5000,     // Time in ms during which an undoable delete or edit can be undone
+  selectable = false,     // Show a checkbox column for selecting rows
+  selectedIds,            // Controlled array of selected row ids
+  onSelectionChange,      // Function: called with the next array of selected ids
+  onBulkDelete,           // Function: called with the selected ids from the selection toolbar
+  bulkActions = [],       // Custom toolbar actions [{ label, onClick(selectedItems) }]
+  filters,                // Controlled column filter values { [columnKey]: value }
+  defaultFilters = {},    // Initial column filter values when uncontrolled
+  onFiltersChange,        // Function: called with the next filter values
+  sort,                   // Controlled sort state [{ key, direction: 'asc' | 'desc' }]
+  defaultSort = [],       // Initial sort state when uncontrolled
+  onSortChange,           // Function: called with the next sort state
+  pagination = false,     // Pagination mode: false, true/'client' (slice locally) or 'server'
+  page,                   // Controlled current page (1-based)
+  onPageChange,           // Function: called with (page, pageSize) when the page changes
+  pageSize,               // Controlled page size
+  defaultPageSize = 10,   // Initial page size when uncontrolled
+  pageSizeOptions = DEFAULT_PAGE_SIZE_OPTIONS, // Choices for the page-size selector
+  onPageSizeChange,       // Function: called with the new page size
+  totalCount,             // Total number of records on the server (server mode)
+  virtualized = false,    // Render only the rows scrolled into view, for very large datasets
+  rowHeight,              // Fixed row height in px for virtualized mode (rows are measured otherwise)
+  estimatedRowHeight = 49, // Assumed height in px of rows not yet measured in virtualized mode
+  tableHeight = 600,      // Maximum height in px of the scrolling table in virtualized mode
+  overscan = 5,           // Rows rendered beyond each edge of the visible area in virtualized mode
+  exportable = false,     // Show the Export toolbar action
+  exportFormats = ['csv', 'tsv', 'json'], // Formats offered by the Export action
+  exportFileName,         // Base name of exported files (defaults to the title)
+  importable = false,     // Show the Import toolbar action
+  onImport,               // Function: called with the valid imported items (falls back to onAdd per item)
+  shortcuts = true,       // Page shortcuts { search, add, cancel } overriding the defaults, or false for none
+  manageColumns = false,  // Let users hide, reorder, resize and pin columns
+  columnState,            // Controlled column layout { order, hidden, widths, pinned }
+  defaultColumnState,     // Initial column layout when uncontrolled
+  onColumnStateChange,    // Function: called with the next column layout
+  stateKey,               // localStorage key to save search, sort, page, filters and column layout under
+  syncWithUrl = false,    // Keep the same state in the query string: true, or a prefix for the parameter names
+  savedViews = false,     // Show the Views dropdown, where users save and switch between named views
+  views = [],             // Predefined views [{ id, name, search, filters, sort, columns }]
+  viewStorage: viewStorageProp, // Storage { load, save } for the user's views (defaults to localStorage)
   ...props               // Additional props passed to container
-}) {
-  const [formState, setFormState] = useState({});
-  const [search, setSearch] = useState('');
-  const [formErrors, setFormErrors] = useState({});
-  const [editingItem, setEditingItem] = useState(null);
-
-  // Merge default styles with custom styles
-  const styles = useMemo(() => {
-    const merged = {};
-    Object.keys(defaultStyles).forEach(key => {
-      merged[key] = { ...defaultStyles[key], ...customStyles[key] };
-    });
-    return merged;
-  }, [customStyles]);
-
-  // Filter data based on search term
-  const filteredData = useMemo(() => {
-    if (!search.trim()) return data;
-    
-    return data.filter(item =>
-      columns.some(col => {
-        const value = item[col.key];
-        if (value == null) return false;
-        return value.toString().toLowerCase().includes(search.toLowerCase());
-      })
-    );
-  }, [data, search, columns]);
-
-  // Validate form field
-  const validateField = useCallback((field, value) => {
-    if (field.required && (!value || value.toString().trim() === '')) {
-      return `${field.label} is required`;
-    }
-    
-    if (field.validation) {
-      const validationResult = field.validation(value);
-      if (validationResult !== true) {
-        return validationResult;
-      }
-    }
-    
-    return null;
-  }, []);
-
-  // Validate entire form
-  const validateForm = useCallback(() => {
-    const errors = {};
-    let isValid = true;
-
-    formFields.forEach(field => {
-      const error = validateField(field, formState[field.key]);
-      if (error) {
-        errors[field.key] = error;
-        isValid = false;
-      }
-    });
-
-    setFormErrors(errors);
-    return isValid;
-  }, [formState, formFields, validateField]);
-
-  // Handle form field change
-  const handleFieldChange = useCallback((fieldKey, value) => {
-    setFormState(prev => ({ ...prev, [fieldKey]: value }));
-    
-    // Clear error when user starts typing
-    if (formErrors[fieldKey]) {
-      setFormErrors(prev => ({ ...prev, [fieldKey]: null }));
-    }
-  }, [formErrors]);
+}, ref) {
+  const crud = useGenericCrud({
+    title,
+    data: dataProp,
+    rowKey,
+    loading: loadingProp,
+    error: errorProp,
+    dataSource,
+    columns: columnsProp,
+    formFields: formFieldsProp,
+    schema,
+    validate,
+    validateOn,
+    onAdd: onAddProp,
+    onEdit: onEditProp,
+    onDelete: onDeleteProp,
+    onRefresh: onRefreshProp,
+    renderActions,
+    locale,
+    messages,
+    dir,
+    confirmDelete,
+    typeToConfirm,
+    searchDebounce,
+    highlightMatches,
+    optimistic,
+    undoable,
+    undoTimeout,
+    selectable,
+    selectedIds,
+    onSelectionChange,
+    onBulkDelete,
+    filters,
+    defaultFilters,
+    onFiltersChange,
+    sort,
+    defaultSort,
+    onSortChange,
+    pagination,
+    page,
+    onPageChange,
+    pageSize,
+    defaultPageSize,
+    onPageSizeChange,
+    totalCount,
+    virtualized,
+    rowHeight,
+    estimatedRowHeight,
+    tableHeight,
+    overscan,
+    exportable,
+    exportFormats,
+    exportFileName,
+    importable,
+    onImport,
+    shortcuts,
+    manageColumns,
+    columnState,
+    defaultColumnState,
+    onColumnStateChange,
+    stateKey,
+    syncWithUrl,
+    savedViews,
+    views,
+    viewStorage: viewStorageProp
+  });
+  const {
+    t,
+    direction,
+    loading,
+    error,
+    actionError,
+    onRefresh,
+    ids,
+    undoToasts,
+    handleUndo,
+    confirmation,
+    exportData
+  } = crud;
+  const { theme: activeTheme, cssVariables, styles } = useCrudStyles({ theme, customStyles, direction });
 
-  // Handle adding a new item
-  const handleAdd = useCallback(() => {
-    if (!validateForm()) return;
-    
-    try {
-      onAdd && onAdd(formState);
-      setFormState({});
-      setFormErrors({});
-    } catch (err) {
-      console.error('Error adding item:', err);
-    }
-  }, [formState, validateForm, onAdd]);
-
-  // Handle editing an item
-  const handleEdit = useCallback((item) => {
-    try {
-      onEdit && onEdit(item);
-    } catch (err) {
-      console.error('Error editing item:', err);
-    }
-  }, [onEdit]);
-
-  // Handle deleting an item
-  const handleDelete = useCallback((id) => {
-    const confirmMessage = confirmDelete 
-      ? `Are you sure you want to delete this item?`
-      : null;
-    
-    if (confirmMessage && !window.confirm(confirmMessage)) {
-      return;
-    }
-    
-    try {
-      onDelete && onDelete(id);
-    } catch (err) {
-      console.error('Error deleting item:', err);
-    }
-  }, [onDelete, confirmDelete]);
-
-  // Handle form submission
-  const handleFormSubmit = useCallback((e) => {
-    e.preventDefault();
-    handleAdd();
-  }, [handleAdd]);
+  useImperativeHandle(ref, () => ({ exportData }), [exportData]);
 
   return (
     <div 
-      style={styles.container} 
+      style={{ ...cssVariables, ...styles.container }} 
+      data-theme={activeTheme.mode}
+      dir={direction}
+      lang={locale}
       className={`generic-crud-page ${className}`}
       {...props}
     >
       {/* Header */}
       <div style={styles.header}>
-        <h1 style={{ margin: 0, fontSize: '24px', fontWeight: '600' }}>
+        <h1 style={styles.title}>
           {title}
         </h1>
         {onRefresh && (
@@ -181,219 +232,64 @@ export default function GenericCrudPage({
               opacity: loading ? 0.6 : 1,
               cursor: loading ? 'not-allowed' : 'pointer'
             }}
-            aria-label="Refresh data"
+            aria-label={t('refreshLabel')}
           >
-            <RefreshButtonIcon size={18} /> Refresh
+            <RefreshButtonIcon size={18} /> {t('refresh')}
           </button>
         )}
       </div>
 
       {/* Error Display */}
-      {error && (
-        <div style={{
-          padding: '12px 16px',
-          backgroundColor: '#f8d7da',
-          color: '#721c24',
-          borderRadius: '6px',
-          marginBottom: '20px',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '8px',
-          border: '1px solid #f5c6cb'
-        }}>
+      {[error, actionError].filter(Boolean).map((message, index) => (
+        <div 
+          key={index}
+          style={styles.errorBanner}
+          role="alert"
+        >
           <AlertCircle size={16} />
-          {error}
+          {message}
         </div>
-      )}
+      ))}
+
+      <CrudForm
+        crud={crud}
+        styles={styles}
+        renderField={renderField}
+        AddButtonIcon={AddButtonIcon}
+      />
+
+      <CrudToolbar crud={crud} styles={styles} bulkActions={bulkActions}>
+        <CrudSearchBar crud={crud} styles={styles} placeholder={searchPlaceholder} />
+      </CrudToolbar>
+
+      <CrudTable
+        crud={crud}
+        styles={styles}
+        emptyMessage={emptyMessage}
+        loadingMessage={loadingMessage}
+        pageSizeOptions={pageSizeOptions}
+      />
 
-      {/* Form */}
-      {formFields.length > 0 && (
-        <form onSubmit={handleFormSubmit} style={styles.form}>
-          {formFields.map(field => (
-            <div key={field.key} style={styles.formField}>
-              <label 
-                htmlFor={field.key}
-                style={{ 
-                  fontSize: '14px', 
-                  fontWeight: '500', 
-                  color: '#495057',
-                  marginBottom: '4px'
-                }}
+      {undoToasts.length > 0 && (
+        <div style={styles.toastList} role="status" aria-live="polite">
+          {undoToasts.map(toast => (
+            <div key={toast.opId} style={styles.toast}>
+              <span id={`${ids.undo}-${toast.opId}`}>{toast.message}</span>
+              <button
+                type="button"
+                onClick={() => handleUndo(toast.opId)}
+                style={styles.toastButton}
+                aria-describedby={`${ids.undo}-${toast.opId}`}
               >
-                {field.label}
-                {field.required && <span style={{ color: '#dc3545' }}> *</span>}
-              </label>
-              
-              {field.type === 'select' ? (
-                <select
-                  id={field.key}
-                  value={formState[field.key] || ''}
-                  onChange={(e) => handleFieldChange(field.key, e.target.value)}
-                  disabled={loading}
-                  style={{
-                    ...inputStyles,
-                    borderColor: formErrors[field.key] ? '#dc3545' : '#ced4da'
-                  }}
-                  aria-describedby={formErrors[field.key] ? `${field.key}-error` : undefined}
-                >
-                  <option value="">{field.placeholder || `Select ${field.label}`}</option>
-                  {field.options?.map(opt => (
-                    <option key={opt.value} value={opt.value}>{opt.label}</option>
-                  ))}
-                </select>
-              ) : (
-                <input
-                  id={field.key}
-                  type={field.type || 'text'}
-                  value={formState[field.key] || ''}
-                  onChange={(e) => handleFieldChange(field.key, e.target.value)}
-                  placeholder={field.placeholder || field.label}
-                  disabled={loading}
-                  style={{
-                    ...inputStyles,
-                    borderColor: formErrors[field.key] ? '#dc3545' : '#ced4da'
-                  }}
-                  aria-describedby={formErrors[field.key] ? `${field.key}-error` : undefined}
-                />
-              )}
-              
-              {formErrors[field.key] && (
-                <div 
-                  id={`${field.key}-error`}
-                  style={{ 
-                    color: '#dc3545', 
-                    fontSize: '12px', 
-                    marginTop: '4px' 
-                  }}
-                  role="alert"
-                >
-                  {formErrors[field.key]}
-                </div>
-              )}
+                {t('undo')}
+              </button>
             </div>
           ))}
-          
-          {onAdd && (
-            <button 
-              type="submit"
-              disabled={loading} 
-              style={{
-                ...styles.addButton,
-                opacity: loading ? 0.6 : 1,
-                cursor: loading ? 'not-allowed' : 'pointer'
-              }}
-              aria-label="Add new item"
-            >
-              <AddButtonIcon size={18} /> Add
-            </button>
-          )}
-        </form>
-      )}
-
-      {/* Search */}
-      <div style={styles.searchBar}>
-        <div style={{ position: 'relative', flex: 1 }}>
-          <Search 
-            size={16} 
-            style={{ 
-              position: 'absolute', 
-              left: '12px', 
-              top: '50%', 
-              transform: 'translateY(-50%)',
-              color: '#6c757d'
-            }} 
-          />
-          <input
-            type="text"
-            placeholder={searchPlaceholder}
-            value={search}
-            onChange={(e) => setSearch(e.target.value)}
-            disabled={loading}
-            style={{
-              ...inputStyles,
-              paddingLeft: '40px',
-              width: '100%',
-              boxSizing: 'border-box'
-            }}
-            aria-label="Search data"
-          />
-        </div>
-        <span style={{ 
-          fontSize: '14px', 
-          color: '#6c757d',
-          whiteSpace: 'nowrap'
-        }}>
-          Total: {filteredData.length}
-        </span>
-      </div>
-
-      {/* Table */}
-      {loading ? (
-        <div style={styles.loading}>
-          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}>
-            <RefreshCw size={20} style={{ animation: 'spin 1s linear infinite' }} />
-            {loadingMessage}
-          </div>
-        </div>
-      ) : filteredData.length === 0 ? (
-        <div style={styles.empty}>
-          {search ? 'No results found' : emptyMessage}
-        </div>
-      ) : (
-        <div style={{ overflowX: 'auto' }}>
-          <table style={styles.table} role="table">
-            <thead>
-              <tr>
-                {columns.map(col => (
-                  <th key={col.key} style={tableStyles.th}>
-                    {col.label}
-                  </th>
-                ))}
-                {(onEdit || onDelete || renderActions) && (
-                  <th style={tableStyles.th}>Actions</th>
-                )}
-              </tr>
-            </thead>
-            <tbody>
-              {filteredData.map(item => (
-                <tr key={item.id} style={{ '&:hover': { backgroundColor: '#f8f9fa' } }}>
-                  {columns.map(col => (
-                    <td key={`${item.id}-${col.key}`} style={tableStyles.td}>
-                      {col.render ? col.render(item) : item[col.key]}
-                    </td>
-                  ))}
-                  {(onEdit || onDelete || renderActions) && (
-                    <td style={tableStyles.td}>
-                      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-                        {onEdit && (
-                          <button 
-                            onClick={() => handleEdit(item)}
-                            style={{ ...tableStyles.actionButton, ...tableStyles.editButton }}
-                            aria-label={`Edit ${item.name || item.id}`}
-                          >
-                            Edit
-                          </button>
-                        )}
-                        {onDelete && (
-                          <button 
-                            onClick={() => handleDelete(item.id)}
-                            style={{ ...tableStyles.actionButton, ...tableStyles.deleteButton }}
-                            aria-label={`Delete ${item.name || item.id}`}
-                          >
-                            Delete
-                          </button>
-                        )}
-                        {renderActions && renderActions(item)}
-                      </div>
-                    </td>
-                  )}
-                </tr>
-              ))}
-            </tbody>
-          </table>
         </div>
       )}
 
+      {confirmation && <ConfirmDialog {...crud.getConfirmDialogProps({ styles })} />}
+
       <style>{`
         @keyframes spin {
           from { transform: translateY(-50%) rotate(0deg); }
@@ -402,16 +298,21 @@ export default function GenericCrudPage({
         
         .generic-crud-page input:focus,
         .generic-crud-page select:focus {
-          border-color: #007bff;
-          box-shadow: 0 0 0 2px rgba(0, 123, 255, 0.25);
+          border-color: var(--gcp-color-primary);
+          box-shadow: 0 0 0 2px var(--gcp-color-focus-ring);
         }
         
         .generic-crud-page button:hover:not(:disabled) {
           opacity: 0.9;
         }
         
+        .generic-crud-page nav button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        
         .generic-crud-page table tbody tr:hover {
-          background-color: #f8f9fa;
+          background-color: var(--gcp-color-surface-hover);
         }
         
         @media (max-width: 768px) {
@@ -436,4 +337,6 @@ export default function GenericCrudPage({
       `}</style>
     </div>
   );
-}
+});
+
+export default GenericCrudPage;
@@ -1,7 +1,15 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import GenericCrudPage from './GenericCrudPage.jsx';
+import useGenericCrud from './useGenericCrud.js';
+import CrudForm from './CrudForm.jsx';
+import CrudToolbar from './CrudToolbar.jsx';
+import CrudSearchBar from './CrudSearchBar.jsx';
+import CrudTable from './CrudTable.jsx';
+import ConfirmDialog from './ConfirmDialog.jsx';
+import { createMemoryAdapter } from './dataSources.js';
+import { ThemeProvider } from './ThemeProvider.jsx';
 
 // Mock lucide-react icons
 jest.mock('lucide-react', () => ({
@@ -9,8 +17,41 @@ jest.mock('lucide-react', () => ({
   RefreshCw: ({ size }) => <span data-testid="refresh-icon">Refresh</span>,
   Search: ({ size }) => <span data-testid="search-icon">Search</span>,
   AlertCircle: ({ size }) => <span data-testid="alert-icon">Alert</span>,
+  ChevronUp: ({ size }) => <span data-testid="sort-asc-icon" />,
+  ChevronDown: ({ size }) => <span data-testid="sort-desc-icon" />,
+  ChevronsUpDown: ({ size }) => <span data-testid="sort-none-icon" />,
+  ChevronLeft: ({ size }) => <span data-testid="prev-icon" />,
+  ChevronRight: ({ size }) => <span data-testid="next-icon" />,
+  ChevronsLeft: ({ size }) => <span data-testid="first-icon" />,
+  ChevronsRight: ({ size }) => <span data-testid="last-icon" />,
+  Filter: ({ size }) => <span data-testid="filter-icon" />,
+  X: ({ size }) => <span data-testid="x-icon" />,
+  Download: ({ size }) => <span data-testid="download-icon" />,
+  Upload: ({ size }) => <span data-testid="upload-icon" />,
+  Columns: ({ size }) => <span data-testid="columns-icon" />,
+  Bookmark: ({ size }) => <span data-testid="bookmark-icon" />,
 }));
 
+// Promise that a test can settle by hand
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Confirm the open delete confirmation dialog
+const confirmDialog = () => fireEvent.click(
+  within(screen.getByRole('alertdialog')).getByRole('button', { name: 'Delete' })
+);
+
+// Panel opened by a toolbar button
+const panelOf = (name) => document.getElementById(
+  screen.getByRole('button', { name }).getAttribute('aria-controls')
+);
+
 describe('GenericCrudPage', () => {
   const mockData = [
     { id: 1, name: 'John Doe', email: 'john@example.com' },
@@ -106,32 +147,82 @@ describe('GenericCrudPage', () => {
     });
   });
 
-  test('handles search functionality', () => {
+  test('handles search functionality', async () => {
     render(<GenericCrudPage {...defaultProps} />);
     
     const searchInput = screen.getByPlaceholderText('Search...');
     fireEvent.change(searchInput, { target: { value: 'John' } });
 
-    expect(screen.getByText('John Doe')).toBeInTheDocument();
-    expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+    });
+    expect(screen.getByRole('gridcell', { name: 'John Doe' })).toBeInTheDocument();
   });
 
-  test('handles edit action', () => {
+  test('handles edit action', async () => {
     render(<GenericCrudPage {...defaultProps} />);
     
     const editButtons = screen.getAllByText('Edit');
     fireEvent.click(editButtons[0]);
 
+    expect(screen.getByLabelText('Name *')).toHaveValue('John Doe');
+    expect(screen.getByLabelText('Email *')).toHaveValue('john@example.com');
+    expect(defaultProps.onEdit).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'John Updated' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(defaultProps.onEdit).toHaveBeenCalledWith(
+        { ...mockData[0], name: 'John Updated' },
+        mockData[0]
+      );
+    });
+    expect(await screen.findByText('Add')).toBeInTheDocument();
+    expect(screen.getByLabelText('Name *')).toHaveValue('');
+  });
+
+  test('does not save an invalid edit', async () => {
+    render(<GenericCrudPage {...defaultProps} />);
+    
+    fireEvent.click(screen.getAllByText('Edit')[0]);
+    fireEvent.change(screen.getByLabelText('Name *'), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Name is required')).toBeInTheDocument();
+    });
+    expect(defaultProps.onEdit).not.toHaveBeenCalled();
+  });
+
+  test('cancels edit mode', () => {
+    render(<GenericCrudPage {...defaultProps} />);
+    
+    fireEvent.click(screen.getAllByText('Edit')[1]);
+    fireEvent.click(screen.getByText('Cancel'));
+
+    expect(screen.getByText('Add')).toBeInTheDocument();
+    expect(screen.getByLabelText('Name *')).toHaveValue('');
+    expect(defaultProps.onEdit).not.toHaveBeenCalled();
+  });
+
+  test('calls onEdit directly when there are no form fields', () => {
+    render(<GenericCrudPage {...defaultProps} formFields={[]} />);
+    
+    fireEvent.click(screen.getAllByText('Edit')[0]);
+
     expect(defaultProps.onEdit).toHaveBeenCalledWith(mockData[0]);
   });
 
-  test('handles delete action', () => {
+  test('handles delete action', async () => {
     render(<GenericCrudPage {...defaultProps} />);
     
     const deleteButtons = screen.getAllByText('Delete');
     fireEvent.click(deleteButtons[0]);
+    confirmDialog();
 
-    expect(defaultProps.onDelete).toHaveBeenCalledWith(1);
+    await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(1));
+    await waitFor(() => expect(deleteButtons[0]).not.toBeDisabled());
   });
 
   test('handles refresh action', () => {
@@ -168,4 +259,2487 @@ describe('GenericCrudPage', () => {
     const mainContainer = container.firstChild;
     expect(mainContainer).toHaveStyle('background-color: red');
   });
-}); 
\ No newline at end of file
+
+  describe('sorting', () => {
+    const sortData = [
+      { id: 1, name: 'bob', age: 30 },
+      { id: 2, name: 'Alice', age: 9 },
+      { id: 3, name: 'carol', age: 30 }
+    ];
+    const sortColumns = [
+      { key: 'name', label: 'Name', sortable: true },
+      { key: 'age', label: 'Age', sortable: true }
+    ];
+
+    const renderedNames = () =>
+      screen.getAllByRole('row').slice(1).map(row => row.cells[0].textContent);
+
+    test('cycles a column through ascending, descending and unsorted', () => {
+      render(<GenericCrudPage {...defaultProps} data={sortData} columns={sortColumns} />);
+      
+      const header = screen.getByRole('columnheader', { name: /Name/ });
+      expect(header).toHaveAttribute('aria-sort', 'none');
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(header).toHaveAttribute('aria-sort', 'ascending');
+      expect(renderedNames()).toEqual(['Alice', 'bob', 'carol']);
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(header).toHaveAttribute('aria-sort', 'descending');
+      expect(renderedNames()).toEqual(['carol', 'bob', 'Alice']);
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(header).toHaveAttribute('aria-sort', 'none');
+      expect(renderedNames()).toEqual(['bob', 'Alice', 'carol']);
+    });
+
+    test('compares numbers numerically and adds secondary keys on shift-click', () => {
+      render(<GenericCrudPage {...defaultProps} data={sortData} columns={sortColumns} />);
+      
+      fireEvent.click(screen.getByRole('button', { name: /Age/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Age/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }), { shiftKey: true });
+
+      expect(renderedNames()).toEqual(['bob', 'carol', 'Alice']);
+    });
+
+    test('uses a custom sortFn', () => {
+      const columns = [
+        { key: 'name', label: 'Name', sortable: true, sortFn: (a, b) => a.name.length - b.name.length }
+      ];
+      render(<GenericCrudPage {...defaultProps} data={sortData} columns={columns} />);
+      
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(renderedNames()).toEqual(['bob', 'Alice', 'carol']);
+    });
+
+    test('sorts text in the locale', () => {
+      const names = ['Zeta', 'Ärla', 'Anna'].map((name, index) => ({ id: index + 1, name, age: index }));
+      render(<GenericCrudPage {...defaultProps} data={names} columns={sortColumns} locale="sv" />);
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(renderedNames()).toEqual(['Anna', 'Zeta', 'Ärla']);
+    });
+
+    test('supports controlled sort state', () => {
+      const onSortChange = jest.fn();
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          data={sortData} 
+          columns={sortColumns}
+          sort={[{ key: 'name', direction: 'desc' }]}
+          onSortChange={onSortChange}
+        />
+      );
+      
+      expect(renderedNames()).toEqual(['carol', 'bob', 'Alice']);
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      expect(onSortChange).toHaveBeenCalledWith([]);
+      expect(renderedNames()).toEqual(['carol', 'bob', 'Alice']);
+    });
+
+    test('sorts the filtered data', async () => {
+      render(<GenericCrudPage {...defaultProps} data={sortData} columns={sortColumns} />);
+      
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'o' } });
+      await waitFor(() => expect(renderedNames()).toHaveLength(2));
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+
+      expect(renderedNames()).toEqual(['carol', 'bob']);
+    });
+  });
+
+  describe('pagination', () => {
+    const manyItems = Array.from({ length: 25 }, (_, i) => ({
+      id: i + 1,
+      name: `User ${i + 1}`,
+      email: `user${i + 1}@example.com`
+    }));
+
+    test('slices data locally and shows the visible range', () => {
+      render(<GenericCrudPage {...defaultProps} data={manyItems} pagination />);
+      
+      expect(screen.getByText('Showing 1\u201310 of 25')).toBeInTheDocument();
+      expect(screen.getByText('User 10')).toBeInTheDocument();
+      expect(screen.queryByText('User 11')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Next page'));
+      expect(screen.getByText('Showing 11\u201320 of 25')).toBeInTheDocument();
+      expect(screen.getByText('User 11')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Page 3'));
+      expect(screen.getByText('Showing 21\u201325 of 25')).toBeInTheDocument();
+      expect(screen.getByLabelText('Next page')).toBeDisabled();
+    });
+
+    test('changes the page size and returns to the first page', () => {
+      render(<GenericCrudPage {...defaultProps} data={manyItems} pagination />);
+      
+      fireEvent.click(screen.getByLabelText('Last page'));
+      fireEvent.change(screen.getByLabelText('Rows per page'), { target: { value: '25' } });
+
+      expect(screen.getByText('Showing 1\u201325 of 25')).toBeInTheDocument();
+      expect(screen.getByText('User 25')).toBeInTheDocument();
+    });
+
+    test('returns to the first page when searching', async () => {
+      render(<GenericCrudPage {...defaultProps} data={manyItems} pagination />);
+      
+      fireEvent.click(screen.getByLabelText('Next page'));
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: '"User 2"' } });
+
+      expect(await screen.findByText('Showing 1\u20137 of 7')).toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: 'User 2' })).toBeInTheDocument();
+    });
+
+    test('uses totalCount and onPageChange in server mode', () => {
+      const onPageChange = jest.fn();
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          data={manyItems.slice(10, 20)} 
+          pagination="server"
+          totalCount={95}
+          page={2}
+          onPageChange={onPageChange}
+        />
+      );
+      
+      expect(screen.getByText('Showing 11\u201320 of 95')).toBeInTheDocument();
+      expect(screen.getByText('User 11')).toBeInTheDocument();
+      expect(screen.getByText('User 20')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByLabelText('Next page'));
+      expect(onPageChange).toHaveBeenCalledWith(3, 10);
+    });
+
+    test('returns to the first page once the debounced search is applied', async () => {
+      const onPageChange = jest.fn();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          data={manyItems.slice(10, 20)}
+          pagination="server"
+          totalCount={95}
+          page={2}
+          onPageChange={onPageChange}
+        />
+      );
+
+      const input = screen.getByPlaceholderText('Search...');
+      ['j', 'jo', 'joh'].forEach(value => fireEvent.change(input, { target: { value } }));
+      expect(onPageChange).not.toHaveBeenCalled();
+
+      await waitFor(() => expect(onPageChange).toHaveBeenCalledWith(1, 10));
+      expect(onPageChange).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('data sources', () => {
+    const dataSourceProps = {
+      title: 'Test Page',
+      columns: mockColumns,
+      formFields: mockFormFields
+    };
+
+    test('loads records from the adapter', async () => {
+      const dataSource = createMemoryAdapter(mockData);
+      render(<GenericCrudPage {...dataSourceProps} dataSource={dataSource} />);
+      
+      expect(screen.getByText('Loading data...')).toBeInTheDocument();
+      expect(await screen.findByText('John Doe')).toBeInTheDocument();
+      expect(screen.getByText('Total: 2')).toBeInTheDocument();
+    });
+
+    test('creates, updates and removes records through the adapter', async () => {
+      const dataSource = createMemoryAdapter(mockData);
+      render(<GenericCrudPage {...dataSourceProps} dataSource={dataSource} />);
+      await screen.findByText('John Doe');
+
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'New User' } });
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: 'new@example.com' } });
+      fireEvent.click(screen.getByText('Add'));
+      expect(await screen.findByText('New User')).toBeInTheDocument();
+
+      fireEvent.click(screen.getAllByText('Edit')[0]);
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'John Updated' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(await screen.findByText('John Updated')).toBeInTheDocument();
+
+      fireEvent.click(screen.getAllByText('Delete')[1]);
+      confirmDialog();
+      await waitFor(() => {
+        expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+      });
+      expect(await dataSource.list()).toEqual([
+        { id: 1, name: 'John Updated', email: 'john@example.com' },
+        { id: 3, name: 'New User', email: 'new@example.com' }
+      ]);
+    });
+
+    test('shows adapter errors in the error banner', async () => {
+      const dataSource = {
+        list: jest.fn(() => Promise.reject(new Error('Server unavailable')))
+      };
+      render(<GenericCrudPage {...dataSourceProps} dataSource={dataSource} />);
+      
+      expect(await screen.findByText('Server unavailable')).toBeInTheDocument();
+      expect(screen.queryByText('Add')).not.toBeInTheDocument();
+    });
+
+    test('refreshes through the adapter', async () => {
+      const dataSource = createMemoryAdapter(mockData);
+      const listSpy = jest.spyOn(dataSource, 'list');
+      render(<GenericCrudPage {...dataSourceProps} dataSource={dataSource} />);
+      await screen.findByText('John Doe');
+
+      fireEvent.click(screen.getByLabelText('Refresh data'));
+      await waitFor(() => expect(listSpy).toHaveBeenCalledTimes(2));
+      expect(await screen.findByText('John Doe')).toBeInTheDocument();
+    });
+  });
+
+  describe('async handlers', () => {
+    const fillForm = () => {
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'New User' } });
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: 'new@example.com' } });
+    };
+
+    test('disables the form while onAdd is pending', async () => {
+      const request = deferred();
+      const onAdd = jest.fn(() => request.promise);
+      render(<GenericCrudPage {...defaultProps} onAdd={onAdd} />);
+      
+      fillForm();
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByLabelText('Add new item')).toBeDisabled();
+      expect(screen.getByLabelText('Name *')).toBeDisabled();
+      expect(screen.getAllByText('Delete')[0]).not.toBeDisabled();
+
+      request.resolve();
+      await waitFor(() => expect(screen.getByLabelText('Name *')).not.toBeDisabled());
+      expect(screen.getByLabelText('Name *')).toHaveValue('');
+    });
+
+    test('keeps the form and shows the error when onAdd rejects', async () => {
+      const onAdd = jest.fn(() => Promise.reject(new Error('Email already exists')));
+      render(<GenericCrudPage {...defaultProps} onAdd={onAdd} />);
+      
+      fillForm();
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('Email already exists')).toBeInTheDocument();
+      expect(screen.getByLabelText('Name *')).toHaveValue('New User');
+      expect(screen.getByLabelText('Name *')).not.toBeDisabled();
+    });
+
+    test('stays in edit mode when onEdit rejects', async () => {
+      const onEdit = jest.fn(() => Promise.reject(new Error('Conflict')));
+      render(<GenericCrudPage {...defaultProps} onEdit={onEdit} />);
+      
+      fireEvent.click(screen.getAllByText('Edit')[0]);
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(await screen.findByText('Conflict')).toBeInTheDocument();
+      expect(screen.getByText('Save')).toBeInTheDocument();
+      expect(screen.getByLabelText('Name *')).toHaveValue('John Doe');
+    });
+
+    test('disables only the affected row while onDelete is pending', async () => {
+      const request = deferred();
+      const onDelete = jest.fn(() => request.promise);
+      render(<GenericCrudPage {...defaultProps} onDelete={onDelete} />);
+      
+      fireEvent.click(screen.getAllByText('Delete')[0]);
+      confirmDialog();
+
+      await waitFor(() => expect(screen.getAllByText('Delete')[0]).toBeDisabled());
+      expect(screen.getAllByText('Delete')[1]).not.toBeDisabled();
+      expect(screen.getByLabelText('Name *')).not.toBeDisabled();
+
+      request.reject(new Error('Cannot delete this user'));
+      expect(await screen.findByText('Cannot delete this user')).toBeInTheDocument();
+      expect(screen.getAllByText('Delete')[0]).not.toBeDisabled();
+    });
+  });
+
+  describe('optimistic updates', () => {
+    test('shows a new row before onAdd resolves', async () => {
+      const request = deferred();
+      const onAdd = jest.fn(() => request.promise);
+      render(<GenericCrudPage {...defaultProps} onAdd={onAdd} optimistic />);
+      
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'New User' } });
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: 'new@example.com' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('New User')).toBeInTheDocument();
+      expect(screen.getByLabelText('Name *')).toHaveValue('');
+      expect(screen.getByLabelText('Name *')).not.toBeDisabled();
+
+      request.reject(new Error('Email already exists'));
+      expect(await screen.findByText('Email already exists')).toBeInTheDocument();
+      expect(screen.queryByText('New User')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Name *')).toHaveValue('New User');
+    });
+
+    test('hides a deleted row and restores it when onDelete rejects', async () => {
+      const request = deferred();
+      const onDelete = jest.fn(() => request.promise);
+      render(<GenericCrudPage {...defaultProps} onDelete={onDelete} optimistic />);
+      
+      fireEvent.click(screen.getAllByText('Delete')[0]);
+      confirmDialog();
+      await waitFor(() => expect(screen.queryByText('John Doe')).not.toBeInTheDocument());
+
+      request.reject(new Error('Cannot delete this user'));
+      expect(await screen.findByText('Cannot delete this user')).toBeInTheDocument();
+      expect(screen.getByText('John Doe').closest('tr')).toHaveStyle('background-color: #fdf2f3');
+    });
+
+    test('shows an edit right away and reverts it when onEdit rejects', async () => {
+      const request = deferred();
+      const onEdit = jest.fn(() => request.promise);
+      render(<GenericCrudPage {...defaultProps} onEdit={onEdit} optimistic />);
+      
+      fireEvent.click(screen.getAllByText('Edit')[0]);
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'John Updated' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(await screen.findByText('John Updated')).toBeInTheDocument();
+      expect(screen.getByText('Add')).toBeInTheDocument();
+
+      request.reject(new Error('Conflict'));
+      expect(await screen.findByText('Conflict')).toBeInTheDocument();
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+      expect(screen.queryByText('John Updated')).not.toBeInTheDocument();
+    });
+
+    test('works with a data source', async () => {
+      const dataSource = createMemoryAdapter(mockData, { delay: 10 });
+      render(
+        <GenericCrudPage 
+          title="Test Page" 
+          columns={mockColumns} 
+          formFields={mockFormFields}
+          dataSource={dataSource} 
+          optimistic 
+        />
+      );
+      await screen.findByText('John Doe');
+
+      fireEvent.click(screen.getAllByText('Delete')[1]);
+      confirmDialog();
+      await waitFor(() => expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument());
+      await waitFor(async () => expect(await dataSource.list()).toHaveLength(1));
+      expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('selection', () => {
+    const rowCheckbox = (name) => screen.getByLabelText(`Select ${name}`);
+
+    test('selects rows and shows the selection toolbar', () => {
+      render(<GenericCrudPage {...defaultProps} selectable />);
+      
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument();
+
+      fireEvent.click(rowCheckbox('John Doe'));
+      expect(rowCheckbox('John Doe')).toBeChecked();
+      expect(screen.getByText('1 selected')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('Clear selection'));
+      expect(rowCheckbox('John Doe')).not.toBeChecked();
+      expect(screen.queryByRole('toolbar')).not.toBeInTheDocument();
+    });
+
+    test('select-all applies to the filtered rows and selection survives search changes', async () => {
+      render(<GenericCrudPage {...defaultProps} selectable />);
+      
+      const searchInput = screen.getByPlaceholderText('Search...');
+      fireEvent.change(searchInput, { target: { value: 'Jane' } });
+      await waitFor(() => expect(screen.queryByText('John Doe')).not.toBeInTheDocument());
+      fireEvent.click(screen.getByLabelText('Select all rows'));
+      expect(screen.getByText('1 selected')).toBeInTheDocument();
+
+      fireEvent.change(searchInput, { target: { value: '' } });
+      await waitFor(() => expect(screen.getByText('John Doe')).toBeInTheDocument());
+      expect(rowCheckbox('Jane Smith')).toBeChecked();
+      expect(rowCheckbox('John Doe')).not.toBeChecked();
+      expect(screen.getByLabelText('Select all rows')).not.toBeChecked();
+      expect(screen.getByLabelText('Select all rows').indeterminate).toBe(true);
+
+      fireEvent.click(screen.getByLabelText('Select all rows'));
+      expect(screen.getByText('2 selected')).toBeInTheDocument();
+    });
+
+    test('bulk deletes the selected ids with a single confirmation', async () => {
+      const onBulkDelete = jest.fn(() => Promise.resolve());
+      render(<GenericCrudPage {...defaultProps} selectable onBulkDelete={onBulkDelete} />);
+      
+      fireEvent.click(screen.getByLabelText('Select all rows'));
+      fireEvent.click(screen.getByText('Delete selected'));
+
+      expect(screen.getAllByRole('alertdialog')).toHaveLength(1);
+      expect(screen.getByRole('alertdialog')).toHaveAccessibleDescription('Are you sure you want to delete 2 selected items?');
+      confirmDialog();
+      await waitFor(() => expect(onBulkDelete).toHaveBeenCalledWith([1, 2]));
+      await waitFor(() => expect(screen.queryByRole('toolbar')).not.toBeInTheDocument());
+    });
+
+    test('runs custom bulk actions with the selected items', async () => {
+      const onClick = jest.fn();
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          selectable 
+          bulkActions={[{ label: 'Export', onClick }]} 
+        />
+      );
+      
+      fireEvent.click(rowCheckbox('Jane Smith'));
+      fireEvent.click(screen.getByText('Export'));
+
+      expect(onClick).toHaveBeenCalledWith([mockData[1]]);
+      await waitFor(() => expect(screen.getByText('Export')).not.toBeDisabled());
+    });
+
+    test('supports controlled selection', () => {
+      const onSelectionChange = jest.fn();
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          selectable 
+          selectedIds={[2]}
+          onSelectionChange={onSelectionChange}
+        />
+      );
+      
+      expect(rowCheckbox('Jane Smith')).toBeChecked();
+
+      fireEvent.click(rowCheckbox('John Doe'));
+      expect(onSelectionChange).toHaveBeenCalledWith([2, 1]);
+      expect(rowCheckbox('John Doe')).not.toBeChecked();
+    });
+  });
+
+  describe('column filters', () => {
+    const people = [
+      { id: 1, name: 'John Doe', role: 'admin', age: 42, joined: '2023-01-15', active: true },
+      { id: 2, name: 'Jane Smith', role: 'user', age: 28, joined: '2024-03-02', active: false },
+      { id: 3, name: 'Bob Stone', role: 'admin', age: 35, joined: '2024-06-20', active: false }
+    ];
+    const filterColumns = [
+      { key: 'name', label: 'Name', filter: 'text' },
+      { key: 'role', label: 'Role', filter: 'select' },
+      { key: 'age', label: 'Age', filter: 'number' },
+      { key: 'joined', label: 'Joined', filter: 'date' },
+      { key: 'active', label: 'Active', filter: 'boolean', render: item => (item.active ? 'Yes' : 'No') }
+    ];
+    const filterFormFields = [
+      {
+        key: 'role',
+        label: 'Role',
+        type: 'select',
+        options: [{ value: 'admin', label: 'Administrator' }, { value: 'user', label: 'Member' }]
+      }
+    ];
+
+    const renderFiltered = (props = {}) => {
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          data={people} 
+          columns={filterColumns} 
+          formFields={filterFormFields}
+          {...props}
+        />
+      );
+      fireEvent.click(screen.getByRole('button', { name: /Filters/ }));
+    };
+
+    const renderedNames = () =>
+      screen.queryAllByRole('row').slice(1).map(row => row.cells[0].textContent);
+
+    test('filters by select options taken from the form fields', () => {
+      renderFiltered();
+      
+      fireEvent.change(screen.getByLabelText('Filter Role'), { target: { value: 'admin' } });
+
+      expect(renderedNames()).toEqual(['John Doe', 'Bob Stone']);
+      expect(screen.getByText('Role: Administrator')).toBeInTheDocument();
+    });
+
+    test('filters by number and date ranges', () => {
+      renderFiltered();
+      
+      fireEvent.change(screen.getByLabelText('Age minimum'), { target: { value: '30' } });
+      expect(renderedNames()).toEqual(['John Doe', 'Bob Stone']);
+
+      fireEvent.change(screen.getByLabelText('Joined from'), { target: { value: '2024-01-01' } });
+      expect(renderedNames()).toEqual(['Bob Stone']);
+
+      fireEvent.change(screen.getByLabelText('Joined to'), { target: { value: '2024-06-19' } });
+      expect(screen.getByText('No results found')).toBeInTheDocument();
+    });
+
+    test('combines boolean filters with the global search', async () => {
+      renderFiltered();
+      
+      fireEvent.change(screen.getByLabelText('Filter Active'), { target: { value: 'false' } });
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'Stone' } });
+
+      await waitFor(() => expect(renderedNames()).toEqual(['Bob Stone']));
+    });
+
+    test('removes filters through their chips', () => {
+      renderFiltered();
+      
+      fireEvent.change(screen.getByLabelText('Filter Name'), { target: { value: 'j' } });
+      fireEvent.change(screen.getByLabelText('Filter Role'), { target: { value: 'user' } });
+      expect(renderedNames()).toEqual(['Jane Smith']);
+
+      fireEvent.click(screen.getByLabelText('Remove filter Role'));
+      expect(renderedNames()).toEqual(['John Doe', 'Jane Smith']);
+
+      fireEvent.click(screen.getByText('Clear all'));
+      expect(renderedNames()).toHaveLength(3);
+    });
+
+    test('supports controlled filters', () => {
+      const onFiltersChange = jest.fn();
+      renderFiltered({ filters: { role: 'user' }, onFiltersChange });
+      
+      expect(renderedNames()).toEqual(['Jane Smith']);
+
+      fireEvent.change(screen.getByLabelText('Age maximum'), { target: { value: '30' } });
+      expect(onFiltersChange).toHaveBeenCalledWith({ role: 'user', age: { max: '30' } });
+    });
+  });
+
+  describe('search queries', () => {
+    const people = [
+      { id: 1, name: 'John Doe', email: 'john@example.com', role: 'admin', age: 42 },
+      { id: 2, name: 'Jane Smith', email: 'jane@example.com', role: 'user', age: 28 },
+      { id: 3, name: 'Bob Stone', email: 'bob@stone.dev', role: 'owner', age: 35 }
+    ];
+    const queryColumns = [
+      { key: 'name', label: 'Full Name' },
+      { key: 'email', label: 'Email' },
+      { key: 'role', label: 'Role', render: item => <strong>{item.role}</strong> },
+      { key: 'age', label: 'Age' }
+    ];
+
+    const renderedNames = () =>
+      screen.queryAllByRole('row').slice(1).map(row => row.cells[0].textContent);
+
+    const search = async (query, expectedNames) => {
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: query } });
+      await waitFor(() => expect(renderedNames()).toEqual(expectedNames));
+    };
+
+    test('supports fields, phrases, negation, comparisons and OR', async () => {
+      render(<GenericCrudPage {...defaultProps} data={people} columns={queryColumns} />);
+      
+      await search('role:admin', ['John Doe']);
+      await search('fullname:j -smith', ['John Doe']);
+      await search('"e s"', ['Jane Smith']);
+      await search('age:>30', ['John Doe', 'Bob Stone']);
+      await search('age:<=28 OR role:owner', ['Jane Smith', 'Bob Stone']);
+      await search('email:"example.com" -role:=admin', ['Jane Smith']);
+    });
+
+    test('debounces the search input', async () => {
+      render(<GenericCrudPage {...defaultProps} data={people} columns={queryColumns} />);
+      
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'Bob' } });
+      expect(renderedNames()).toHaveLength(3);
+      await waitFor(() => expect(renderedNames()).toEqual(['Bob Stone']));
+    });
+
+    test('highlights matches in plain and custom-rendered cells', async () => {
+      const { container } = render(
+        <GenericCrudPage {...defaultProps} data={people} columns={queryColumns} searchDebounce={0} />
+      );
+      
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'own' } });
+
+      const marks = Array.from(container.querySelectorAll('mark')).map(mark => mark.textContent);
+      expect(marks).toEqual(['own']);
+      expect(container.querySelector('strong mark')).toHaveTextContent('own');
+    });
+
+    test('searches the formatted text that cells show', () => {
+      const staff = [
+        { id: 1, name: 'John Doe', salary: 1234.5, active: true },
+        { id: 2, name: 'Jane Smith', salary: 980, active: false }
+      ];
+      const staffColumns = [
+        { key: 'name', label: 'Name' },
+        { key: 'salary', label: 'Salary' },
+        { key: 'active', label: 'Active' }
+      ];
+      const { container } = render(
+        <GenericCrudPage {...defaultProps} data={staff} columns={staffColumns} locale="de" searchDebounce={0} />
+      );
+
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: '1.234' } });
+      expect(renderedNames()).toEqual(['John Doe']);
+      expect(container.querySelector('mark')).toHaveTextContent('1.234');
+
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'active:no' } });
+      expect(renderedNames()).toEqual(['Jane Smith']);
+    });
+
+    test('shows a hint for invalid queries and falls back to plain text', async () => {
+      render(<GenericCrudPage {...defaultProps} data={people} columns={queryColumns} />);
+      
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'team:red' } });
+
+      expect(await screen.findByText(/Unknown field "team"/)).toBeInTheDocument();
+      expect(screen.getByPlaceholderText('Search...')).toHaveAttribute('aria-invalid', 'true');
+      expect(screen.getByText('No results found')).toBeInTheDocument();
+    });
+  });
+
+  describe('form field types', () => {
+    const typedFields = [
+      { key: 'bio', label: 'Bio', type: 'textarea' },
+      { key: 'age', label: 'Age', type: 'number', min: 18, max: 99 },
+      { key: 'active', label: 'Active', type: 'switch' },
+      { key: 'terms', label: 'Terms', type: 'checkbox', required: true },
+      {
+        key: 'level',
+        label: 'Level',
+        type: 'radio',
+        options: [{ value: 1, label: 'Junior' }, { value: 2, label: 'Senior' }]
+      },
+      { key: 'birthday', label: 'Birthday', type: 'date' },
+      {
+        key: 'tags',
+        label: 'Tags',
+        type: 'multiselect',
+        options: [{ value: 'a', label: 'Alpha' }, { value: 'b', label: 'Beta' }, { value: 'c', label: 'Gamma' }]
+      },
+      { key: 'avatar', label: 'Avatar', type: 'file' }
+    ];
+
+    test('returns typed values to onAdd', async () => {
+      render(<GenericCrudPage {...defaultProps} formFields={typedFields} />);
+      
+      expect(screen.getByLabelText('Bio').tagName).toBe('TEXTAREA');
+      expect(screen.getByRole('switch')).toBe(screen.getByLabelText('Active'));
+
+      const file = new File(['x'], 'me.png', { type: 'image/png' });
+      fireEvent.change(screen.getByLabelText('Bio'), { target: { value: 'Hello' } });
+      fireEvent.change(screen.getByLabelText('Age'), { target: { value: '42' } });
+      fireEvent.click(screen.getByLabelText('Active'));
+      fireEvent.click(screen.getByLabelText('Terms *'));
+      fireEvent.click(screen.getByLabelText('Senior'));
+      fireEvent.change(screen.getByLabelText('Birthday'), { target: { value: '1990-05-17' } });
+      const tags = screen.getByLabelText('Tags');
+      tags.options[0].selected = true;
+      tags.options[2].selected = true;
+      fireEvent.change(tags);
+      fireEvent.change(screen.getByLabelText('Avatar'), { target: { files: [file] } });
+      fireEvent.click(screen.getByText('Add'));
+
+      await waitFor(() => expect(defaultProps.onAdd).toHaveBeenCalled());
+      expect(defaultProps.onAdd).toHaveBeenCalledWith({
+        bio: 'Hello',
+        age: 42,
+        active: true,
+        terms: true,
+        level: 2,
+        birthday: new Date(1990, 4, 17),
+        tags: ['a', 'c'],
+        avatar: file
+      });
+    });
+
+    test('validates required checkboxes and number ranges', async () => {
+      render(<GenericCrudPage {...defaultProps} formFields={typedFields} />);
+      
+      fireEvent.change(screen.getByLabelText('Age'), { target: { value: '12' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('Terms is required')).toBeInTheDocument();
+      expect(screen.getByText('Age must be at least 18')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+    });
+
+    test('accepts zero for required number fields and applies default values', async () => {
+      const fields = [
+        { key: 'count', label: 'Count', type: 'number', required: true },
+        { key: 'status', label: 'Status', defaultValue: 'new' }
+      ];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} />);
+      
+      expect(screen.getByLabelText('Status')).toHaveValue('new');
+      fireEvent.change(screen.getByLabelText('Count *'), { target: { value: '0' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      await waitFor(() => {
+        expect(defaultProps.onAdd).toHaveBeenCalledWith({ count: 0, status: 'new' });
+      });
+      expect(screen.getByLabelText('Status')).toHaveValue('new');
+    });
+
+    test('loads typed values into the form when editing', () => {
+      const data = [{ id: 1, name: 'Ann', age: 30, active: true, level: 1, birthday: '2000-01-02', tags: ['b'] }];
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          data={data} 
+          columns={[{ key: 'name', label: 'Name' }, { key: 'active', label: 'Active' }]}
+          formFields={typedFields} 
+        />
+      );
+      
+      expect(screen.getByRole('gridcell', { name: 'Yes' })).toBeInTheDocument();
+      fireEvent.click(screen.getByText('Edit'));
+
+      expect(screen.getByLabelText('Age')).toHaveValue(30);
+      expect(screen.getByLabelText('Active')).toBeChecked();
+      expect(screen.getByLabelText('Junior')).toBeChecked();
+      expect(screen.getByLabelText('Birthday')).toHaveValue('2000-01-02');
+      expect(screen.getByLabelText('Tags')).toHaveValue(['b']);
+    });
+
+    test('uses renderField for custom widgets', async () => {
+      const renderField = jest.fn(({ field, value, onChange }) => (
+        field.key === 'rating'
+          ? <button type="button" onClick={() => onChange((value || 0) + 1)}>Rating {value || 0}</button>
+          : undefined
+      ));
+      const fields = [
+        { key: 'name', label: 'Name' },
+        { key: 'rating', label: 'Rating' }
+      ];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} renderField={renderField} />);
+      
+      fireEvent.click(screen.getByText('Rating 0'));
+      fireEvent.click(screen.getByText('Rating 1'));
+      fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Ann' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      await waitFor(() => {
+        expect(defaultProps.onAdd).toHaveBeenCalledWith({ name: 'Ann', rating: 2 });
+      });
+    });
+  });
+
+  describe('JSON Schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        id: { type: 'integer', readOnly: true },
+        name: { type: 'string', title: 'Full name', minLength: 3 },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ['admin', 'user'] }
+      }
+    };
+
+    test('generates the table and form from the schema', () => {
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          columns={undefined} 
+          formFields={undefined} 
+          schema={schema} 
+          data={[{ id: 7, name: 'Ann Lee', email: 'ann@example.com', role: 'admin' }]}
+        />
+      );
+      
+      expect(screen.getByRole('columnheader', { name: 'Full name' })).toBeInTheDocument();
+      expect(screen.getByRole('columnheader', { name: 'Id' })).toBeInTheDocument();
+      expect(screen.queryByLabelText(/^Id/)).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Full name *')).toBeInTheDocument();
+      expect(screen.getByLabelText('Email')).toHaveAttribute('type', 'email');
+      expect(screen.getByLabelText('Role').tagName).toBe('SELECT');
+    });
+
+    test('validates with the schema constraints', async () => {
+      render(<GenericCrudPage {...defaultProps} columns={undefined} formFields={undefined} schema={schema} />);
+      
+      fireEvent.change(screen.getByLabelText('Full name *'), { target: { value: 'Al' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('Full name must be at least 3 characters')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+    });
+
+    test('merges column and field overrides', () => {
+      render(
+        <GenericCrudPage 
+          {...defaultProps} 
+          schema={schema}
+          columns={[{ key: 'role', label: 'Access', render: (item) => item.role.toUpperCase() }]}
+          formFields={[{ key: 'email', label: 'Work email' }]}
+          data={[{ id: 1, name: 'Ann Lee', email: 'ann@example.com', role: 'admin' }]}
+        />
+      );
+      
+      expect(screen.getByRole('columnheader', { name: 'Access' })).toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: 'ADMIN' })).toBeInTheDocument();
+      expect(screen.getByLabelText('Work email')).toHaveAttribute('type', 'email');
+    });
+  });
+
+  describe('validation', () => {
+    const fillForm = (name, email) => {
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: name } });
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: email } });
+    };
+
+    test('shows a pending state while an async validator runs on blur', async () => {
+      const check = deferred();
+      const fields = [
+        mockFormFields[0],
+        { ...mockFormFields[1], validation: () => check.promise }
+      ];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} validateOn="blur" />);
+      
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: 'john@example.com' } });
+      fireEvent.blur(screen.getByLabelText('Email *'));
+
+      expect(screen.getByRole('status')).toHaveTextContent('Checking Email...');
+
+      check.resolve('Email is already taken');
+
+      expect(await screen.findByText('Email is already taken')).toBeInTheDocument();
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    test('validates required fields on blur', () => {
+      render(<GenericCrudPage {...defaultProps} validateOn="blur" />);
+      
+      fireEvent.blur(screen.getByLabelText('Name *'));
+
+      expect(screen.getByText('Name is required')).toBeInTheDocument();
+      expect(screen.queryByText('Email is required')).not.toBeInTheDocument();
+    });
+
+    test('validates while typing with validateOn="change"', () => {
+      const fields = [
+        { ...mockFormFields[0], validation: (value) => value.length >= 3 || 'Name is too short' },
+        mockFormFields[1]
+      ];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} validateOn="change" />);
+      
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'Jo' } });
+      expect(screen.getByText('Name is too short')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'Joe' } });
+      expect(screen.queryByText('Name is too short')).not.toBeInTheDocument();
+    });
+
+    test('waits for async validators before submitting', async () => {
+      const isUnique = jest.fn(async (value) => value !== 'john@example.com' || 'Email is already taken');
+      const fields = [mockFormFields[0], { ...mockFormFields[1], validation: isUnique }];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} />);
+      
+      fillForm('John', 'john@example.com');
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('Email is already taken')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByLabelText('Email *'), { target: { value: 'new@example.com' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      await waitFor(() => {
+        expect(defaultProps.onAdd).toHaveBeenCalledWith({ name: 'John', email: 'new@example.com' });
+      });
+      expect(isUnique).toHaveBeenLastCalledWith('new@example.com', { name: 'John', email: 'new@example.com' });
+    });
+
+    test('applies form-level cross-field rules', async () => {
+      const fields = [
+        { key: 'start', label: 'Start', type: 'date' },
+        { key: 'end', label: 'End', type: 'date' }
+      ];
+      const validate = (values) => (
+        values.start && values.end && values.end < values.start
+          ? { end: 'End must be after start' }
+          : {}
+      );
+      render(<GenericCrudPage {...defaultProps} formFields={fields} validate={validate} />);
+      
+      fireEvent.change(screen.getByLabelText('Start'), { target: { value: '2024-05-10' } });
+      fireEvent.change(screen.getByLabelText('End'), { target: { value: '2024-05-01' } });
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(screen.getByText('End must be after start')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+    });
+
+    test('maps fieldErrors from a rejected onAdd onto the fields', async () => {
+      const onAdd = jest.fn().mockRejectedValue({
+        fieldErrors: { email: 'Email is already registered', plan: 'Plan limit reached' }
+      });
+      render(<GenericCrudPage {...defaultProps} onAdd={onAdd} />);
+      
+      fillForm('John', 'john@example.com');
+      fireEvent.click(screen.getByText('Add'));
+
+      expect(await screen.findByText('Email is already registered')).toBeInTheDocument();
+      expect(screen.getByLabelText('Email *')).toHaveAttribute('aria-invalid', 'true');
+      expect(screen.getByText('Plan limit reached')).toBeInTheDocument();
+      expect(screen.queryByText('Something went wrong')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Name *')).toHaveValue('John');
+    });
+
+    test('drops pending field validation when the form is reset', async () => {
+      const check = deferred();
+      const fields = [
+        mockFormFields[0],
+        { ...mockFormFields[1], validation: () => check.promise }
+      ];
+      render(<GenericCrudPage {...defaultProps} formFields={fields} validateOn="blur" />);
+      
+      fireEvent.blur(screen.getByLabelText('Email *'));
+      fireEvent.click(screen.getAllByText('Edit')[0]);
+      check.resolve('Email is already taken');
+
+      await waitFor(() => expect(screen.queryByRole('status')).not.toBeInTheDocument());
+      expect(screen.queryByText('Email is already taken')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('export', () => {
+    const exportColumns = [
+      { key: 'name', label: 'Name', sortable: true, filter: 'text' },
+      { key: 'email', label: 'Email' },
+      {
+        key: 'status',
+        label: 'Status',
+        render: (item) => <strong>{item.status}</strong>,
+        exportValue: (item) => item.status.toUpperCase()
+      },
+      { key: 'avatar', label: 'Avatar', exportable: false }
+    ];
+    const exportRows = [
+      { id: 1, name: 'Smith, Jane', email: 'jane@example.com', status: 'active', avatar: 'a.png' },
+      { id: 2, name: 'Bob "The Builder"', email: 'bob@example.com', status: 'inactive', avatar: 'b.png' },
+      { id: 3, name: 'Alice', email: 'alice@example.com', status: 'active', avatar: 'c.png' }
+    ];
+
+    let clickSpy;
+    beforeEach(() => {
+      URL.createObjectURL = jest.fn(() => 'blob:export');
+      URL.revokeObjectURL = jest.fn();
+      clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      clickSpy.mockRestore();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    test('exportData returns the filtered and sorted rows as CSV', () => {
+      const ref = React.createRef();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          ref={ref}
+          data={exportRows}
+          columns={exportColumns}
+          defaultSort={[{ key: 'name', direction: 'asc' }]}
+          defaultFilters={{ name: 'e' }}
+        />
+      );
+
+      const csv = ref.current.exportData('csv', { download: false });
+
+      expect(csv).toBe([
+        'Name,Email,Status',
+        'Alice,alice@example.com,ACTIVE',
+        '"Bob ""The Builder""",bob@example.com,INACTIVE',
+        '"Smith, Jane",jane@example.com,ACTIVE'
+      ].join('\r\n'));
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('exports only selected rows or the current page', () => {
+      const ref = React.createRef();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          ref={ref}
+          data={exportRows}
+          columns={exportColumns}
+          selectable
+          selectedIds={[3, 1]}
+          pagination
+          defaultPageSize={2}
+        />
+      );
+
+      expect(JSON.parse(ref.current.exportData('json', { rows: 'selected', download: false }))).toEqual([
+        { Name: 'Smith, Jane', Email: 'jane@example.com', Status: 'ACTIVE' },
+        { Name: 'Alice', Email: 'alice@example.com', Status: 'ACTIVE' }
+      ]);
+      expect(ref.current.exportData('tsv', { rows: 'page', download: false }).split('\r\n')).toEqual([
+        'Name\tEmail\tStatus',
+        'Smith, Jane\tjane@example.com\tACTIVE',
+        '"Bob ""The Builder"""\tbob@example.com\tINACTIVE'
+      ]);
+      expect(ref.current.exportData('csv', { download: false }).split('\r\n')).toHaveLength(4);
+    });
+
+    test('exports the columns in the order and visibility the table shows', () => {
+      const ref = React.createRef();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          ref={ref}
+          data={exportRows}
+          columns={exportColumns}
+          manageColumns
+          columnState={{ order: ['status', 'name', 'email'], hidden: ['email'] }}
+        />
+      );
+
+      expect(ref.current.exportData('csv', { download: false }).split('\r\n')).toEqual([
+        'Status,Name',
+        'ACTIVE,"Smith, Jane"',
+        'INACTIVE,"Bob ""The Builder"""',
+        'ACTIVE,Alice'
+      ]);
+    });
+
+    test('downloads a file from the Export toolbar action', async () => {
+      render(<GenericCrudPage {...defaultProps} title="User Accounts" exportable />);
+
+      fireEvent.click(screen.getByRole('button', { name: /Export/ }));
+      fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'json' } });
+      fireEvent.click(screen.getByRole('button', { name: /Download/ }));
+
+      expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+      const blob = URL.createObjectURL.mock.calls[0][0];
+      expect(blob.type).toBe('application/json;charset=utf-8');
+      expect(clickSpy).toHaveBeenCalledTimes(1);
+      expect(clickSpy.mock.instances[0].download).toBe('user-accounts.json');
+      expect(screen.queryByLabelText('Format')).not.toBeInTheDocument();
+      await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export'));
+    });
+
+    test('hides the Export action unless exportable is set', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      expect(screen.queryByRole('button', { name: /Export/ })).not.toBeInTheDocument();
+    });
+  });
+  describe('import', () => {
+    const importFields = [
+      { key: 'name', label: 'Name', required: true },
+      { key: 'email', label: 'Email', type: 'email', validation: (value) => value.includes('@') || 'Email is invalid' },
+      { key: 'age', label: 'Age', type: 'number' }
+    ];
+
+    const upload = (content, fileName) => {
+      fireEvent.click(screen.getByRole('button', { name: /Import/ }));
+      fireEvent.change(screen.getByLabelText('File (CSV, TSV or JSON)'), {
+        target: { files: [new File([content], fileName)] }
+      });
+    };
+
+    test('previews CSV rows against the form validation', async () => {
+      render(<GenericCrudPage {...defaultProps} formFields={importFields} importable />);
+
+      upload('Full Name,E-mail,Age\n"Doe, Jane",jane@example.com,31\n,nobody,x\n', 'users.csv');
+
+      expect(await screen.findByRole('table', { name: 'Import preview' })).toBeInTheDocument();
+      expect(screen.getByLabelText('Field for E-mail')).toHaveValue('email');
+      expect(screen.getByLabelText('Field for Age')).toHaveValue('age');
+      expect(screen.getByLabelText('Field for Full Name')).toHaveValue('');
+      expect(screen.getByText('0 of 2 rows are valid. Invalid rows will be skipped.')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Field for Full Name'), { target: { value: 'name' } });
+
+      expect(screen.getByText('1 of 2 rows are valid. Invalid rows will be skipped.')).toBeInTheDocument();
+      expect(screen.getByRole('cell', { name: 'Valid' })).toBeInTheDocument();
+      expect(screen.getByRole('cell', { name: 'Name is required; Email is invalid; Age must be a number' })).toBeInTheDocument();
+    });
+
+    test('sends the valid rows to onImport', async () => {
+      const onImport = jest.fn().mockResolvedValue();
+      render(<GenericCrudPage {...defaultProps} formFields={importFields} importable onImport={onImport} />);
+
+      upload(JSON.stringify([
+        { name: 'Ann', email: 'ann@example.com', age: 40 },
+        { name: 'Bob', email: 'bob' }
+      ]), 'users.json');
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Import 1 row' }));
+
+      await waitFor(() => {
+        expect(onImport).toHaveBeenCalledWith([{ name: 'Ann', email: 'ann@example.com', age: 40 }]);
+      });
+      await waitFor(() => {
+        expect(screen.queryByRole('region', { name: 'Import records' })).not.toBeInTheDocument();
+      });
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+    });
+
+    test('falls back to onAdd and keeps the rows that were not imported', async () => {
+      const onAdd = jest.fn()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Email taken'));
+      render(<GenericCrudPage {...defaultProps} formFields={importFields} importable onAdd={onAdd} />);
+
+      upload('name\temail\nAnn\tann@example.com\nBob\tbob@example.com\nCy\tcy@example.com', 'users.tsv');
+      fireEvent.click(await screen.findByRole('button', { name: 'Import 3 rows' }));
+
+      expect(await screen.findByText('Imported 1 of 3 rows. Email taken')).toBeInTheDocument();
+      expect(onAdd).toHaveBeenNthCalledWith(1, { name: 'Ann', email: 'ann@example.com', age: null });
+      expect(onAdd).toHaveBeenNthCalledWith(2, { name: 'Bob', email: 'bob@example.com', age: null });
+      expect(screen.getByRole('button', { name: 'Import 2 rows' })).toBeInTheDocument();
+      expect(screen.queryByRole('cell', { name: 'Ann' })).not.toBeInTheDocument();
+    });
+
+    test('reports unreadable files', async () => {
+      render(<GenericCrudPage {...defaultProps} importable />);
+
+      upload('{"name": "Ann"}', 'users.json');
+
+      expect(await screen.findByText('A JSON import must be an array of objects')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Import 0 rows' })).toBeDisabled();
+    });
+  });
+
+  describe('virtualized', () => {
+    const manyItems = Array.from({ length: 1000 }, (_, index) => ({
+      id: index + 1,
+      name: `Item ${index + 1}`,
+      email: `item${index + 1}@example.com`
+    }));
+
+    const virtualProps = {
+      ...defaultProps,
+      data: manyItems,
+      virtualized: true,
+      rowHeight: 40,
+      tableHeight: 400
+    };
+
+    const getScrollContainer = () => screen.getByRole('grid').parentElement;
+
+    test('renders only the rows in view', () => {
+      render(<GenericCrudPage {...virtualProps} />);
+
+      // Header row plus 10 visible rows, one partly visible row and 5 overscan rows
+      expect(screen.getAllByRole('row')).toHaveLength(17);
+      expect(screen.getByRole('gridcell', { name: 'Item 1' })).toBeInTheDocument();
+      expect(screen.queryByRole('gridcell', { name: 'Item 17' })).not.toBeInTheDocument();
+      expect(screen.getByRole('grid')).toHaveAttribute('aria-rowcount', '1001');
+    });
+
+    test('renders the rows scrolled into view', () => {
+      render(<GenericCrudPage {...virtualProps} />);
+
+      fireEvent.scroll(getScrollContainer(), { target: { scrollTop: 4000 } });
+
+      expect(screen.queryByRole('gridcell', { name: 'Item 1' })).not.toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: 'Item 101' })).toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: 'Item 101' }).closest('tr')).toHaveAttribute('aria-rowindex', '102');
+    });
+
+    test('keeps the height of the rows that are not rendered', () => {
+      render(<GenericCrudPage {...virtualProps} />);
+
+      fireEvent.scroll(getScrollContainer(), { target: { scrollTop: 4000 } });
+
+      const spacers = getScrollContainer().querySelectorAll('tr[aria-hidden="true"]');
+      expect(spacers).toHaveLength(2);
+      // Rows 96 to 116 are rendered
+      expect(spacers[0]).toHaveStyle({ height: '3800px' });
+      expect(spacers[1]).toHaveStyle({ height: '35360px' });
+    });
+
+    test('estimates the height of rows that have not been measured', () => {
+      render(<GenericCrudPage {...virtualProps} rowHeight={undefined} estimatedRowHeight={50} />);
+
+      fireEvent.scroll(getScrollContainer(), { target: { scrollTop: 5000 } });
+
+      expect(screen.getByRole('gridcell', { name: 'Item 101' })).toBeInTheDocument();
+      expect(screen.queryByRole('gridcell', { name: 'Item 90' })).not.toBeInTheDocument();
+    });
+
+    test('renders custom cells and row actions in the window', () => {
+      const columns = [
+        { key: 'name', label: 'Name', render: (item) => <strong>{item.name.toUpperCase()}</strong> },
+        { key: 'email', label: 'Email' }
+      ];
+      const renderActions = (item) => <button type="button">Open {item.name}</button>;
+      render(<GenericCrudPage {...virtualProps} columns={columns} renderActions={renderActions} />);
+
+      fireEvent.scroll(getScrollContainer(), { target: { scrollTop: 4000 } });
+
+      expect(screen.getByText('ITEM 101')).toBeInTheDocument();
+      const row = screen.getByText('ITEM 101').closest('tr');
+      fireEvent.click(within(row).getByText('Edit'));
+      expect(screen.getByDisplayValue('Item 101')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Open Item 101' })).toBeInTheDocument();
+    });
+
+    test('windows the search results', async () => {
+      render(<GenericCrudPage {...virtualProps} />);
+
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'item99' } });
+
+      expect(await screen.findByRole('gridcell', { name: 'Item 999' })).toBeInTheDocument();
+      expect(screen.getAllByRole('row')).toHaveLength(12);
+    });
+  });
+
+  describe('theming', () => {
+    const getContainer = () => screen.getByText('Test Page').closest('.generic-crud-page');
+
+    test('uses the light theme by default', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+
+      expect(getContainer()).toHaveAttribute('data-theme', 'light');
+      expect(getContainer().style.getPropertyValue('--gcp-color-primary')).toBe('#007bff');
+      expect(screen.getByRole('button', { name: 'Add new item' })).toHaveStyle('background-color: #007bff');
+    });
+
+    test('applies the dark theme', () => {
+      render(<GenericCrudPage {...defaultProps} theme="dark" />);
+
+      expect(getContainer()).toHaveAttribute('data-theme', 'dark');
+      expect(getContainer()).toHaveStyle('background-color: #1a1d21');
+      expect(getContainer().style.getPropertyValue('--gcp-color-background')).toBe('#1a1d21');
+      expect(screen.getByRole('gridcell', { name: 'John Doe' })).toHaveStyle('color: #e9ecef');
+    });
+
+    test('takes the theme from a ThemeProvider', () => {
+      render(
+        <ThemeProvider theme="dark">
+          <GenericCrudPage {...defaultProps} />
+        </ThemeProvider>
+      );
+
+      expect(getContainer()).toHaveAttribute('data-theme', 'dark');
+    });
+
+    test('prefers its own theme over the ThemeProvider', () => {
+      render(
+        <ThemeProvider theme="dark">
+          <GenericCrudPage {...defaultProps} theme={{ colors: { primary: '#6f42c1' } }} />
+        </ThemeProvider>
+      );
+
+      expect(getContainer()).toHaveAttribute('data-theme', 'light');
+      expect(getContainer().style.getPropertyValue('--gcp-color-primary')).toBe('#6f42c1');
+      expect(screen.getByRole('button', { name: 'Add new item' })).toHaveStyle('background-color: #6f42c1');
+    });
+
+    test('overrides table cells, inputs and action buttons through style slots', () => {
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          customStyles={{
+            td: { padding: '4px' },
+            input: { borderRadius: '0px' },
+            editButton: { backgroundColor: 'purple' }
+          }}
+        />
+      );
+
+      expect(screen.getByRole('gridcell', { name: 'John Doe' })).toHaveStyle('padding: 4px');
+      expect(screen.getByLabelText('Name *')).toHaveStyle('border-radius: 0px');
+      expect(screen.getByRole('button', { name: 'Edit John Doe' })).toHaveStyle('background-color: purple');
+    });
+
+    test('styles checkbox and radio fields through style slots', () => {
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          formFields={[
+            { key: 'active', label: 'Active', type: 'checkbox' },
+            { key: 'role', label: 'Role', type: 'radio', options: [{ value: 'admin', label: 'Admin' }] }
+          ]}
+          customStyles={{
+            checkbox: { margin: '2px' },
+            radioGroup: { gap: '20px' },
+            radioOption: { fontSize: '18px' }
+          }}
+        />
+      );
+
+      expect(screen.getByLabelText('Active')).toHaveStyle('margin: 2px');
+      expect(screen.getByRole('radiogroup', { name: 'Role' })).toHaveStyle('gap: 20px');
+      expect(screen.getByText('Admin')).toHaveStyle('font-size: 18px');
+    });
+
+    test('styles search matches through the highlight slot', async () => {
+      render(<GenericCrudPage {...defaultProps} customStyles={{ highlight: { backgroundColor: 'orange' } }} />);
+
+      fireEvent.change(screen.getByLabelText('Search data'), { target: { value: 'john' } });
+
+      const mark = await screen.findByText('John', { selector: 'mark' });
+      expect(mark).toHaveStyle('background-color: orange');
+    });
+  });
+
+  describe('internationalization', () => {
+    const germanMessages = {
+      add: 'Hinzufügen',
+      addLabel: 'Neuen Eintrag hinzufügen',
+      actions: 'Aktionen',
+      edit: 'Bearbeiten',
+      editLabel: '{name} bearbeiten',
+      total: 'Gesamt: {count}',
+      required: '{label} ist erforderlich',
+      searchPlaceholder: 'Suchen...',
+      noResults: 'Keine Ergebnisse',
+      selectRow: '{name} auswählen',
+      selectAll: 'Alle Zeilen auswählen',
+      deleteSelected: 'Auswahl löschen',
+      confirmBulkDelete: {
+        one: 'Soll {count} Eintrag gelöscht werden?',
+        other: 'Sollen {count} Einträge gelöscht werden?'
+      }
+    };
+
+    test('shows built-in strings from the messages', () => {
+      render(<GenericCrudPage {...defaultProps} locale="de" messages={germanMessages} />);
+
+      expect(screen.getByRole('button', { name: 'Neuen Eintrag hinzufügen' })).toHaveTextContent('Hinzufügen');
+      expect(screen.getByRole('columnheader', { name: 'Aktionen' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'John Doe bearbeiten' })).toHaveTextContent('Bearbeiten');
+      expect(screen.getByText('Gesamt: 2')).toBeInTheDocument();
+      expect(screen.getByPlaceholderText('Suchen...')).toBeInTheDocument();
+    });
+
+    test('translates validation messages', async () => {
+      render(<GenericCrudPage {...defaultProps} locale="de" messages={germanMessages} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Neuen Eintrag hinzufügen' }));
+
+      expect(await screen.findByText('Name ist erforderlich')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+    });
+
+    test('pluralises the bulk delete confirmation', async () => {
+      render(
+        <GenericCrudPage {...defaultProps} locale="de" messages={germanMessages} selectable onBulkDelete={jest.fn()} />
+      );
+
+      fireEvent.click(screen.getByLabelText('John Doe auswählen'));
+      fireEvent.click(screen.getByText('Auswahl löschen'));
+      expect(screen.getByRole('alertdialog')).toHaveTextContent('Soll 1 Eintrag gelöscht werden?');
+      fireEvent.keyDown(screen.getByRole('alertdialog'), { key: 'Escape' });
+
+      fireEvent.click(screen.getByLabelText('Alle Zeilen auswählen'));
+      fireEvent.click(screen.getByText('Auswahl löschen'));
+      expect(await screen.findByRole('alertdialog')).toHaveTextContent('Sollen 2 Einträge gelöscht werden?');
+    });
+
+    test('formats numbers and dates with Intl for the locale', () => {
+      const columns = [
+        { key: 'name', label: 'Name' },
+        { key: 'balance', label: 'Balance', formatOptions: { style: 'currency', currency: 'EUR' } },
+        { key: 'score', label: 'Score' },
+        { key: 'joined', label: 'Joined' }
+      ];
+      const data = [{ id: 1, name: 'John Doe', balance: 1234.5, score: 9876.25, joined: new Date(2024, 2, 1) }];
+      render(<GenericCrudPage {...defaultProps} data={data} columns={columns} locale="de-DE" />);
+
+      expect(screen.getByRole('gridcell', { name: '1.234,50\u00a0€' })).toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: '9.876,25' })).toBeInTheDocument();
+      expect(screen.getByRole('gridcell', { name: '1.3.2024' })).toBeInTheDocument();
+    });
+
+    test('lays out right-to-left locales from the right', () => {
+      render(<GenericCrudPage {...defaultProps} locale="ar" />);
+
+      const container = screen.getByText('Test Page').closest('.generic-crud-page');
+      expect(container).toHaveAttribute('dir', 'rtl');
+      expect(container).toHaveAttribute('lang', 'ar');
+      expect(screen.getByRole('columnheader', { name: /^Actions/ })).toHaveStyle('text-align: right');
+      expect(screen.getByLabelText('Search data')).toHaveStyle('padding-right: 40px');
+    });
+
+    test('lets the dir prop override the locale direction', () => {
+      render(<GenericCrudPage {...defaultProps} locale="ar" dir="ltr" />);
+
+      const container = screen.getByText('Test Page').closest('.generic-crud-page');
+      expect(container).toHaveAttribute('dir', 'ltr');
+      expect(screen.getByRole('columnheader', { name: /^Actions/ })).toHaveStyle('text-align: left');
+    });
+  });
+
+  describe('delete confirmation', () => {
+    test('names the record and focuses Cancel', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Jane Smith' }));
+
+      const dialog = screen.getByRole('alertdialog');
+      expect(dialog).toHaveAttribute('aria-modal', 'true');
+      expect(dialog).toHaveAccessibleName('Confirm deletion');
+      expect(dialog).toHaveAccessibleDescription('Are you sure you want to delete "Jane Smith"?');
+      expect(within(dialog).getByRole('button', { name: 'Cancel' })).toHaveFocus();
+    });
+
+    test('cancels with Escape and returns focus to the Delete button', async () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      const deleteButton = screen.getByRole('button', { name: 'Delete John Doe' });
+      act(() => deleteButton.focus());
+
+      fireEvent.click(deleteButton);
+      fireEvent.keyDown(screen.getByRole('alertdialog'), { key: 'Escape' });
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      expect(deleteButton).toHaveFocus();
+      await Promise.resolve();
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+    });
+
+    test('keeps Tab focus inside the dialog', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+
+      const dialog = screen.getByRole('alertdialog');
+      const cancel = within(dialog).getByRole('button', { name: 'Cancel' });
+      const confirm = within(dialog).getByRole('button', { name: 'Delete' });
+
+      confirm.focus();
+      fireEvent.keyDown(confirm, { key: 'Tab' });
+      expect(cancel).toHaveFocus();
+
+      fireEvent.keyDown(cancel, { key: 'Tab', shiftKey: true });
+      expect(confirm).toHaveFocus();
+    });
+
+    test('shows the message returned by a confirmDelete function', async () => {
+      const confirmDelete = jest.fn((item) => <strong>Remove {item.email} for good?</strong>);
+      render(<GenericCrudPage {...defaultProps} confirmDelete={confirmDelete} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+
+      expect(confirmDelete).toHaveBeenCalledWith(mockData[0]);
+      expect(within(screen.getByRole('alertdialog')).getByText('Remove john@example.com for good?').tagName).toBe('STRONG');
+      confirmDialog();
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(1));
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+    });
+
+    test('deletes right away without confirmDelete', async () => {
+      render(<GenericCrudPage {...defaultProps} confirmDelete={false} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(1));
+    });
+
+    test('asks for the record name with typeToConfirm', async () => {
+      render(<GenericCrudPage {...defaultProps} typeToConfirm />);
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Jane Smith' }));
+
+      const dialog = screen.getByRole('alertdialog');
+      const input = within(dialog).getByLabelText('Type "Jane Smith" to confirm');
+      const confirm = within(dialog).getByRole('button', { name: 'Delete' });
+      expect(input).toHaveFocus();
+      expect(confirm).toBeDisabled();
+
+      fireEvent.change(input, { target: { value: 'Jane' } });
+      fireEvent.submit(input);
+      expect(confirm).toBeDisabled();
+      expect(screen.getByRole('alertdialog')).toBeInTheDocument();
+
+      fireEvent.change(input, { target: { value: 'Jane Smith' } });
+      expect(confirm).not.toBeDisabled();
+      fireEvent.submit(input);
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(2));
+    });
+
+    test('uses the text returned by a typeToConfirm function', () => {
+      render(<GenericCrudPage {...defaultProps} typeToConfirm={(item) => item.email} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+
+      expect(screen.getByLabelText('Type "john@example.com" to confirm')).toBeInTheDocument();
+    });
+  });
+
+  describe('undoable', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const undoButtonFor = (message) => within(screen.getByText(message).parentElement).getByRole('button', { name: 'Undo' });
+
+    test('hides a deleted row and calls onDelete after the undo period', async () => {
+      render(<GenericCrudPage {...defaultProps} undoable />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+      expect(screen.queryByText('John Doe')).not.toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent('Deleted "John Doe"Undo');
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+
+      act(() => jest.advanceTimersByTime(4999));
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+
+      await act(async () => jest.advanceTimersByTime(1));
+      expect(defaultProps.onDelete).toHaveBeenCalledWith(1);
+      await waitFor(() => expect(screen.queryByRole('status')).not.toBeInTheDocument());
+    });
+
+    test('brings a deleted row back on Undo', () => {
+      render(<GenericCrudPage {...defaultProps} undoable />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      fireEvent.click(undoButtonFor('Deleted "John Doe"'));
+
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      act(() => jest.advanceTimersByTime(10000));
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+    });
+
+    test('reverts an edit on Undo', () => {
+      render(<GenericCrudPage {...defaultProps} undoable />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Edit John Doe' }));
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'John Updated' } });
+      fireEvent.click(screen.getByText('Save'));
+
+      expect(screen.getByText('John Updated')).toBeInTheDocument();
+      fireEvent.click(undoButtonFor('Updated "John Doe"'));
+
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+      expect(screen.queryByText('John Updated')).not.toBeInTheDocument();
+      act(() => jest.advanceTimersByTime(10000));
+      expect(defaultProps.onEdit).not.toHaveBeenCalled();
+    });
+
+    test('keeps a separate undo period for each pending operation', async () => {
+      render(<GenericCrudPage {...defaultProps} undoable undoTimeout={3000} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      act(() => jest.advanceTimersByTime(1000));
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Jane Smith' }));
+      expect(screen.getByRole('status').children).toHaveLength(2);
+
+      fireEvent.click(undoButtonFor('Deleted "John Doe"'));
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+      expect(screen.getByRole('status').children).toHaveLength(1);
+
+      act(() => jest.advanceTimersByTime(2999));
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+      await act(async () => jest.advanceTimersByTime(1));
+      expect(defaultProps.onDelete).toHaveBeenCalledTimes(1);
+      expect(defaultProps.onDelete).toHaveBeenCalledWith(2);
+    });
+
+    test('restores the row when onDelete rejects after the undo period', async () => {
+      const onDelete = jest.fn(() => Promise.reject(new Error('Cannot delete this user')));
+      render(<GenericCrudPage {...defaultProps} onDelete={onDelete} undoable />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      await act(async () => jest.advanceTimersByTime(5000));
+
+      expect(await screen.findByText('Cannot delete this user')).toBeInTheDocument();
+      expect(screen.getByText('John Doe')).toBeInTheDocument();
+    });
+
+    test('bulk deletes the selected rows after the undo period', async () => {
+      const onBulkDelete = jest.fn(() => Promise.resolve());
+      render(<GenericCrudPage {...defaultProps} selectable undoable onBulkDelete={onBulkDelete} />);
+
+      fireEvent.click(screen.getByLabelText('Select all rows'));
+      fireEvent.click(screen.getByText('Delete selected'));
+
+      expect(screen.queryByText('John Doe')).not.toBeInTheDocument();
+      expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument();
+      expect(screen.getByText('Deleted 2 items')).toBeInTheDocument();
+
+      await act(async () => jest.advanceTimersByTime(5000));
+      expect(onBulkDelete).toHaveBeenCalledWith([1, 2]);
+    });
+
+    test('carries out pending operations when the page unmounts', () => {
+      const { unmount } = render(<GenericCrudPage {...defaultProps} undoable />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      unmount();
+
+      expect(defaultProps.onDelete).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('keyboard', () => {
+    const cellOf = (name) => screen.getByRole('gridcell', { name });
+
+    test('renders an ARIA grid with one cell in the Tab order', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+
+      const grid = screen.getByRole('grid');
+      expect(grid).toHaveAttribute('aria-colcount', '3');
+      expect(cellOf('John Doe')).toHaveAttribute('tabindex', '0');
+      expect(cellOf('Jane Smith')).toHaveAttribute('tabindex', '-1');
+      expect(screen.getByRole('columnheader', { name: /^Name/ })).toHaveAttribute('tabindex', '-1');
+    });
+
+    test('moves focus between cells with the arrow, Home and End keys', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      const start = cellOf('John Doe');
+      act(() => start.focus());
+
+      fireEvent.keyDown(start, { key: 'ArrowDown' });
+      expect(cellOf('Jane Smith')).toHaveFocus();
+      expect(cellOf('Jane Smith')).toHaveAttribute('tabindex', '0');
+      expect(start).toHaveAttribute('tabindex', '-1');
+
+      fireEvent.keyDown(document.activeElement, { key: 'ArrowRight' });
+      expect(cellOf('jane@example.com')).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement, { key: 'Home', ctrlKey: true });
+      expect(screen.getByRole('columnheader', { name: /^Name/ })).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement, { key: 'End' });
+      expect(screen.getByRole('columnheader', { name: /^Actions/ })).toHaveFocus();
+    });
+
+    test('takes the clicked cell as the active cell', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+
+      fireEvent.focus(screen.getByRole('button', { name: 'Edit Jane Smith' }));
+      expect(screen.getByRole('button', { name: 'Edit Jane Smith' }).closest('td')).toHaveAttribute('tabindex', '0');
+      expect(cellOf('John Doe')).toHaveAttribute('tabindex', '-1');
+    });
+
+    test('edits the row on Enter and returns to it on Escape', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      const cell = cellOf('Jane Smith');
+      act(() => cell.focus());
+
+      fireEvent.keyDown(cell, { key: 'Enter' });
+      expect(screen.getByLabelText('Name *')).toHaveValue('Jane Smith');
+      expect(screen.getByLabelText('Name *')).toHaveFocus();
+
+      fireEvent.keyDown(screen.getByLabelText('Name *'), { key: 'Escape' });
+      expect(screen.getByText('Add')).toBeInTheDocument();
+      expect(cellOf('Jane Smith')).toHaveFocus();
+    });
+
+    test('deletes the row on Delete after confirmation', async () => {
+      render(<GenericCrudPage {...defaultProps} />);
+      const cell = cellOf('Jane Smith');
+      act(() => cell.focus());
+
+      fireEvent.keyDown(cell, { key: 'Delete' });
+      expect(screen.getByRole('alertdialog')).toHaveAccessibleDescription('Are you sure you want to delete "Jane Smith"?');
+      confirmDialog();
+
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(2));
+      expect(cellOf('Jane Smith')).toHaveFocus();
+    });
+
+    test('toggles the row selection on Space', () => {
+      render(<GenericCrudPage {...defaultProps} selectable />);
+      const cell = cellOf('John Doe');
+      act(() => cell.focus());
+
+      fireEvent.keyDown(cell, { key: ' ' });
+      expect(screen.getByLabelText('Select John Doe')).toBeChecked();
+
+      fireEvent.keyDown(cell, { key: ' ' });
+      expect(screen.getByLabelText('Select John Doe')).not.toBeChecked();
+    });
+
+    test('sorts by a column on Enter in its header', () => {
+      const columns = [{ key: 'name', label: 'Name', sortable: true }, { key: 'email', label: 'Email' }];
+      render(<GenericCrudPage {...defaultProps} columns={columns} />);
+      const header = screen.getByRole('columnheader', { name: /Name/ });
+      act(() => header.focus());
+
+      fireEvent.keyDown(header, { key: 'Enter' });
+      expect(header).toHaveAttribute('aria-sort', 'ascending');
+    });
+
+    test('moves focus to the next row when the focused row is removed', () => {
+      const { rerender } = render(<GenericCrudPage {...defaultProps} />);
+      const cell = cellOf('John Doe');
+      act(() => cell.focus());
+
+      rerender(<GenericCrudPage {...defaultProps} data={[mockData[1]]} />);
+
+      expect(cellOf('Jane Smith')).toHaveFocus();
+      expect(cellOf('Jane Smith')).toHaveAttribute('tabindex', '0');
+    });
+
+    test('keeps the active cell on its row when rows are added above it', () => {
+      const { rerender } = render(<GenericCrudPage {...defaultProps} />);
+      const cell = cellOf('Jane Smith');
+      act(() => cell.focus());
+
+      const newUser = { id: 3, name: 'New User', email: 'new@example.com' };
+      rerender(<GenericCrudPage {...defaultProps} data={[newUser, ...mockData]} />);
+
+      expect(cellOf('Jane Smith')).toHaveFocus();
+      expect(cellOf('Jane Smith')).toHaveAttribute('tabindex', '0');
+      expect(cellOf('New User')).toHaveAttribute('tabindex', '-1');
+    });
+
+    test('scrolls virtualized rows into view', () => {
+      const items = Array.from({ length: 200 }, (_, i) => ({ id: i + 1, name: `Item ${i + 1}`, email: `item${i + 1}@example.com` }));
+      render(<GenericCrudPage {...defaultProps} data={items} virtualized rowHeight={40} tableHeight={400} />);
+      const cell = cellOf('Item 1');
+      act(() => cell.focus());
+
+      fireEvent.keyDown(cell, { key: 'End', ctrlKey: true });
+      expect(screen.getByRole('button', { name: 'Delete Item 200' }).closest('td')).toHaveFocus();
+      expect(screen.queryByRole('gridcell', { name: 'Item 1' })).not.toBeInTheDocument();
+    });
+
+    test('focuses the search box on / and the form on n', () => {
+      render(<GenericCrudPage {...defaultProps} />);
+
+      fireEvent.keyDown(document.body, { key: '/' });
+      expect(screen.getByLabelText('Search data')).toHaveFocus();
+      expect(screen.getByLabelText('Search data')).toHaveAttribute('aria-keyshortcuts', '/');
+
+      fireEvent.keyDown(screen.getByLabelText('Search data'), { key: 'n' });
+      expect(screen.getByLabelText('Search data')).toHaveFocus();
+
+      fireEvent.keyDown(cellOf('John Doe'), { key: 'n' });
+      expect(screen.getByLabelText('Name *')).toHaveFocus();
+    });
+
+    test('uses custom shortcuts and can turn them off', () => {
+      const { rerender } = render(<GenericCrudPage {...defaultProps} shortcuts={{ search: 'Ctrl+K', add: null }} />);
+
+      fireEvent.keyDown(document.body, { key: '/' });
+      expect(screen.getByLabelText('Search data')).not.toHaveFocus();
+      fireEvent.keyDown(document.body, { key: 'k', ctrlKey: true });
+      expect(screen.getByLabelText('Search data')).toHaveFocus();
+
+      screen.getByLabelText('Search data').blur();
+      fireEvent.keyDown(document.body, { key: 'n' });
+      expect(screen.getByLabelText('Name *')).not.toHaveFocus();
+
+      rerender(<GenericCrudPage {...defaultProps} shortcuts={false} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Edit John Doe' }));
+      fireEvent.keyDown(document.body, { key: 'Escape' });
+      expect(screen.getByText('Save')).toBeInTheDocument();
+    });
+  });
+
+  describe('column management', () => {
+    const headerNames = () => screen.getAllByRole('columnheader').map(header => header.textContent);
+    const openColumns = () => fireEvent.click(screen.getByRole('button', { name: /Columns/ }));
+
+    test('gives the panels and form fields of each table their own ids', async () => {
+      const formFields = [
+        ...mockFormFields,
+        { key: 'role', label: 'Role', type: 'radio', options: [{ value: 'admin', label: 'Admin' }] }
+      ];
+      const { container } = render(
+        <>
+          <GenericCrudPage {...defaultProps} formFields={formFields} manageColumns />
+          <GenericCrudPage {...defaultProps} formFields={formFields} manageColumns />
+        </>
+      );
+
+      const buttons = screen.getAllByRole('button', { name: /Columns/ });
+      buttons.forEach(button => fireEvent.click(button));
+      const [first, second] = buttons.map(button => button.getAttribute('aria-controls'));
+
+      expect(first).not.toBe(second);
+      expect(document.getElementById(first)).toBeInTheDocument();
+      expect(document.getElementById(second)).toBeInTheDocument();
+
+      screen.getAllByRole('button', { name: 'Add new item' }).forEach(button => fireEvent.click(button));
+      await waitFor(() => expect(screen.getAllByText('Name is required')).toHaveLength(2));
+
+      const forms = container.querySelectorAll('form');
+      const radioNames = [...forms].map(form => {
+        const input = within(form).getByLabelText(/^Name/);
+        const error = document.getElementById(input.getAttribute('aria-describedby'));
+        expect(form).toContainElement(error);
+        expect(error).toHaveTextContent('Name is required');
+        return within(form).getByLabelText('Admin').name;
+      });
+      expect(radioNames[0]).not.toBe(radioNames[1]);
+    });
+
+    test('hides and shows columns from the column chooser', () => {
+      const onColumnStateChange = jest.fn();
+      render(<GenericCrudPage {...defaultProps} manageColumns onColumnStateChange={onColumnStateChange} />);
+
+      openColumns();
+      const panel = panelOf(/Columns/);
+      fireEvent.click(within(panel).getByLabelText('Email'));
+
+      expect(headerNames()).toEqual(['Name', 'Actions']);
+      expect(screen.queryByRole('gridcell', { name: 'john@example.com' })).not.toBeInTheDocument();
+      expect(onColumnStateChange).toHaveBeenLastCalledWith({
+        order: ['name', 'email', '$actions'],
+        hidden: ['email'],
+        widths: {},
+        pinned: {}
+      });
+      expect(within(panel).getByLabelText('Actions')).toBeDisabled();
+
+      fireEvent.click(within(panel).getByLabelText('Email'));
+      expect(headerNames()).toEqual(['Name', 'Email', 'Actions']);
+    });
+
+    test('moves columns up and down from the column chooser', () => {
+      render(<GenericCrudPage {...defaultProps} manageColumns />);
+
+      openColumns();
+      fireEvent.click(screen.getByRole('button', { name: 'Move Email up' }));
+      expect(headerNames()).toEqual(['Email', 'Name', 'Actions']);
+      expect(screen.getAllByRole('row')[1].cells[0]).toHaveTextContent('john@example.com');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Move Actions up' }));
+      expect(headerNames()).toEqual(['Email', 'Actions', 'Name']);
+      expect(screen.getByRole('button', { name: 'Move Email up' })).toBeDisabled();
+
+      fireEvent.click(screen.getByText('Reset columns'));
+      expect(headerNames()).toEqual(['Name', 'Email', 'Actions']);
+    });
+
+    test('reorders columns by dragging headers', () => {
+      render(<GenericCrudPage {...defaultProps} manageColumns />);
+      const nameHeader = screen.getByRole('columnheader', { name: /Name/ });
+      const actionsHeader = screen.getByRole('columnheader', { name: /Actions/ });
+
+      expect(nameHeader).toHaveAttribute('draggable', 'true');
+      fireEvent.dragStart(nameHeader);
+      fireEvent.dragOver(actionsHeader);
+      fireEvent.drop(actionsHeader);
+
+      expect(headerNames()).toEqual(['Email', 'Actions', 'Name']);
+    });
+
+    test('resizes columns by dragging the header edge', () => {
+      const onColumnStateChange = jest.fn();
+      const columns = [{ key: 'name', label: 'Name', width: 200 }, { key: 'email', label: 'Email' }];
+      render(
+        <GenericCrudPage {...defaultProps} columns={columns} manageColumns onColumnStateChange={onColumnStateChange} />
+      );
+      const handle = screen.getByRole('separator', { name: 'Resize Name' });
+
+      fireEvent.mouseDown(handle, { clientX: 100 });
+      fireEvent.mouseMove(document, { clientX: 160 });
+      expect(screen.getByRole('columnheader', { name: /^Name/ })).toHaveStyle('width: 260px');
+      expect(onColumnStateChange).not.toHaveBeenCalled();
+
+      fireEvent.mouseUp(document, { clientX: 130 });
+      expect(screen.getByRole('columnheader', { name: /^Name/ })).toHaveStyle('width: 230px');
+      expect(screen.getByRole('gridcell', { name: 'John Doe' })).toHaveStyle('width: 230px');
+      expect(onColumnStateChange).toHaveBeenCalledTimes(1);
+      expect(onColumnStateChange.mock.calls[0][0].widths).toEqual({ name: 230 });
+    });
+
+    test('resizes columns with the arrow keys on the header edge', () => {
+      const columns = [{ key: 'name', label: 'Name', width: 200, minWidth: 195 }, { key: 'email', label: 'Email' }];
+      render(<GenericCrudPage {...defaultProps} columns={columns} manageColumns />);
+      const handle = screen.getByRole('separator', { name: 'Resize Name' });
+
+      fireEvent.keyDown(handle, { key: 'ArrowRight' });
+      expect(handle).toHaveAttribute('aria-valuenow', '210');
+
+      fireEvent.keyDown(handle, { key: 'ArrowLeft' });
+      fireEvent.keyDown(handle, { key: 'ArrowLeft' });
+      expect(handle).toHaveAttribute('aria-valuenow', '195');
+    });
+
+    test('pins columns to the sides of the table', () => {
+      render(<GenericCrudPage {...defaultProps} selectable manageColumns />);
+
+      openColumns();
+      fireEvent.change(screen.getByLabelText('Pin Email'), { target: { value: 'left' } });
+      fireEvent.change(screen.getByLabelText('Pin Actions'), { target: { value: 'right' } });
+
+      expect(headerNames().slice(1)).toEqual(['Email', 'Name', 'Actions']);
+      const emailHeader = screen.getByRole('columnheader', { name: /^Email/ });
+      expect(emailHeader).toHaveStyle({ position: 'sticky', left: '40px', width: '150px' });
+      expect(screen.getByRole('gridcell', { name: 'john@example.com' })).toHaveStyle({ position: 'sticky', left: '40px' });
+      expect(screen.getByLabelText('Select John Doe').closest('td')).toHaveStyle({ position: 'sticky', left: '0px' });
+      expect(screen.getByRole('columnheader', { name: /^Actions/ })).toHaveStyle({ position: 'sticky', right: '0px' });
+    });
+
+    test('renders a controlled column state', () => {
+      const onColumnStateChange = jest.fn();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          manageColumns
+          columnState={{ order: ['email', 'name'], hidden: [], widths: {}, pinned: {} }}
+          onColumnStateChange={onColumnStateChange}
+        />
+      );
+      expect(headerNames()).toEqual(['Email', 'Name', 'Actions']);
+
+      openColumns();
+      fireEvent.click(screen.getByRole('button', { name: 'Move Name up' }));
+
+      expect(onColumnStateChange).toHaveBeenCalledWith(expect.objectContaining({ order: ['name', 'email', '$actions'] }));
+      expect(headerNames()).toEqual(['Email', 'Name', 'Actions']);
+    });
+
+    test('applies a default column state without the chooser', () => {
+      render(<GenericCrudPage {...defaultProps} defaultColumnState={{ hidden: ['email'] }} />);
+
+      expect(headerNames()).toEqual(['Name', 'Actions']);
+      expect(screen.queryByRole('button', { name: /Columns/ })).not.toBeInTheDocument();
+      expect(screen.queryByRole('separator')).not.toBeInTheDocument();
+    });
+
+    test('navigates the grid in the displayed column order', () => {
+      render(<GenericCrudPage {...defaultProps} defaultColumnState={{ order: ['email', 'name'] }} />);
+      const cell = screen.getByRole('gridcell', { name: 'john@example.com' });
+      act(() => cell.focus());
+
+      fireEvent.keyDown(cell, { key: 'ArrowRight' });
+      expect(screen.getByRole('gridcell', { name: 'John Doe' })).toHaveFocus();
+    });
+  });
+
+  describe('persisted state', () => {
+    const manyItems = Array.from({ length: 25 }, (_, i) => ({
+      id: i + 1,
+      name: `User ${i + 1}`,
+      email: `user${i + 1}@example.com`
+    }));
+    const sortableColumns = [
+      { key: 'name', label: 'Name', sortable: true },
+      { key: 'email', label: 'Email' }
+    ];
+    const firstName = () => screen.getAllByRole('row')[1].cells[0].textContent;
+
+    beforeEach(() => {
+      localStorage.clear();
+      window.history.replaceState(null, '', '/');
+    });
+
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    test('saves the table state under stateKey and restores it', async () => {
+      const { unmount } = render(
+        <GenericCrudPage {...defaultProps} data={manyItems} columns={sortableColumns} pagination stateKey="users" searchDebounce={0} />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      fireEvent.click(screen.getByLabelText('Next page'));
+      expect(JSON.parse(localStorage.getItem('users'))).toEqual(expect.objectContaining({
+        search: '',
+        sort: [{ key: 'name', direction: 'desc' }],
+        page: 2,
+        pageSize: 10
+      }));
+      unmount();
+
+      render(
+        <GenericCrudPage {...defaultProps} data={manyItems} columns={sortableColumns} pagination stateKey="users" />
+      );
+      expect(screen.getByRole('columnheader', { name: /Name/ })).toHaveAttribute('aria-sort', 'descending');
+      expect(screen.getByText('Showing 11–20 of 25')).toBeInTheDocument();
+      expect(firstName()).toBe('User 15');
+    });
+
+    test('restores the search text and column layout', () => {
+      localStorage.setItem('users', JSON.stringify({
+        search: 'jane',
+        columns: { order: ['email', 'name'], hidden: [], widths: {}, pinned: {} }
+      }));
+      render(<GenericCrudPage {...defaultProps} stateKey="users" />);
+
+      expect(screen.getByPlaceholderText('Search...')).toHaveValue('jane');
+      expect(screen.queryByText('John Doe')).not.toBeInTheDocument();
+      expect(screen.getAllByRole('columnheader')[0]).toHaveTextContent('Email');
+    });
+
+    test('reads the state from the URL and writes changes to it', () => {
+      window.history.replaceState(null, '', '/users?tab=all&sort=-name&page=2');
+      const historyLength = window.history.length;
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          data={manyItems}
+          columns={sortableColumns.map(col => (col.key === 'email' ? { ...col, filter: 'text' } : col))}
+          pagination
+          syncWithUrl
+          searchDebounce={0}
+        />
+      );
+
+      expect(screen.getByText('Showing 11–20 of 25')).toBeInTheDocument();
+      expect(firstName()).toBe('User 15');
+
+      fireEvent.click(screen.getByLabelText('Next page'));
+      expect(window.location.pathname).toBe('/users');
+      expect(window.location.search).toBe('?tab=all&sort=-name&page=3');
+      expect(window.history.length).toBe(historyLength + 1);
+
+      fireEvent.click(screen.getByRole('button', { name: /Filters/ }));
+      fireEvent.change(screen.getByLabelText('Filter Email'), { target: { value: 'user1' } });
+      expect(new URLSearchParams(window.location.search).get('filters')).toBe('{"email":"user1"}');
+      expect(new URLSearchParams(window.location.search).get('page')).toBeNull();
+    });
+
+    test('restores earlier states on back and forward', async () => {
+      render(<GenericCrudPage {...defaultProps} data={manyItems} pagination syncWithUrl />);
+
+      fireEvent.click(screen.getByLabelText('Next page'));
+      fireEvent.click(screen.getByLabelText('Next page'));
+      expect(window.location.search).toBe('?page=3');
+
+      act(() => window.history.back());
+      await waitFor(() => expect(screen.getByText('Showing 11–20 of 25')).toBeInTheDocument());
+      expect(window.location.search).toBe('?page=2');
+
+      act(() => window.history.back());
+      await waitFor(() => expect(screen.getByText('Showing 1–10 of 25')).toBeInTheDocument());
+
+      act(() => window.history.forward());
+      await waitFor(() => expect(screen.getByText('Showing 11–20 of 25')).toBeInTheDocument());
+      expect(window.location.search).toBe('?page=2');
+    });
+
+    test('passes restored history state to controlled props', () => {
+      const onSortChange = jest.fn();
+      const onPageChange = jest.fn();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          data={manyItems}
+          pagination
+          syncWithUrl
+          sort={[]}
+          onSortChange={onSortChange}
+          page={1}
+          onPageChange={onPageChange}
+        />
+      );
+
+      window.history.pushState(null, '', '/?sort=-name&page=2');
+      act(() => {
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      expect(onSortChange).toHaveBeenCalledWith([{ key: 'name', direction: 'desc' }]);
+      expect(onPageChange).toHaveBeenLastCalledWith(2, 10);
+    });
+
+    test('prefers the URL over saved state and prefixes parameters', () => {
+      localStorage.setItem('users', JSON.stringify({ search: 'john', page: 3 }));
+      window.history.replaceState(null, '', '/?users.q=jane');
+      render(<GenericCrudPage {...defaultProps} data={manyItems} pagination stateKey="users" syncWithUrl="users." />);
+
+      expect(screen.getByPlaceholderText('Search...')).toHaveValue('jane');
+      expect(window.location.search).toBe('?users.q=jane&users.page=3');
+    });
+  });
+
+  describe('saved views', () => {
+    const people = [
+      { id: 1, name: 'Ann', role: 'admin', active: false },
+      { id: 2, name: 'Bob', role: 'user', active: true },
+      { id: 3, name: 'Cid', role: 'admin', active: true }
+    ];
+    const viewColumns = [
+      { key: 'name', label: 'Name', sortable: true },
+      { key: 'role', label: 'Role', filter: 'text' },
+      { key: 'active', label: 'Active', filter: 'boolean' }
+    ];
+    const viewProps = { ...defaultProps, data: people, columns: viewColumns, searchDebounce: 0 };
+    const names = () => screen.getAllByRole('row').slice(1).map(row => row.cells[0].textContent);
+    const openViews = () => fireEvent.click(screen.getByRole('button', { name: /^View/ }));
+    const memoryStorage = (data = { views: [], defaultViewId: null }) => ({
+      data,
+      load: jest.fn(function load() { return this.data; }),
+      save: jest.fn(function save(next) { this.data = next; })
+    });
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    test('saves the current search, filters, sort and columns as a view', () => {
+      render(<GenericCrudPage {...viewProps} savedViews manageColumns />);
+
+      fireEvent.click(screen.getByRole('button', { name: /Filters/ }));
+      fireEvent.change(screen.getByLabelText('Filter Role'), { target: { value: 'admin' } });
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Name/ }));
+      fireEvent.click(screen.getByRole('button', { name: /Columns/ }));
+      fireEvent.click(within(panelOf(/Columns/)).getByLabelText('Active'));
+
+      openViews();
+      expect(screen.getByText('No saved views yet')).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText('View name'), { target: { value: 'Admins' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save view' }));
+
+      expect(screen.getByRole('button', { name: 'View: Admins' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Admins' })).toHaveAttribute('aria-pressed', 'true');
+      const stored = JSON.parse(localStorage.getItem('generic-crud:views'));
+      expect(stored.views).toEqual([expect.objectContaining({
+        name: 'Admins',
+        search: '',
+        filters: { role: 'admin' },
+        sort: [{ key: 'name', direction: 'desc' }],
+        columns: expect.objectContaining({ hidden: ['active'] })
+      })]);
+      expect(stored.views[0].page).toBeUndefined();
+    });
+
+    test('switches between predefined and saved views', () => {
+      const views = [
+        { id: 'inactive', name: 'Inactive', filters: { active: false } },
+        { id: 'admins', name: 'Admins by name', filters: { role: 'admin' }, sort: [{ key: 'name', direction: 'desc' }] }
+      ];
+      const storage = memoryStorage({
+        views: [{ id: 'b', name: 'Just Bob', search: 'Bob' }],
+        defaultViewId: null
+      });
+      render(<GenericCrudPage {...viewProps} savedViews views={views} viewStorage={storage} />);
+
+      openViews();
+      fireEvent.click(screen.getByRole('button', { name: 'Inactive' }));
+      expect(names()).toEqual(['Ann']);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Admins by name' }));
+      expect(names()).toEqual(['Cid', 'Ann']);
+      expect(screen.getByRole('button', { name: 'Admins by name' })).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByRole('button', { name: 'Inactive' })).toHaveAttribute('aria-pressed', 'false');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Just Bob' }));
+      expect(screen.getByPlaceholderText('Search...')).toHaveValue('Bob');
+      expect(names()).toEqual(['Bob']);
+
+      // Predefined views cannot be renamed or deleted
+      expect(screen.queryByRole('button', { name: 'Delete view Inactive' })).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Delete view Just Bob' })).toBeInTheDocument();
+    });
+
+    test('stops marking a view active when the state changes', () => {
+      render(<GenericCrudPage {...viewProps} views={[{ id: 'admins', name: 'Admins', filters: { role: 'admin' } }]} />);
+
+      openViews();
+      fireEvent.click(screen.getByRole('button', { name: 'Admins' }));
+      expect(screen.getByRole('button', { name: 'View: Admins' })).toBeInTheDocument();
+
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'Ann' } });
+      expect(screen.getByRole('button', { name: 'Views' })).toBeInTheDocument();
+      // Without savedViews there is nothing to save
+      expect(screen.queryByRole('button', { name: 'Save view' })).not.toBeInTheDocument();
+    });
+
+    test('renames and deletes saved views', () => {
+      const storage = memoryStorage({
+        views: [{ id: 'b', name: 'Bob', search: 'Bob' }, { id: 'a', name: 'Ann', search: 'Ann' }],
+        defaultViewId: 'a'
+      });
+      render(<GenericCrudPage {...viewProps} savedViews viewStorage={storage} />);
+
+      openViews();
+      fireEvent.click(screen.getByRole('button', { name: 'Rename view Bob' }));
+      fireEvent.change(screen.getByLabelText('New name for Bob'), { target: { value: 'Only Bob' } });
+      fireEvent.click(within(panelOf(/^View/)).getByRole('button', { name: 'Save' }));
+      expect(screen.getByRole('button', { name: 'Only Bob' })).toBeInTheDocument();
+      expect(storage.data.views[0]).toEqual({ id: 'b', name: 'Only Bob', search: 'Bob' });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Rename view Only Bob' }));
+      fireEvent.keyDown(screen.getByLabelText('New name for Only Bob'), { key: 'Escape' });
+      expect(screen.getByRole('button', { name: 'Only Bob' })).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete view Ann' }));
+      expect(screen.queryByRole('button', { name: /^Ann/ })).not.toBeInTheDocument();
+      expect(storage.data).toEqual({ views: [{ id: 'b', name: 'Only Bob', search: 'Bob' }], defaultViewId: null });
+    });
+
+    test('replaces a saved view of the same name', () => {
+      const storage = memoryStorage({ views: [{ id: 'x', name: 'Mine', search: 'Ann' }], defaultViewId: null });
+      render(<GenericCrudPage {...viewProps} savedViews viewStorage={storage} />);
+
+      fireEvent.change(screen.getByPlaceholderText('Search...'), { target: { value: 'Cid' } });
+      openViews();
+      fireEvent.change(screen.getByLabelText('View name'), { target: { value: ' Mine ' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save view' }));
+
+      expect(storage.data.views).toEqual([expect.objectContaining({ id: 'x', name: 'Mine', search: 'Cid' })]);
+      expect(screen.getByLabelText('View name')).toHaveValue('');
+    });
+
+    test('opens the default view and lets users change it', () => {
+      const views = [{ id: 'inactive', name: 'Inactive', filters: { active: false } }];
+      const storage = memoryStorage({ views: [], defaultViewId: 'inactive' });
+      const { unmount } = render(<GenericCrudPage {...viewProps} savedViews views={views} viewStorage={storage} />);
+
+      expect(names()).toEqual(['Ann']);
+      openViews();
+      expect(screen.getByRole('button', { name: 'Inactive (default)' })).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Stop opening Inactive by default' }));
+      expect(storage.data.defaultViewId).toBeNull();
+      fireEvent.click(screen.getByRole('button', { name: 'Set Inactive as the default view' }));
+      expect(storage.data.defaultViewId).toBe('inactive');
+      unmount();
+
+      // State saved under stateKey wins over the default view
+      localStorage.setItem('people', JSON.stringify({ search: 'Bob' }));
+      render(<GenericCrudPage {...viewProps} savedViews views={views} viewStorage={storage} stateKey="people" />);
+      expect(names()).toEqual(['Bob']);
+    });
+
+    test('loads views from an async storage', async () => {
+      const storage = {
+        load: () => Promise.resolve({ views: [{ id: 'c', name: 'Cid', search: 'Cid' }], defaultViewId: 'c' }),
+        save: jest.fn()
+      };
+      render(<GenericCrudPage {...viewProps} savedViews viewStorage={storage} />);
+
+      await waitFor(() => expect(names()).toEqual(['Cid']));
+      openViews();
+      expect(screen.getByRole('button', { name: 'Cid (default)' })).toHaveAttribute('aria-pressed', 'true');
+    });
+  });
+
+  describe('headless usage', () => {
+    // A layout of its own, wired up with the hook's prop getters
+    const CardList = (props) => {
+      const crud = useGenericCrud(props);
+      const dialog = crud.getConfirmDialogProps();
+      return (
+        <div>
+          <form {...crud.getFormProps()}>
+            {crud.formFields.map(field => (
+              <label key={field.key}>
+                {field.label}
+                <input {...crud.getFieldProps(field)} />
+                <span>{crud.formErrors[field.key]}</span>
+              </label>
+            ))}
+            <button type="submit">Create</button>
+          </form>
+          <input {...crud.getSearchInputProps({ placeholder: 'Find' })} />
+          <ul>
+            {crud.pageData.map(item => (
+              <li key={item.id}>
+                {item.name}
+                <button {...crud.getDeleteButtonProps(item)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+          {dialog && (
+            <div role="alertdialog">
+              {dialog.message}
+              <button onClick={dialog.onConfirm}>Yes</button>
+              <button onClick={dialog.onCancel}>No</button>
+            </div>
+          )}
+        </div>
+      );
+    };
+
+    test('validates and submits the form through its prop getters', async () => {
+      render(<CardList {...defaultProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Create' }));
+      expect(await screen.findByText('Name is required')).toBeInTheDocument();
+      expect(defaultProps.onAdd).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByLabelText(/^Name/), { target: { value: 'Ada Lovelace' } });
+      fireEvent.change(screen.getByLabelText(/^Email/), { target: { value: 'ada@example.com' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Create' }));
+
+      await waitFor(() => expect(defaultProps.onAdd).toHaveBeenCalledWith({
+        name: 'Ada Lovelace',
+        email: 'ada@example.com'
+      }));
+      await waitFor(() => expect(screen.getByLabelText(/^Name/)).toHaveValue(''));
+    });
+
+    test('filters the rows with the search input props', () => {
+      render(<CardList {...defaultProps} searchDebounce={0} />);
+
+      fireEvent.change(screen.getByPlaceholderText('Find'), { target: { value: 'jane' } });
+
+      expect(screen.getByText('Jane Smith')).toBeInTheDocument();
+      expect(screen.queryByText('John Doe')).not.toBeInTheDocument();
+    });
+
+    test('asks for confirmation before deleting', async () => {
+      render(<CardList {...defaultProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      expect(screen.getByRole('alertdialog')).toHaveTextContent('Are you sure you want to delete "John Doe"?');
+      expect(defaultProps.onDelete).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: 'No' }));
+      expect(screen.queryByRole('alertdialog')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Yes' }));
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(1));
+    });
+
+    test('composes the building blocks in another layout', async () => {
+      const CustomPage = (props) => {
+        const crud = useGenericCrud(props);
+        return (
+          <main>
+            <CrudTable crud={crud} />
+            <CrudToolbar crud={crud}>
+              <CrudSearchBar crud={crud} placeholder="Find users" />
+            </CrudToolbar>
+            <CrudForm crud={crud} />
+          </main>
+        );
+      };
+      render(<CustomPage {...defaultProps} searchDebounce={0} />);
+
+      expect(within(screen.getByRole('grid')).getAllByRole('row')).toHaveLength(3);
+      fireEvent.change(screen.getByPlaceholderText('Find users'), { target: { value: 'john' } });
+      expect(within(screen.getByRole('grid')).getAllByRole('row')).toHaveLength(2);
+      expect(screen.getByText('Total: 1')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Edit John Doe' }));
+      expect(screen.getByLabelText(/^Name/)).toHaveValue('John Doe');
+      fireEvent.change(screen.getByLabelText(/^Name/), { target: { value: 'Johnny Doe' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save changes' }));
+
+      await waitFor(() => expect(defaultProps.onEdit).toHaveBeenCalledWith(
+        { ...mockData[0], name: 'Johnny Doe' },
+        mockData[0]
+      ));
+    });
+
+    test('renders the confirmation dialog from its prop getter alone', async () => {
+      const TableWithDialog = (props) => {
+        const crud = useGenericCrud(props);
+        const dialog = crud.getConfirmDialogProps();
+        return (
+          <>
+            <CrudTable crud={crud} />
+            {dialog && <ConfirmDialog {...dialog} />}
+          </>
+        );
+      };
+      render(<TableWithDialog {...defaultProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete John Doe' }));
+      expect(screen.getByRole('alertdialog')).toHaveTextContent('Are you sure you want to delete "John Doe"?');
+      confirmDialog();
+
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith(1));
+    });
+  });
+
+  describe('row identity', () => {
+    const mongoData = [
+      { _id: 'a1', name: 'John Doe', email: 'john@example.com' },
+      { _id: 'b2', name: 'Jane Smith', email: 'jane@example.com' }
+    ];
+
+    let warn;
+    beforeEach(() => {
+      warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    test('uses the rowKey field for selection, editing and deleting', async () => {
+      const onSelectionChange = jest.fn();
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          data={mongoData}
+          rowKey="_id"
+          selectable
+          onSelectionChange={onSelectionChange}
+        />
+      );
+
+      fireEvent.click(screen.getByLabelText('Select Jane Smith'));
+      expect(onSelectionChange).toHaveBeenCalledWith(['b2']);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Jane Smith' }));
+      confirmDialog();
+      await waitFor(() => expect(defaultProps.onDelete).toHaveBeenCalledWith('b2'));
+      expect(onSelectionChange).toHaveBeenLastCalledWith([]);
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('accepts a function for composite keys', async () => {
+      const lines = [
+        { orderId: 7, line: 1, name: 'Widget' },
+        { orderId: 7, line: 2, name: 'Gadget' },
+        { orderId: 8, line: 1, name: 'Gizmo' }
+      ];
+      const onDelete = jest.fn().mockRejectedValue(new Error('Locked'));
+      render(
+        <GenericCrudPage
+          {...defaultProps}
+          data={lines}
+          columns={[{ key: 'name', label: 'Name' }]}
+          rowKey={item => `${item.orderId}:${item.line}`}
+          onDelete={onDelete}
+          confirmDelete={false}
+        />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Gadget' }));
+
+      await waitFor(() => expect(onDelete).toHaveBeenCalledWith('7:2'));
+      const rows = within(screen.getByRole('grid')).getAllByRole('row');
+      expect(await within(rows[2]).findByRole('alert')).toHaveTextContent('Locked');
+      expect(within(rows[1]).queryByRole('alert')).not.toBeInTheDocument();
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    test('updates and removes data source records by rowKey', async () => {
+      const dataSource = createMemoryAdapter(mongoData, { idKey: '_id' });
+      render(<GenericCrudPage {...defaultProps} data={undefined} dataSource={dataSource} rowKey="_id" />);
+      await screen.findByText('John Doe');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Edit John Doe' }));
+      fireEvent.change(screen.getByLabelText('Name *'), { target: { value: 'John Updated' } });
+      fireEvent.click(screen.getByText('Save'));
+      expect(await screen.findByText('John Updated')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Delete Jane Smith' }));
+      confirmDialog();
+      await waitFor(() => expect(screen.queryByText('Jane Smith')).not.toBeInTheDocument());
+      expect(screen.getByText('John Updated')).toBeInTheDocument();
+    });
+
+    test('warns once about missing and duplicate ids in development', () => {
+      // React reports the clashing keys as well
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const data = [...mockData, { id: 2, name: 'Jane Again' }, { name: 'Nobody' }];
+      const { rerender } = render(<GenericCrudPage {...defaultProps} data={data} />);
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toMatch(/1 row has no id and duplicate row ids 2\..*`rowKey`/);
+
+      rerender(<GenericCrudPage {...defaultProps} data={[...data]} />);
+      expect(warn).toHaveBeenCalledTimes(1);
+      error.mockRestore();
+    });
+  });
+});
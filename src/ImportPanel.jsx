@@ -0,0 +1,269 @@
+/**
+ * ImportPanel.jsx
+ *
+ * The Import step of GenericCrudPage. Reads a CSV, TSV or JSON file in the
+ * browser, lets the user map file columns to form fields, previews every
+ * row against the form's validation and submits the valid rows.
+ *
+ * Valid rows go to `onImport(items)` in one call, or to `onAdd(item)` one
+ * at a time. When an `onAdd` call fails, the rows imported so far are
+ * removed from the preview so that a retry does not add them twice.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  getImportFormat,
+  parseImportFile,
+  getImportableFields,
+  guessMapping,
+  buildImportRows
+} from './importing.js';
+import { isThenable } from './validation.js';
+import { formatCellValue } from './fieldValues.js';
+import { defaultI18n } from './i18n.js';
+
+// Number of rows shown in the preview table
+const PREVIEW_LIMIT = 100;
+
+// Read a File as text
+const readFileText = (file, i18n) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error(i18n.t('importReadError')));
+  reader.readAsText(file);
+});
+
+const isValidRow = (row) => Object.keys(row.errors).length === 0;
+
+export default function ImportPanel({
+  id,                     // Element id, referenced by the toggle button
+  formFields,             // Form fields the file columns can map to
+  validate,               // Form-level validation, as on GenericCrudPage
+  onImport,               // Function: called with all valid items
+  onAdd,                  // Function: called per item when onImport is absent
+  onClose,                // Function: called on cancel and after a successful import
+  styles,                 // Merged GenericCrudPage style slots
+  i18n = defaultI18n      // Messages and formatting, as on GenericCrudPage
+}) {
+  const { t } = i18n;
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [validating, setValidating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const importableFields = useMemo(() => getImportableFields(formFields), [formFields]);
+
+  // Fields that receive a file column, in form order
+  const mappedFields = useMemo(() => {
+    const keys = new Set(Object.values(mapping));
+    return importableFields.filter(field => keys.has(field.key));
+  }, [importableFields, mapping]);
+
+  const validCount = rows.filter(isValidRow).length;
+
+  // Read and parse the chosen file, suggesting a column mapping
+  const handleFileChange = async (e) => {
+    const selected = e.target.files && e.target.files[0];
+    setError(null);
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+
+    try {
+      const text = await readFileText(selected, i18n);
+      const { headers, records } = parseImportFile(text, getImportFormat(selected.name), i18n);
+      setMapping(guessMapping(headers, formFields));
+      setFile({ name: selected.name, headers, records });
+    } catch (err) {
+      setFile(null);
+      setError(err.message);
+    }
+  };
+
+  // Check every row whenever the file or the mapping changes
+  useEffect(() => {
+    if (!file) {
+      setRows([]);
+      return undefined;
+    }
+
+    const result = buildImportRows(file.records, mapping, formFields, validate, i18n);
+    if (!isThenable(result)) {
+      setRows(result);
+      setValidating(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setValidating(true);
+    result.then(
+      built => !cancelled && setRows(built),
+      err => !cancelled && setError(err.message || t('importValidationError'))
+    ).finally(() => !cancelled && setValidating(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [file, mapping, formFields, validate, i18n, t]);
+
+  // Submit the valid rows
+  const handleImport = async () => {
+    const validRows = rows
+      .map((row, index) => ({ ...row, index }))
+      .filter(isValidRow);
+
+    setImporting(true);
+    setError(null);
+
+    if (onImport) {
+      try {
+        await onImport(validRows.map(row => row.values));
+        onClose();
+      } catch (err) {
+        setError((err && err.message) || t('importFailed'));
+        setImporting(false);
+      }
+      return;
+    }
+
+    const imported = new Set();
+    try {
+      for (const row of validRows) {
+        await onAdd(row.values);
+        imported.add(row.index);
+      }
+      onClose();
+    } catch (err) {
+      const notImported = (_, index) => !imported.has(index);
+      setFile(prev => ({ ...prev, records: prev.records.filter(notImported) }));
+      // Update the preview right away instead of waiting for it to be rebuilt
+      setRows(prev => prev.filter(notImported));
+      setError(t('importPartial', {
+        imported: imported.size,
+        count: validRows.length,
+        error: (err && err.message) || t('importFailed')
+      }));
+      setImporting(false);
+    }
+  };
+
+  return (
+    <section id={id} style={styles.importPanel} aria-label={t('importLabel')}>
+      <label style={styles.formField}>
+        <span style={styles.label}>{t('importFile')}</span>
+        <input
+          type="file"
+          accept=".csv,.tsv,.json,text/csv,text/tab-separated-values,application/json"
+          onChange={handleFileChange}
+          disabled={importing}
+          style={styles.input}
+        />
+      </label>
+
+      {error && (
+        <div role="alert" style={{ ...styles.fieldError, marginTop: 0 }}>
+          {error}
+        </div>
+      )}
+
+      {file && (
+        <>
+          <fieldset style={{ border: 'none', padding: 0, margin: 0 }} disabled={importing}>
+            <legend style={{ ...styles.label, marginBottom: '8px' }}>{t('importMapping')}</legend>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
+              {file.headers.map(header => (
+                <div key={header} style={styles.formField}>
+                  <span style={styles.hint}>{header}</span>
+                  <select
+                    value={mapping[header] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [header]: e.target.value }))}
+                    style={styles.input}
+                    aria-label={t('importFieldFor', { header })}
+                  >
+                    <option value="">{t('importSkipColumn')}</option>
+                    {importableFields.map(field => (
+                      <option key={field.key} value={field.key}>{field.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </fieldset>
+
+          <div role="status" style={{ ...styles.label, fontWeight: 'normal' }}>
+            {validating
+              ? t('importChecking')
+              : t(rows.length > validCount ? 'importSomeInvalid' : 'importValidRows', {
+                valid: validCount,
+                count: rows.length
+              })}
+          </div>
+
+          {rows.length > 0 && (
+            <div style={styles.importPreview}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }} aria-label={t('importPreview')}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>{t('importRowColumn')}</th>
+                    {mappedFields.map(field => (
+                      <th key={field.key} style={styles.th}>{field.label}</th>
+                    ))}
+                    <th style={styles.th}>{t('importStatusColumn')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_LIMIT).map((row, index) => {
+                    const valid = isValidRow(row);
+                    return (
+                      <tr key={index} style={valid ? undefined : styles.rowError}>
+                        <td style={styles.td}>{i18n.formatNumber(index + 1)}</td>
+                        {mappedFields.map(field => (
+                          <td key={field.key} style={styles.td}>
+                            {formatCellValue(row.values[field.key], i18n)}
+                          </td>
+                        ))}
+                        <td style={{ ...styles.td, color: (valid ? styles.successText : styles.fieldError).color }}>
+                          {valid ? t('importValid') : Object.values(row.errors).join('; ')}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {rows.length > PREVIEW_LIMIT && (
+            <div style={styles.hint}>
+              {t('importPreviewLimit', { limit: PREVIEW_LIMIT, count: rows.length })}
+            </div>
+          )}
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={!file || validating || importing || validCount === 0}
+          style={{
+            ...styles.addButton,
+            opacity: !file || validating || importing || validCount === 0 ? 0.6 : 1
+          }}
+        >
+          {importing ? t('importing') : t('importSubmit', { count: validCount })}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={importing}
+          style={styles.refreshButton}
+        >
+          {t('cancel')}
+        </button>
+      </div>
+    </section>
+  );
+}
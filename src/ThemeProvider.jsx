@@ -0,0 +1,68 @@
+/**
+ * ThemeProvider.jsx
+ *
+ * Shares a theme with every GenericCrudPage below it. A page's own `theme`
+ * prop takes precedence over the provider.
+ *
+ *   <ThemeProvider theme="dark">
+ *     <GenericCrudPage ... />
+ *   </ThemeProvider>
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import { lightTheme, resolveTheme, toCssVariables } from './theme.js';
+import { createStyles } from './styles.js';
+
+const ThemeContext = createContext(null);
+
+const NO_CUSTOM_STYLES = {};
+
+export function ThemeProvider({
+  theme = 'light',        // 'light', 'dark' or a partial theme object
+  children
+}) {
+  const resolved = useMemo(() => resolveTheme(theme), [theme]);
+
+  return (
+    <ThemeContext.Provider value={resolved}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+/**
+ * The theme to use: the given `theme` when set, otherwise the nearest
+ * ThemeProvider's theme, otherwise the light theme.
+ */
+export const useTheme = (theme) => {
+  const contextTheme = useContext(ThemeContext);
+  return useMemo(
+    () => (theme ? resolveTheme(theme) : contextTheme || lightTheme),
+    [theme, contextTheme]
+  );
+};
+
+/**
+ * The style slots of the CRUD components for a theme, with `customStyles`
+ * merged over them, and the theme's design tokens as CSS variables. Pass
+ * `styles` to CrudForm, CrudToolbar, CrudSearchBar and CrudTable to style
+ * them alike.
+ */
+export const useCrudStyles = ({ theme, customStyles = NO_CUSTOM_STYLES, direction = 'ltr' } = {}) => {
+  const activeTheme = useTheme(theme);
+  const cssVariables = useMemo(() => toCssVariables(activeTheme), [activeTheme]);
+
+  // Merge the theme's styles with custom styles
+  const styles = useMemo(() => {
+    const themeStyles = createStyles(activeTheme, direction);
+    const merged = {};
+    Object.keys(themeStyles).forEach(key => {
+      merged[key] = { ...themeStyles[key], ...customStyles[key] };
+    });
+    return merged;
+  }, [activeTheme, direction, customStyles]);
+
+  return { theme: activeTheme, cssVariables, styles };
+};
+
+export default ThemeProvider;
@@ -0,0 +1,124 @@
+/**
+ * Column layout helpers for GenericCrudPage
+ *
+ * The layout the user chose is kept as column state:
+ *
+ *   {
+ *     order: ['name', 'email', ...],   // Column keys in display order
+ *     hidden: ['phone'],               // Keys of hidden columns
+ *     widths: { name: 220 },           // Widths in px set by resizing
+ *     pinned: { name: 'left' }         // 'left', 'right' or null (unpinned)
+ *   }
+ *
+ * The row actions column takes part under the key ACTIONS_COLUMN. Widths
+ * and pins missing from the state fall back to the column definitions'
+ * `width` and `pinned`, and columns missing from `order` follow the ordered
+ * ones.
+ */
+
+export const ACTIONS_COLUMN = '$actions';
+
+export const MIN_COLUMN_WIDTH = 60;
+
+// Width in px of pinned columns that have no width of their own
+export const DEFAULT_PINNED_WIDTH = 150;
+
+/**
+ * Resolve column state against the current column keys: unknown keys are
+ * dropped and new columns are added to the order.
+ */
+export const normalizeColumnState = (state, keys) => {
+  const { order = [], hidden = [], widths = {}, pinned = {} } = state || {};
+  const known = new Set(keys);
+  const ordered = order.filter(key => known.has(key));
+  const pick = (values) => Object.fromEntries(
+    Object.entries(values).filter(([key]) => known.has(key))
+  );
+
+  return {
+    order: [...ordered, ...keys.filter(key => !ordered.includes(key))],
+    hidden: hidden.filter(key => known.has(key)),
+    widths: pick(widths),
+    pinned: pick(pinned)
+  };
+};
+
+// Move the column `fromKey` to the place of `toKey`
+export const moveColumn = (state, fromKey, toKey) => {
+  if (fromKey === toKey) return state;
+  const order = state.order.filter(key => key !== fromKey);
+  const index = order.indexOf(toKey);
+  if (index < 0) return state;
+  // Dropping on a later column puts the moved column after it
+  const offset = state.order.indexOf(fromKey) < state.order.indexOf(toKey) ? 1 : 0;
+  order.splice(index + offset, 0, fromKey);
+  return { ...state, order };
+};
+
+export const setColumnHidden = (state, key, hidden) => ({
+  ...state,
+  hidden: hidden
+    ? [...state.hidden.filter(hiddenKey => hiddenKey !== key), key]
+    : state.hidden.filter(hiddenKey => hiddenKey !== key)
+});
+
+export const setColumnWidth = (state, key, width, minWidth = MIN_COLUMN_WIDTH) => ({
+  ...state,
+  widths: { ...state.widths, [key]: Math.max(minWidth, Math.round(width)) }
+});
+
+export const setColumnPinned = (state, key, side) => ({
+  ...state,
+  pinned: { ...state.pinned, [key]: side || null }
+});
+
+/**
+ * The visible columns in DOM order, each as `{ key, column, width, pinned,
+ * offset }`. Columns pinned left come first and columns pinned right last;
+ * right-to-left layouts mirror this. Pinned columns get a width and their
+ * `offset` in px from their side of the table, after the `leadingWidth` px
+ * of a leading (selection) column that is pinned along with them.
+ *
+ * `columns` holds the column definitions by key, with `null` for the
+ * actions column.
+ */
+export const getColumnLayout = (columns, state, { direction = 'ltr', leadingWidth = 0 } = {}) => {
+  const hidden = new Set(state.hidden);
+  const groups = { left: [], none: [], right: [] };
+
+  state.order.forEach(key => {
+    if (!(key in columns) || hidden.has(key)) return;
+    const column = columns[key];
+    const pinned = key in state.pinned ? state.pinned[key] : (column && column.pinned) || null;
+    const width = state.widths[key] ?? (column && column.width) ?? (pinned ? DEFAULT_PINNED_WIDTH : undefined);
+    groups[pinned === 'left' || pinned === 'right' ? pinned : 'none'].push({ key, column, width, pinned: pinned || null });
+  });
+
+  const rtl = direction === 'rtl';
+  const entries = rtl
+    ? [...groups.right, ...groups.none, ...groups.left]
+    : [...groups.left, ...groups.none, ...groups.right];
+
+  // The leading column sits on the start side, and is pinned when that side has pinned columns
+  const startSide = rtl ? 'right' : 'left';
+  const leadingPinned = leadingWidth > 0 && groups[startSide].length > 0 ? startSide : null;
+
+  // Offsets add up the widths of the pinned columns between each column and its side
+  const physical = rtl ? [...entries].reverse() : entries;
+  let left = leadingPinned === 'left' ? leadingWidth : 0;
+  physical.forEach(entry => {
+    if (entry.pinned === 'left') {
+      entry.offset = left;
+      left += entry.width;
+    }
+  });
+  let right = leadingPinned === 'right' ? leadingWidth : 0;
+  [...physical].reverse().forEach(entry => {
+    if (entry.pinned === 'right') {
+      entry.offset = right;
+      right += entry.width;
+    }
+  });
+
+  return { columns: entries, leadingPinned };
+};
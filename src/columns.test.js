@@ -0,0 +1,86 @@
+import {
+  ACTIONS_COLUMN,
+  normalizeColumnState,
+  moveColumn,
+  setColumnHidden,
+  setColumnWidth,
+  setColumnPinned,
+  getColumnLayout
+} from './columns.js';
+
+describe('column helpers', () => {
+  const keys = ['name', 'email', 'role', ACTIONS_COLUMN];
+
+  test('normalizes column state against the current columns', () => {
+    expect(normalizeColumnState(undefined, keys)).toEqual({ order: keys, hidden: [], widths: {}, pinned: {} });
+    expect(normalizeColumnState({
+      order: ['role', 'gone', 'name'],
+      hidden: ['gone', 'email'],
+      widths: { gone: 100, name: 200 },
+      pinned: { gone: 'left', role: 'right' }
+    }, keys)).toEqual({
+      order: ['role', 'name', 'email', ACTIONS_COLUMN],
+      hidden: ['email'],
+      widths: { name: 200 },
+      pinned: { role: 'right' }
+    });
+  });
+
+  test('moves, hides, resizes and pins columns', () => {
+    const state = normalizeColumnState({}, keys);
+    expect(moveColumn(state, 'name', 'role').order).toEqual(['email', 'role', 'name', ACTIONS_COLUMN]);
+    expect(moveColumn(state, 'role', 'name').order).toEqual(['role', 'name', 'email', ACTIONS_COLUMN]);
+    expect(moveColumn(state, 'name', 'name')).toBe(state);
+
+    const hidden = setColumnHidden(state, 'email', true);
+    expect(hidden.hidden).toEqual(['email']);
+    expect(setColumnHidden(hidden, 'email', false).hidden).toEqual([]);
+
+    expect(setColumnWidth(state, 'name', 212.4).widths).toEqual({ name: 212 });
+    expect(setColumnWidth(state, 'name', 10).widths).toEqual({ name: 60 });
+    expect(setColumnWidth(state, 'name', 10, 100).widths).toEqual({ name: 100 });
+
+    expect(setColumnPinned(state, 'name', 'left').pinned).toEqual({ name: 'left' });
+    expect(setColumnPinned(state, 'name', '').pinned).toEqual({ name: null });
+  });
+
+  describe('getColumnLayout', () => {
+    const columns = {
+      name: { key: 'name', label: 'Name', width: 200 },
+      email: { key: 'email', label: 'Email' },
+      role: { key: 'role', label: 'Role', pinned: 'left' },
+      [ACTIONS_COLUMN]: null
+    };
+
+    test('puts pinned columns on their side and leaves hidden ones out', () => {
+      const state = normalizeColumnState({ hidden: ['email'], pinned: { [ACTIONS_COLUMN]: 'right' } }, keys);
+      const { columns: layout, leadingPinned } = getColumnLayout(columns, state);
+
+      expect(layout.map(entry => entry.key)).toEqual(['role', 'name', ACTIONS_COLUMN]);
+      expect(layout[0]).toMatchObject({ pinned: 'left', width: 150, offset: 0 });
+      expect(layout[1]).toMatchObject({ pinned: null, width: 200 });
+      expect(layout[1].offset).toBeUndefined();
+      expect(layout[2]).toMatchObject({ pinned: 'right', width: 150, offset: 0, column: null });
+      expect(leadingPinned).toBeNull();
+    });
+
+    test('adds up the offsets of pinned columns after a pinned leading column', () => {
+      const state = normalizeColumnState({ pinned: { name: 'left' }, widths: { role: 120 } }, keys);
+      const { columns: layout, leadingPinned } = getColumnLayout(columns, state, { leadingWidth: 40 });
+
+      expect(layout.map(entry => entry.key)).toEqual(['name', 'role', 'email', ACTIONS_COLUMN]);
+      expect(layout[0].offset).toBe(40);
+      expect(layout[1].offset).toBe(240);
+      expect(leadingPinned).toBe('left');
+    });
+
+    test('mirrors the layout in right-to-left tables', () => {
+      const state = normalizeColumnState({ pinned: { name: 'right', role: null } }, keys);
+      const { columns: layout, leadingPinned } = getColumnLayout(columns, state, { direction: 'rtl', leadingWidth: 40 });
+
+      expect(layout.map(entry => entry.key)).toEqual(['name', 'email', 'role', ACTIONS_COLUMN]);
+      expect(layout[0]).toMatchObject({ pinned: 'right', offset: 40 });
+      expect(leadingPinned).toBe('right');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Data-source adapters for GenericCrudPage and useCrudResource
+ *
+ * An adapter is a plain object with promise-returning methods:
+ * - list()            -> Promise<item[]>
+ * - create(item)      -> Promise<createdItem>
+ * - update(id, item)  -> Promise<updatedItem>
+ * - remove(id)        -> Promise<void>
+ *
+ * `create`, `update` and `remove` are optional; the matching UI actions are
+ * hidden when an adapter does not implement them.
+ */
+
+// Resolve a URL option that may be a string or a function of the item id
+const resolveUrl = (url, id) => (typeof url === 'function' ? url(id) : url);
+
+// Parse a fetch response, throwing on HTTP errors
+const parseResponse = async (response) => {
+  const text = await response.text();
+  let body = null;
+
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      body = text;
+    }
+  }
+
+  if (!response.ok) {
+    const message = (body && typeof body === 'object' && body.message)
+      || `Request failed with status ${response.status}`;
+    const error = new Error(message);
+    error.status = response.status;
+    error.body = body;
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Create an adapter for a JSON REST endpoint using fetch.
+ *
+ * By default it uses `GET baseUrl`, `POST baseUrl`, `PUT baseUrl/:id` and
+ * `DELETE baseUrl/:id`. Each URL can be overridden through `urls`, either
+ * as a string or as a function receiving the item id.
+ */
+export function createRestAdapter({
+  baseUrl = '',
+  urls = {},
+  headers = {},
+  updateMethod = 'PUT',
+  fetch: fetchImpl,
+  parseList = (body) => body,
+  parseItem = (body) => body
+} = {}) {
+  const request = (url, options = {}) => {
+    const doFetch = fetchImpl || globalThis.fetch;
+    return doFetch(url, {
+      ...options,
+      headers: {
+        Accept: 'application/json',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      }
+    }).then(parseResponse);
+  };
+
+  const itemUrl = (id) => `${baseUrl}/${encodeURIComponent(id)}`;
+
+  return {
+    list: () =>
+      request(resolveUrl(urls.list ?? baseUrl)).then(parseList),
+
+    create: (item) =>
+      request(resolveUrl(urls.create ?? baseUrl), {
+        method: 'POST',
+        body: JSON.stringify(item)
+      }).then(body => parseItem(body) ?? item),
+
+    update: (id, item) =>
+      request(urls.update ? resolveUrl(urls.update, id) : itemUrl(id), {
+        method: updateMethod,
+        body: JSON.stringify(item)
+      }).then(body => parseItem(body) ?? item),
+
+    remove: (id) =>
+      request(urls.remove ? resolveUrl(urls.remove, id) : itemUrl(id), {
+        method: 'DELETE'
+      }).then(() => undefined)
+  };
+}
+
+/**
+ * Create an adapter that keeps records in memory.
+ * Useful for tests, demos and prototyping before a backend exists.
+ */
+export function createMemoryAdapter(initialItems = [], {
+  idKey = 'id',
+  delay = 0,
+  generateId
+} = {}) {
+  let items = initialItems.map(item => ({ ...item }));
+  let nextId = items.reduce(
+    (max, item) => (typeof item[idKey] === 'number' ? Math.max(max, item[idKey]) : max),
+    0
+  ) + 1;
+
+  const respond = (value) => new Promise(resolve => {
+    setTimeout(() => resolve(value), delay);
+  });
+
+  const fail = (message) => new Promise((_, reject) => {
+    setTimeout(() => reject(new Error(message)), delay);
+  });
+
+  const findIndex = (id) => items.findIndex(item => item[idKey] === id);
+
+  return {
+    list: () => respond(items.map(item => ({ ...item }))),
+
+    create: (item) => {
+      const id = item[idKey] ?? (generateId ? generateId(item) : nextId++);
+      const created = { ...item, [idKey]: id };
+      items = [...items, created];
+      return respond({ ...created });
+    },
+
+    update: (id, item) => {
+      const index = findIndex(id);
+      if (index === -1) return fail(`Item ${id} not found`);
+
+      const updated = { ...items[index], ...item, [idKey]: id };
+      items = items.map((existing, i) => (i === index ? updated : existing));
+      return respond({ ...updated });
+    },
+
+    remove: (id) => {
+      if (findIndex(id) === -1) return fail(`Item ${id} not found`);
+
+      items = items.filter(item => item[idKey] !== id);
+      return respond(undefined);
+    }
+  };
+}
@@ -0,0 +1,65 @@
+import { createRestAdapter, createMemoryAdapter } from './dataSources.js';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+});
+
+describe('createRestAdapter', () => {
+  test('uses REST conventions for each operation', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse({ id: 1, name: 'John' })));
+    const adapter = createRestAdapter({ baseUrl: '/api/users', fetch });
+
+    await adapter.list();
+    await adapter.create({ name: 'John' });
+    await adapter.update(1, { name: 'John' });
+    await adapter.remove(1);
+
+    expect(fetch.mock.calls.map(([url, options]) => [options.method || 'GET', url])).toEqual([
+      ['GET', '/api/users'],
+      ['POST', '/api/users'],
+      ['PUT', '/api/users/1'],
+      ['DELETE', '/api/users/1']
+    ]);
+    expect(fetch.mock.calls[1][1].body).toBe(JSON.stringify({ name: 'John' }));
+    expect(fetch.mock.calls[1][1].headers['Content-Type']).toBe('application/json');
+  });
+
+  test('supports custom URLs and response parsing', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse({ data: [{ id: 1 }] })));
+    const adapter = createRestAdapter({
+      urls: { list: '/api/users?active=true', update: id => `/api/users/${id}/edit` },
+      updateMethod: 'PATCH',
+      parseList: body => body.data,
+      fetch
+    });
+
+    expect(await adapter.list()).toEqual([{ id: 1 }]);
+    await adapter.update(7, {});
+    expect(fetch).toHaveBeenLastCalledWith('/api/users/7/edit', expect.objectContaining({ method: 'PATCH' }));
+  });
+
+  test('rejects with the server message on HTTP errors', async () => {
+    const fetch = jest.fn(() => Promise.resolve(jsonResponse({ message: 'Email taken' }, 422)));
+    const adapter = createRestAdapter({ baseUrl: '/api/users', fetch });
+
+    await expect(adapter.create({})).rejects.toMatchObject({ message: 'Email taken', status: 422 });
+  });
+});
+
+describe('createMemoryAdapter', () => {
+  test('stores records and generates ids', async () => {
+    const adapter = createMemoryAdapter([{ id: 4, name: 'John' }]);
+
+    expect(await adapter.create({ name: 'Jane' })).toEqual({ id: 5, name: 'Jane' });
+    expect(await adapter.update(4, { name: 'Johnny' })).toEqual({ id: 4, name: 'Johnny' });
+    await adapter.remove(5);
+    expect(await adapter.list()).toEqual([{ id: 4, name: 'Johnny' }]);
+  });
+
+  test('rejects operations on unknown records', async () => {
+    const adapter = createMemoryAdapter();
+    await expect(adapter.remove(1)).rejects.toThrow('Item 1 not found');
+  });
+});
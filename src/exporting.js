@@ -0,0 +1,114 @@
+/**
+ * Export helpers for GenericCrudPage
+ *
+ * Serialise rows to CSV, TSV or JSON using the table's columns: column
+ * order and labels are kept, and each value comes from the column's
+ * `exportValue(item)` when given, or from `item[key]`. Columns with
+ * `exportable: false` are left out.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' }
+};
+
+// Columns included in an export
+export const getExportColumns = (columns) => columns.filter(col => col.exportable !== false);
+
+// Raw value of a column for an item
+export const getExportValue = (column, item) =>
+  column.exportValue ? column.exportValue(item) : item[column.key];
+
+// Text of a value in a delimited file
+const toCellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (typeof File !== 'undefined' && value instanceof File) return value.name;
+  if (Array.isArray(value)) return value.map(toCellText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Value of a cell in a JSON export
+const toJsonValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof File !== 'undefined' && value instanceof File) return value.name;
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  return value;
+};
+
+/**
+ * Quote a field when it contains the delimiter, a quote, a line break or
+ * surrounding whitespace, doubling any quotes inside (RFC 4180).
+ */
+export const escapeDelimitedValue = (text, delimiter = ',') => {
+  const needsQuotes = text.includes(delimiter)
+    || /["\r\n]/.test(text)
+    || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows as delimited text with a header row of column labels
+export const toDelimited = (rows, columns, delimiter = ',') => {
+  const exportColumns = getExportColumns(columns);
+  const line = (values) => values
+    .map(value => escapeDelimitedValue(toCellText(value), delimiter))
+    .join(delimiter);
+
+  return [
+    line(exportColumns.map(col => col.label)),
+    ...rows.map(item => line(exportColumns.map(col => getExportValue(col, item))))
+  ].join('\r\n');
+};
+
+// Serialise rows as a JSON array of objects keyed by column label
+export const toJson = (rows, columns) => {
+  const exportColumns = getExportColumns(columns);
+  const records = rows.map(item => {
+    const record = {};
+    exportColumns.forEach(col => {
+      record[col.label] = toJsonValue(getExportValue(col, item));
+    });
+    return record;
+  });
+  return JSON.stringify(records, null, 2);
+};
+
+/**
+ * Serialise rows in the given format: 'csv', 'tsv' or 'json'.
+ */
+export const exportRows = (rows, columns, format = 'csv') => {
+  switch (format) {
+    case 'csv':
+      return toDelimited(rows, columns, ',');
+    case 'tsv':
+      return toDelimited(rows, columns, '\t');
+    case 'json':
+      return toJson(rows, columns);
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+};
+
+// Turn a page title into a file name, e.g. 'User Accounts' -> 'user-accounts'
+export const toFileName = (title) =>
+  String(title || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+
+/**
+ * Offer content to the user as a file download.
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  // A byte order mark lets spreadsheet apps detect UTF-8 in CSV and TSV files
+  const parts = mimeType.startsWith('text/') ? ['\uFEFF', content] : [content];
+  const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
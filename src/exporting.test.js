@@ -0,0 +1,46 @@
+import { escapeDelimitedValue, exportRows, toFileName } from './exporting.js';
+
+describe('export helpers', () => {
+  const columns = [
+    { key: 'name', label: 'Name' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'joined', label: 'Joined' },
+    { key: 'secret', label: 'Secret', exportable: false }
+  ];
+  const rows = [
+    { name: 'Ann\nLee', tags: ['a', 'b'], joined: new Date(Date.UTC(2024, 0, 2)), secret: 'x' },
+    { name: ' padded ', tags: [], joined: null }
+  ];
+
+  test('quotes delimited values only when needed', () => {
+    expect(escapeDelimitedValue('plain')).toBe('plain');
+    expect(escapeDelimitedValue('a,b')).toBe('"a,b"');
+    expect(escapeDelimitedValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeDelimitedValue('a,b', '\t')).toBe('a,b');
+    expect(escapeDelimitedValue('a\tb', '\t')).toBe('"a\tb"');
+  });
+
+  test('serialises typed values to CSV', () => {
+    expect(exportRows(rows, columns, 'csv')).toBe([
+      'Name,Tags,Joined',
+      '"Ann\nLee","a, b",2024-01-02T00:00:00.000Z',
+      '" padded ",,'
+    ].join('\r\n'));
+  });
+
+  test('serialises rows to JSON keyed by label', () => {
+    expect(JSON.parse(exportRows(rows, columns, 'json'))).toEqual([
+      { Name: 'Ann\nLee', Tags: ['a', 'b'], Joined: '2024-01-02T00:00:00.000Z' },
+      { Name: ' padded ', Tags: [], Joined: null }
+    ]);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => exportRows(rows, columns, 'xml')).toThrow('Unsupported export format "xml"');
+  });
+
+  test('builds file names from titles', () => {
+    expect(toFileName('User Accounts')).toBe('user-accounts');
+    expect(toFileName('')).toBe('export');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Form field value helpers for GenericCrudPage
+ *
+ * Form state holds typed values: numbers for `number` fields, booleans for
+ * `checkbox` and `switch`, arrays for `multiselect`, Date objects for `date`
+ * and `datetime`, File objects for `file`, and option values (with their
+ * original type) for `select` and `radio`. These helpers convert between
+ * those values and what the native inputs expect.
+ */
+
+import { defaultI18n } from './i18n.js';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Format a Date as the local 'YYYY-MM-DD' used by <input type="date">
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Format a Date as the local 'YYYY-MM-DDTHH:mm' used by <input type="datetime-local">
+const toDateTimeInput = (date) =>
+  `${toDateInput(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Read a date-only string as local midnight, anything else through the Date constructor
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00`);
+  }
+  return new Date(value);
+};
+
+// Empty value of a field before the user enters anything
+export const getEmptyValue = (field) => {
+  switch (field.type) {
+    case 'checkbox':
+    case 'switch':
+      return false;
+    case 'multiselect':
+      return [];
+    case 'number':
+    case 'date':
+    case 'datetime':
+    case 'file':
+      return null;
+    default:
+      return '';
+  }
+};
+
+// Initial form state, honouring each field's `defaultValue`
+export const getInitialValues = (formFields) => {
+  const values = {};
+  formFields.forEach(field => {
+    values[field.key] = field.defaultValue !== undefined ? field.defaultValue : getEmptyValue(field);
+  });
+  return values;
+};
+
+// Whether a value counts as missing for a required field
+export const isEmptyValue = (value) =>
+  value == null
+  || value === false
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'number' && Number.isNaN(value));
+
+// Find an option's original value from the string a native control reports
+const findOptionValue = (field, raw) => {
+  const option = field.options?.find(opt => String(opt.value) === raw);
+  return option ? option.value : raw;
+};
+
+/**
+ * Convert a typed form value into the `value` a native control expects.
+ */
+export const toInputValue = (field, value) => {
+  if (value == null) {
+    return field.type === 'multiselect' ? [] : '';
+  }
+
+  switch (field.type) {
+    case 'number':
+      return Number.isNaN(value) ? '' : String(value);
+    case 'date': {
+      const date = toDate(value);
+      return Number.isNaN(date.getTime()) ? '' : toDateInput(date);
+    }
+    case 'datetime': {
+      const date = toDate(value);
+      return Number.isNaN(date.getTime()) ? '' : toDateTimeInput(date);
+    }
+    case 'multiselect':
+      return (Array.isArray(value) ? value : [value]).map(String);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Read a typed value from a native control's change event.
+ */
+export const fromInputEvent = (field, event) => {
+  const { target } = event;
+
+  switch (field.type) {
+    case 'number':
+      return target.value === '' ? null : Number(target.value);
+    case 'checkbox':
+    case 'switch':
+      return target.checked;
+    case 'date':
+    case 'datetime':
+      return target.value === '' ? null : toDate(target.value);
+    case 'multiselect':
+      return Array.from(target.selectedOptions).map(opt => findOptionValue(field, opt.value));
+    case 'file': {
+      const files = Array.from(target.files || []);
+      return field.multiple ? files : files[0] ?? null;
+    }
+    case 'select':
+    case 'radio':
+      return target.value === '' ? '' : findOptionValue(field, target.value);
+    default:
+      return target.value;
+  }
+};
+
+/**
+ * Check the built-in `min`/`max` constraints of number and date fields.
+ * Returns an error message, or null when the value is within range.
+ */
+export const checkRange = (field, value, i18n = defaultI18n) => {
+  if (value == null || (field.min == null && field.max == null)) return null;
+  const { label, min, max } = field;
+
+  if (field.type === 'number') {
+    if (min != null && value < min) return i18n.t('minNumber', { label, min });
+    if (max != null && value > max) return i18n.t('maxNumber', { label, max });
+  }
+
+  if (field.type === 'date' || field.type === 'datetime') {
+    const time = toDate(value).getTime();
+    if (min != null && time < toDate(min).getTime()) return i18n.t('minDate', { label, min });
+    if (max != null && time > toDate(max).getTime()) return i18n.t('maxDate', { label, max });
+  }
+
+  return null;
+};
+
+/**
+ * Default text for a cell without a custom `render`, so that typed values
+ * such as booleans, numbers, dates, arrays and files display sensibly in the
+ * locale of `i18n`. `options` are Intl.NumberFormat or Intl.DateTimeFormat
+ * options for number and date values.
+ */
+export const formatCellValue = (value, i18n = defaultI18n, options) => {
+  if (value == null) return value;
+  if (typeof value === 'boolean') return i18n.t(value ? 'yes' : 'no');
+  if (typeof value === 'number') return Number.isNaN(value) ? '' : i18n.formatNumber(value, options);
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : i18n.formatDate(value, options);
+  if (typeof File !== 'undefined' && value instanceof File) return value.name;
+  if (Array.isArray(value)) return value.map(item => formatCellValue(item, i18n, options)).join(', ');
+  return value;
+};
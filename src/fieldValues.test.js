@@ -0,0 +1,55 @@
+import {
+  getInitialValues,
+  isEmptyValue,
+  toInputValue,
+  fromInputEvent,
+  checkRange,
+  formatCellValue
+} from './fieldValues.js';
+import { createI18n } from './i18n.js';
+
+describe('field value helpers', () => {
+  test('builds initial values from field types and defaults', () => {
+    expect(getInitialValues([
+      { key: 'name' },
+      { key: 'age', type: 'number' },
+      { key: 'active', type: 'switch' },
+      { key: 'tags', type: 'multiselect' },
+      { key: 'role', type: 'select', defaultValue: 'user' }
+    ])).toEqual({ name: '', age: null, active: false, tags: [], role: 'user' });
+  });
+
+  test('detects empty values', () => {
+    expect(isEmptyValue('  ')).toBe(true);
+    expect(isEmptyValue([])).toBe(true);
+    expect(isEmptyValue(false)).toBe(true);
+    expect(isEmptyValue(0)).toBe(false);
+  });
+
+  test('converts between typed values and input values', () => {
+    const level = { key: 'level', type: 'radio', options: [{ value: 1, label: 'One' }] };
+    expect(fromInputEvent(level, { target: { value: '1' } })).toBe(1);
+    expect(fromInputEvent({ type: 'number' }, { target: { value: '' } })).toBeNull();
+    expect(fromInputEvent({ type: 'date' }, { target: { value: '2024-03-05' } })).toEqual(new Date(2024, 2, 5));
+    expect(toInputValue({ type: 'date' }, new Date(2024, 2, 5))).toBe('2024-03-05');
+    expect(toInputValue({ type: 'datetime' }, new Date(2024, 2, 5, 9, 30))).toBe('2024-03-05T09:30');
+    expect(toInputValue({ type: 'multiselect' }, [1, 2])).toEqual(['1', '2']);
+  });
+
+  test('checks number and date ranges', () => {
+    expect(checkRange({ label: 'Age', type: 'number', min: 18 }, 17)).toBe('Age must be at least 18');
+    expect(checkRange({ label: 'Age', type: 'number', max: 99 }, 99)).toBeNull();
+    expect(checkRange({ label: 'Start', type: 'date', max: '2024-12-31' }, '2025-01-01'))
+      .toBe('Start must be on or before 2024-12-31');
+  });
+
+  test('formats typed cell values', () => {
+    expect(formatCellValue(true)).toBe('Yes');
+    expect(formatCellValue(['a', 'b'])).toBe('a, b');
+    expect(formatCellValue(5)).toBe('5');
+    expect(formatCellValue(1234.5, createI18n({ locale: 'en-US' }))).toBe('1,234.5');
+    expect(formatCellValue(1234.5, createI18n({ locale: 'de-DE' }))).toBe('1.234,5');
+    expect(formatCellValue(false, createI18n({ messages: { no: 'Nein' } }))).toBe('Nein');
+    expect(formatCellValue(0.25, undefined, { style: 'percent' })).toBe('25%');
+  });
+});
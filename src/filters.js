@@ -0,0 +1,151 @@
+/**
+ * Column filter helpers for GenericCrudPage
+ *
+ * A column opts into filtering with `filter`, either a type name or an
+ * object `{ type, options, placeholder }`. Supported types:
+ * - 'text'    -> value is a string, matched case-insensitively as a substring
+ * - 'select'  -> value is a string, matched exactly (alias: 'enum')
+ * - 'number'  -> value is { min, max }, both optional and inclusive
+ * - 'date'    -> value is { from, to } as 'YYYY-MM-DD', both optional and inclusive
+ * - 'boolean' -> value is true or false
+ *
+ * Filter state is an object keyed by column key.
+ */
+
+import { defaultI18n } from './i18n.js';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read dates as local time, treating date-only strings as local midnight
+const toTime = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+    return new Date(`${value}T00:00:00`).getTime();
+  }
+  return value == null || value === '' ? NaN : new Date(value).getTime();
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 1;
+
+const isBlank = (value) => value == null || value === '';
+
+/**
+ * Resolve a column's filter definition, or null when it is not filterable.
+ * Select options default to those of the form field with the same key.
+ */
+export const getColumnFilter = (column, formFields = []) => {
+  if (!column.filter) return null;
+
+  const definition = typeof column.filter === 'string'
+    ? { type: column.filter }
+    : { type: 'text', ...column.filter };
+  const type = definition.type === 'enum' ? 'select' : definition.type;
+
+  if (type === 'select' && !definition.options) {
+    const field = formFields.find(formField => formField.key === column.key);
+    return { ...definition, type, options: field?.options || [] };
+  }
+
+  return { ...definition, type };
+};
+
+// Whether a filter value narrows the data at all
+export const isFilterActive = (type, value) => {
+  if (value == null) return false;
+  switch (type) {
+    case 'number':
+      return !isBlank(value.min) || !isBlank(value.max);
+    case 'date':
+      return !isBlank(value.from) || !isBlank(value.to);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return !isBlank(value);
+  }
+};
+
+// Whether a single cell value passes an active filter
+export const matchesFilter = (type, cellValue, filterValue) => {
+  switch (type) {
+    case 'select':
+      return !isBlank(cellValue) && String(cellValue) === String(filterValue);
+
+    case 'number': {
+      const number = isBlank(cellValue) ? NaN : Number(cellValue);
+      if (Number.isNaN(number)) return false;
+      if (!isBlank(filterValue.min) && number < Number(filterValue.min)) return false;
+      if (!isBlank(filterValue.max) && number > Number(filterValue.max)) return false;
+      return true;
+    }
+
+    case 'date': {
+      const time = toTime(cellValue);
+      if (Number.isNaN(time)) return false;
+      if (!isBlank(filterValue.from) && time < toTime(filterValue.from)) return false;
+      // Include the whole "to" day
+      if (!isBlank(filterValue.to) && time >= toTime(filterValue.to) + 24 * 60 * 60 * 1000) return false;
+      return true;
+    }
+
+    case 'boolean':
+      return toBoolean(cellValue) === filterValue;
+
+    default:
+      return !isBlank(cellValue)
+        && String(cellValue).toLowerCase().includes(String(filterValue).toLowerCase());
+  }
+};
+
+/**
+ * Return the active filters as [{ key, column, definition, value }],
+ * in column order.
+ */
+export const getActiveFilters = (columns, filters = {}, formFields = []) =>
+  columns
+    .map(column => ({
+      key: column.key,
+      column,
+      definition: getColumnFilter(column, formFields),
+      value: filters[column.key]
+    }))
+    .filter(({ definition, value }) => definition && isFilterActive(definition.type, value));
+
+// Keep only the items that pass every active filter
+export const applyFilters = (data, activeFilters) => {
+  if (activeFilters.length === 0) return data;
+
+  return data.filter(item =>
+    activeFilters.every(({ key, definition, value }) =>
+      matchesFilter(definition.type, item[key], value)
+    )
+  );
+};
+
+// Human-readable summary of an active filter, used for the filter chips
+export const describeFilter = ({ column, definition, value }, i18n = defaultI18n) => {
+  const { t } = i18n;
+  let text;
+  switch (definition.type) {
+    case 'select': {
+      const option = definition.options.find(opt => String(opt.value) === String(value));
+      text = option ? option.label : String(value);
+      break;
+    }
+    case 'number':
+      text = isBlank(value.min) ? t('filterAtMost', { max: value.max })
+        : isBlank(value.max) ? t('filterAtLeast', { min: value.min })
+        : t('filterBetween', { min: value.min, max: value.max });
+      break;
+    case 'date':
+      text = isBlank(value.from) ? t('filterUntil', { to: value.to })
+        : isBlank(value.to) ? t('filterFrom', { from: value.from })
+        : t('filterDateRange', { from: value.from, to: value.to });
+      break;
+    case 'boolean':
+      text = t(value ? 'yes' : 'no');
+      break;
+    default:
+      text = t('filterText', { value });
+  }
+  return t('filterChip', { label: column.label, value: text });
+};
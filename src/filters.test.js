@@ -0,0 +1,36 @@
+import { getColumnFilter, isFilterActive, matchesFilter, describeFilter } from './filters.js';
+
+describe('filter helpers', () => {
+  test('resolves filter definitions', () => {
+    const formFields = [{ key: 'role', options: [{ value: 'a', label: 'Admin' }] }];
+    expect(getColumnFilter({ key: 'name' })).toBeNull();
+    expect(getColumnFilter({ key: 'name', filter: 'text' })).toEqual({ type: 'text' });
+    expect(getColumnFilter({ key: 'role', filter: 'enum' }, formFields)).toEqual({
+      type: 'select',
+      options: [{ value: 'a', label: 'Admin' }]
+    });
+  });
+
+  test('detects active filter values', () => {
+    expect(isFilterActive('text', '')).toBe(false);
+    expect(isFilterActive('number', { min: '', max: '' })).toBe(false);
+    expect(isFilterActive('number', { min: '0' })).toBe(true);
+    expect(isFilterActive('boolean', false)).toBe(true);
+  });
+
+  test('matches cell values by type', () => {
+    expect(matchesFilter('text', 'John Doe', 'doe')).toBe(true);
+    expect(matchesFilter('select', 2, '2')).toBe(true);
+    expect(matchesFilter('number', '15', { min: 10, max: 20 })).toBe(true);
+    expect(matchesFilter('number', null, { min: 10 })).toBe(false);
+    expect(matchesFilter('date', '2024-05-31T23:00:00', { to: '2024-05-31' })).toBe(true);
+    expect(matchesFilter('date', '2024-06-01', { to: '2024-05-31' })).toBe(false);
+    expect(matchesFilter('boolean', 'false', false)).toBe(true);
+  });
+
+  test('describes filters for chips', () => {
+    const column = { label: 'Age' };
+    expect(describeFilter({ column, definition: { type: 'number' }, value: { min: 18 } })).toBe('Age: ≥ 18');
+    expect(describeFilter({ column, definition: { type: 'number' }, value: { min: 18, max: 30 } })).toBe('Age: 18–30');
+  });
+});
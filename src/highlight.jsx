@@ -0,0 +1,58 @@
+/**
+ * Search match highlighting for GenericCrudPage
+ * Wraps matching substrings of rendered cell content in <mark> elements.
+ */
+
+import React from 'react';
+
+const defaultMarkStyle = { backgroundColor: '#fff3cd', color: 'inherit', padding: 0 };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a case-insensitive pattern matching any of the terms, longest first
+export const buildHighlightPattern = (terms = []) => {
+  const unique = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return null;
+  return new RegExp(`(${unique.map(escapeRegExp).join('|')})`, 'gi');
+};
+
+// Split a string into plain text and <mark> pieces
+const highlightText = (text, pattern, keyPrefix, markStyle) => {
+  const parts = text.split(pattern);
+  if (parts.length === 1) return text;
+
+  // split() with a capture group puts the matches at odd indexes
+  return parts.map((part, index) => (
+    index % 2 === 1
+      ? <mark key={`${keyPrefix}${index}`} style={markStyle}>{part}</mark>
+      : part
+  ));
+};
+
+/**
+ * Highlight matches inside any renderable node: strings, numbers, arrays
+ * and the text children of React elements. `markStyle` styles the <mark>
+ * elements.
+ */
+export const highlightNode = (node, pattern, keyPrefix = '', markStyle = defaultMarkStyle) => {
+  if (!pattern || node == null || typeof node === 'boolean') return node;
+
+  if (typeof node === 'string' || typeof node === 'number') {
+    return highlightText(String(node), pattern, keyPrefix, markStyle);
+  }
+
+  if (Array.isArray(node)) {
+    return node.map((child, index) => {
+      const highlighted = highlightNode(child, pattern, `${keyPrefix}${index}-`, markStyle);
+      return Array.isArray(highlighted)
+        ? <React.Fragment key={`${keyPrefix}${index}`}>{highlighted}</React.Fragment>
+        : highlighted;
+    });
+  }
+
+  if (React.isValidElement(node) && node.props.children != null) {
+    return React.cloneElement(node, undefined, highlightNode(node.props.children, pattern, keyPrefix, markStyle));
+  }
+
+  return node;
+};
@@ -0,0 +1,256 @@
+/**
+ * Internationalization for GenericCrudPage
+ *
+ * Every built-in string is a message keyed by name. Messages interpolate
+ * `{name}` placeholders, and a message may be an object of plural forms
+ * keyed by Intl.PluralRules category ('zero', 'one', 'two', 'few', 'many',
+ * 'other'), picked by the `count` value:
+ *
+ *   { one: '{count} row', other: '{count} rows' }
+ *
+ * createI18n({ locale, messages }) returns `{ locale, direction, t,
+ * formatNumber, formatDate, compareText }`. Helpers that produce text take it as an
+ * optional last argument and fall back to English.
+ */
+
+export const defaultMessages = {
+  // Header and form
+  refresh: 'Refresh',
+  refreshLabel: 'Refresh data',
+  add: 'Add',
+  addLabel: 'Add new item',
+  save: 'Save',
+  saveLabel: 'Save changes',
+  cancel: 'Cancel',
+  cancelEditLabel: 'Cancel editing',
+  selectOption: 'Select {label}',
+  checkingField: 'Checking {label}...',
+  genericError: 'Something went wrong',
+
+  // Validation
+  required: '{label} is required',
+  invalid: '{label} is invalid',
+  validationFailed: '{label} could not be validated',
+  minNumber: '{label} must be at least {min}',
+  maxNumber: '{label} must be at most {max}',
+  minDate: '{label} must be on or after {min}',
+  maxDate: '{label} must be on or before {max}',
+  minLength: '{label} must be at least {min} characters',
+  maxLength: '{label} must be at most {max} characters',
+  invalidFormat: '{label} has an invalid format',
+  greaterThan: '{label} must be greater than {min}',
+  lessThan: '{label} must be less than {max}',
+  multipleOf: '{label} must be a multiple of {step}',
+  wholeNumber: '{label} must be a whole number',
+
+  // Search
+  searchPlaceholder: 'Search...',
+  searchLabel: 'Search data',
+  searchFallback: '{error}. Showing plain text matches instead.',
+  searchMissingQuote: 'Missing closing quote',
+  searchMissingOperand: 'OR needs a search term on both sides',
+  searchUnknownField: 'Unknown field "{field}". Use quotes to search for text containing ":"',
+  searchMissingValue: 'Missing value for "{field}"',
+  total: 'Total: {count}',
+  showingRange: 'Showing {start}–{end} of {total}',
+  showingNone: 'Showing 0 of 0',
+
+  // Filters
+  filters: 'Filters',
+  filtersActive: 'Filters ({count})',
+  filterLabel: 'Filter {label}',
+  filterAll: 'All',
+  filterAny: 'Any',
+  filterMin: 'Min',
+  filterMax: 'Max',
+  filterMinLabel: '{label} minimum',
+  filterMaxLabel: '{label} maximum',
+  filterFromLabel: '{label} from',
+  filterToLabel: '{label} to',
+  filterAtMost: '≤ {max}',
+  filterAtLeast: '≥ {min}',
+  filterBetween: '{min}–{max}',
+  filterUntil: 'until {to}',
+  filterFrom: 'from {from}',
+  filterDateRange: '{from} – {to}',
+  filterText: '"{value}"',
+  filterChip: '{label}: {value}',
+  removeFilter: 'Remove filter {label}',
+  clearFilters: 'Clear all',
+  yes: 'Yes',
+  no: 'No',
+
+  // Columns
+  columns: 'Columns',
+  pinColumn: 'Pin {label}',
+  pinNone: 'Not pinned',
+  pinLeft: 'Pin left',
+  pinRight: 'Pin right',
+  moveColumnUp: 'Move {label} up',
+  moveColumnDown: 'Move {label} down',
+  resizeColumn: 'Resize {label}',
+  resetColumns: 'Reset columns',
+
+  // Views
+  views: 'Views',
+  viewsActive: 'View: {name}',
+  noViews: 'No saved views yet',
+  viewName: 'View name',
+  saveView: 'Save view',
+  defaultView: '(default)',
+  setDefaultView: 'Set as default',
+  setDefaultViewLabel: 'Set {name} as the default view',
+  unsetDefaultView: 'Remove default',
+  unsetDefaultViewLabel: 'Stop opening {name} by default',
+  renameView: 'Rename',
+  renameViewLabel: 'Rename view {name}',
+  renameViewInput: 'New name for {name}',
+  deleteViewLabel: 'Delete view {name}',
+
+  // Export
+  export: 'Export',
+  exportFormat: 'Format',
+  exportRows: 'Rows',
+  exportAllRows: 'All rows ({count})',
+  exportSelectedRows: 'Selected rows ({count})',
+  exportPageRows: 'Current page ({count})',
+  download: 'Download',
+
+  // Import
+  import: 'Import',
+  importLabel: 'Import records',
+  importFile: 'File (CSV, TSV or JSON)',
+  importMapping: 'Map file columns to fields',
+  importSkipColumn: "Don't import",
+  importFieldFor: 'Field for {header}',
+  importChecking: 'Checking rows...',
+  importValidRows: {
+    one: '{valid} of {count} row is valid',
+    other: '{valid} of {count} rows are valid'
+  },
+  importSomeInvalid: {
+    one: '{valid} of {count} row is valid. Invalid rows will be skipped.',
+    other: '{valid} of {count} rows are valid. Invalid rows will be skipped.'
+  },
+  importPreview: 'Import preview',
+  importRowColumn: 'Row',
+  importStatusColumn: 'Status',
+  importValid: 'Valid',
+  importPreviewLimit: 'Showing the first {limit} of {count} rows.',
+  importSubmit: {
+    one: 'Import {count} row',
+    other: 'Import {count} rows'
+  },
+  importing: 'Importing...',
+  importFailed: 'Import failed',
+  importPartial: 'Imported {imported} of {count} rows. {error}',
+  importReadError: 'The file could not be read',
+  importValidationError: 'The rows could not be validated',
+  importUnclosedQuote: 'The file has an unclosed quoted value',
+  importInvalidJson: 'The file is not valid JSON',
+  importNotArray: 'A JSON import must be an array of objects',
+  importEmpty: 'The file is empty',
+  importNotNumber: '{label} must be a number',
+  importNotBoolean: '{label} must be yes or no',
+  importNotDate: '{label} must be a valid date',
+  importNotOption: '{label} must be one of: {options}',
+  importUnknownOptions: '{label} has unknown options: {options}',
+
+  // Selection
+  selectionActions: 'Selection actions',
+  selectedCount: '{count} selected',
+  clearSelection: 'Clear selection',
+  deleteSelected: 'Delete selected',
+  selectAll: 'Select all rows',
+  selectRow: 'Select {name}',
+
+  // Table
+  actions: 'Actions',
+  edit: 'Edit',
+  editLabel: 'Edit {name}',
+  delete: 'Delete',
+  deleteLabel: 'Delete {name}',
+  sortHint: 'Click to sort, Shift+click to add a secondary sort',
+  loading: 'Loading data...',
+  empty: 'No data to display',
+  noResults: 'No results found',
+  confirmDeleteTitle: 'Confirm deletion',
+  confirmDelete: 'Are you sure you want to delete "{name}"?',
+  confirmBulkDelete: {
+    one: 'Are you sure you want to delete {count} selected item?',
+    other: 'Are you sure you want to delete {count} selected items?'
+  },
+  confirmTypeLabel: 'Type "{text}" to confirm',
+  undo: 'Undo',
+  undoDeleted: 'Deleted "{name}"',
+  undoDeletedMany: {
+    one: 'Deleted {count} item',
+    other: 'Deleted {count} items'
+  },
+  undoEdited: 'Updated "{name}"',
+
+  // Pagination
+  pagination: 'Pagination',
+  rowsPerPage: 'Rows per page',
+  firstPage: 'First page',
+  previousPage: 'Previous page',
+  nextPage: 'Next page',
+  lastPage: 'Last page',
+  pageLabel: 'Page {page}'
+};
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+// Text direction of a locale such as 'ar' or 'he-IL'
+export const getDirection = (locale) => {
+  if (!locale) return 'ltr';
+  const language = String(locale).split(/[-_]/)[0].toLowerCase();
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+};
+
+/**
+ * Create the translation and formatting functions for a locale. `messages`
+ * override any of the default English messages. Without a `locale`, numbers
+ * and dates are formatted in the user's own locale.
+ */
+export const createI18n = ({ locale, messages = {} } = {}) => {
+  const allMessages = { ...defaultMessages, ...messages };
+  const numberFormat = new Intl.NumberFormat(locale);
+  const dateFormat = new Intl.DateTimeFormat(locale);
+  const pluralRules = new Intl.PluralRules(locale);
+  // Case-insensitive, with numbers inside text compared by value ('item 2' before 'item 10')
+  const collator = new Intl.Collator(locale, { numeric: true, sensitivity: 'base' });
+
+  const formatNumber = (value, options) =>
+    (options ? new Intl.NumberFormat(locale, options) : numberFormat).format(value);
+
+  const formatDate = (value, options) =>
+    (options ? new Intl.DateTimeFormat(locale, options) : dateFormat).format(value);
+
+  // Translate a message key, interpolating `values`; unknown keys are returned as is
+  const t = (key, values = {}) => {
+    let message = allMessages[key] ?? key;
+    if (message && typeof message === 'object') {
+      const category = typeof values.count === 'number' ? pluralRules.select(values.count) : 'other';
+      message = message[category] ?? message.other ?? '';
+    }
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in values)) return placeholder;
+      const value = values[name];
+      return typeof value === 'number' ? formatNumber(value) : String(value ?? '');
+    });
+  };
+
+  return {
+    locale,
+    direction: getDirection(locale),
+    t,
+    formatNumber,
+    formatDate,
+    compareText: collator.compare
+  };
+};
+
+// English messages in the user's locale, used when no i18n is passed
+export const defaultI18n = createI18n();
@@ -0,0 +1,54 @@
+import { createI18n, defaultI18n, getDirection } from './i18n.js';
+
+describe('i18n', () => {
+  test('interpolates values into messages', () => {
+    expect(defaultI18n.t('required', { label: 'Name' })).toBe('Name is required');
+    expect(defaultI18n.t('showingRange', { start: 1, end: 10, total: 1200 })).toBe('Showing 1–10 of 1,200');
+    expect(defaultI18n.t('filterLabel')).toBe('Filter {label}');
+    expect(defaultI18n.t('unknownKey')).toBe('unknownKey');
+  });
+
+  test('overrides messages and picks plural forms for the locale', () => {
+    const { t } = createI18n({
+      locale: 'ar-EG',
+      messages: {
+        selectedCount: {
+          zero: 'لا عناصر محددة',
+          one: 'عنصر واحد محدد',
+          two: 'عنصران محددان',
+          few: '{count} عناصر محددة',
+          many: '{count} عنصرًا محددًا',
+          other: '{count} عنصر محدد'
+        }
+      }
+    });
+
+    expect(t('selectedCount', { count: 0 })).toBe('لا عناصر محددة');
+    expect(t('selectedCount', { count: 2 })).toBe('عنصران محددان');
+    expect(t('selectedCount', { count: 3 })).toBe('٣ عناصر محددة');
+    expect(t('selectedCount', { count: 11 })).toBe('١١ عنصرًا محددًا');
+    expect(t('edit')).toBe('Edit');
+  });
+
+  test('falls back to the other plural form', () => {
+    const { t } = createI18n({ locale: 'en', messages: { total: { other: '{count} items' } } });
+    expect(t('total', { count: 1 })).toBe('1 items');
+    expect(t('importSubmit', { count: 1 })).toBe('Import 1 row');
+    expect(t('importSubmit', { count: 3 })).toBe('Import 3 rows');
+  });
+
+  test('formats numbers and dates for the locale', () => {
+    const de = createI18n({ locale: 'de-DE' });
+    expect(de.formatNumber(1234.5)).toBe('1.234,5');
+    expect(de.formatNumber(0.5, { style: 'percent' })).toBe('50\u00a0%');
+    expect(de.formatDate(new Date(2024, 2, 1))).toBe('1.3.2024');
+  });
+
+  test('detects right-to-left locales', () => {
+    expect(getDirection('ar-EG')).toBe('rtl');
+    expect(getDirection('he')).toBe('rtl');
+    expect(getDirection('de')).toBe('ltr');
+    expect(getDirection()).toBe('ltr');
+    expect(createI18n({ locale: 'fa' }).direction).toBe('rtl');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Import helpers for GenericCrudPage
+ *
+ * Parse CSV, TSV or JSON files into records, map file columns to form
+ * field keys, and convert the mapped values to the types the form uses so
+ * that rows can be checked with the same validation as the add form.
+ * Error messages come from the optional `i18n` argument (see i18n.js).
+ */
+
+import { getInitialValues } from './fieldValues.js';
+import { validateValues, isThenable } from './validation.js';
+import { defaultI18n } from './i18n.js';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', ''];
+
+// Pick the import format from a file name, defaulting to CSV
+export const getImportFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return ['json', 'tsv'].includes(extension) ? extension : 'csv';
+};
+
+/**
+ * Parse delimited text (RFC 4180) into an array of rows of strings.
+ * Handles quoted fields with delimiters, quotes and line breaks.
+ */
+export const parseDelimited = (text, delimiter = ',', i18n = defaultI18n) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(i18n.t('importUnclosedQuote'));
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse the text of an import file into `{ headers, records }`, where each
+ * record is an object keyed by header. Throws an Error for unreadable files.
+ */
+export const parseImportFile = (text, format = 'csv', i18n = defaultI18n) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (err) {
+      throw new Error(i18n.t('importInvalidJson'));
+    }
+    if (!Array.isArray(parsed) || parsed.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error(i18n.t('importNotArray'));
+    }
+
+    const headers = [];
+    parsed.forEach(record => Object.keys(record).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    }));
+    return { headers, records: parsed };
+  }
+
+  const [headerRow, ...rows] = parseDelimited(content, format === 'tsv' ? '\t' : ',', i18n);
+  if (!headerRow) {
+    throw new Error(i18n.t('importEmpty'));
+  }
+
+  const headers = headerRow.map(header => header.trim());
+  const records = rows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] ?? '';
+    });
+    return record;
+  });
+  return { headers, records };
+};
+
+// Fields that can receive imported values
+export const getImportableFields = (formFields) => formFields.filter(field => field.type !== 'file');
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggest a mapping from file headers to form field keys, matching headers
+ * to field keys or labels while ignoring case, spaces and punctuation.
+ * Unmatched headers map to ''.
+ */
+export const guessMapping = (headers, formFields) => {
+  const fields = getImportableFields(formFields);
+  const mapping = {};
+  headers.forEach(header => {
+    const name = normalize(header);
+    const field = fields.find(candidate =>
+      normalize(candidate.key) === name || normalize(candidate.label) === name
+    );
+    mapping[header] = field ? field.key : '';
+  });
+  return mapping;
+};
+
+// Find an option by its value or label
+const findOption = (field, raw) => {
+  const text = String(raw).trim().toLowerCase();
+  return field.options?.find(opt =>
+    String(opt.value).toLowerCase() === text || String(opt.label).toLowerCase() === text
+  );
+};
+
+/**
+ * Convert an imported value to the type a form field holds. Returns
+ * `{ value }`, or `{ value, error }` when the value cannot be converted.
+ */
+export const toFieldValue = (field, raw, i18n = defaultI18n) => {
+  const text = raw == null ? '' : String(raw).trim();
+  const { label } = field;
+
+  switch (field.type) {
+    case 'number': {
+      if (typeof raw === 'number') return { value: raw };
+      if (text === '') return { value: null };
+      const number = Number(text);
+      return Number.isNaN(number)
+        ? { value: null, error: i18n.t('importNotNumber', { label }) }
+        : { value: number };
+    }
+
+    case 'checkbox':
+    case 'switch':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (TRUE_VALUES.includes(text.toLowerCase())) return { value: true };
+      if (FALSE_VALUES.includes(text.toLowerCase())) return { value: false };
+      return { value: false, error: i18n.t('importNotBoolean', { label }) };
+
+    case 'date':
+    case 'datetime': {
+      if (text === '') return { value: null };
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00`) : new Date(raw);
+      return Number.isNaN(date.getTime())
+        ? { value: null, error: i18n.t('importNotDate', { label }) }
+        : { value: date };
+    }
+
+    case 'select':
+    case 'radio': {
+      if (text === '') return { value: '' };
+      const option = findOption(field, raw);
+      return option
+        ? { value: option.value }
+        : { value: '', error: i18n.t('importNotOption', { label, options: (field.options || []).map(opt => opt.label).join(', ') }) };
+    }
+
+    case 'multiselect': {
+      const parts = Array.isArray(raw) ? raw : text.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+      const options = parts.map(part => findOption(field, part));
+      const unknown = parts.filter((part, index) => !options[index]);
+      return unknown.length > 0
+        ? { value: [], error: i18n.t('importUnknownOptions', { label, options: unknown.join(', ') }) }
+        : { value: options.map(opt => opt.value) };
+    }
+
+    default:
+      return { value: raw == null ? '' : String(raw) };
+  }
+};
+
+/**
+ * Build the import rows for a mapping: `{ values, errors }` per record, where
+ * `values` starts from the form's initial values. Errors combine conversion
+ * errors with the form's field and form-level validation. Returns the rows,
+ * or a promise of them when a validator is async.
+ */
+export const buildImportRows = (records, mapping, formFields, validate, i18n = defaultI18n) => {
+  const fieldsByKey = new Map(formFields.map(field => [field.key, field]));
+  const initialValues = getInitialValues(formFields);
+
+  const rows = records.map(record => {
+    const values = { ...initialValues };
+    const errors = {};
+    Object.entries(mapping).forEach(([header, key]) => {
+      const field = fieldsByKey.get(key);
+      if (!field || !(header in record)) return;
+      const { value, error } = toFieldValue(field, record[header], i18n);
+      values[key] = value;
+      if (error) errors[key] = error;
+    });
+    return { values, errors };
+  });
+
+  const withValidation = (row, validationErrors) => ({
+    values: row.values,
+    // Conversion errors explain more than "is required" for the same field
+    errors: { ...validationErrors, ...row.errors }
+  });
+
+  const results = rows.map(row => validateValues(formFields, row.values, validate, i18n));
+  if (results.some(isThenable)) {
+    return Promise.all(results).then(settled =>
+      settled.map((errors, index) => withValidation(rows[index], errors))
+    );
+  }
+  return results.map((errors, index) => withValidation(rows[index], errors));
+};
@@ -0,0 +1,75 @@
+import {
+  getImportFormat,
+  parseDelimited,
+  parseImportFile,
+  guessMapping,
+  toFieldValue,
+  buildImportRows
+} from './importing.js';
+
+describe('import helpers', () => {
+  test('picks the format from the file name', () => {
+    expect(getImportFormat('users.JSON')).toBe('json');
+    expect(getImportFormat('users.tsv')).toBe('tsv');
+    expect(getImportFormat('users.txt')).toBe('csv');
+  });
+
+  test('parses quoted CSV fields', () => {
+    expect(parseDelimited('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['multi\nline', '', 'x']
+    ]);
+    expect(() => parseDelimited('a,"b')).toThrow('unclosed quoted value');
+  });
+
+  test('parses files into headers and records', () => {
+    expect(parseImportFile('\uFEFFName,Age\nAnn,4', 'csv')).toEqual({
+      headers: ['Name', 'Age'],
+      records: [{ Name: 'Ann', Age: '4' }]
+    });
+    expect(parseImportFile('[{"a":1},{"b":2}]', 'json').headers).toEqual(['a', 'b']);
+    expect(() => parseImportFile('nope', 'json')).toThrow('The file is not valid JSON');
+    expect(() => parseImportFile('', 'csv')).toThrow('The file is empty');
+  });
+
+  test('guesses the mapping from keys and labels', () => {
+    const fields = [
+      { key: 'firstName', label: 'First name' },
+      { key: 'avatar', label: 'Avatar', type: 'file' }
+    ];
+    expect(guessMapping(['First Name', 'first_name', 'Avatar', 'Other'], fields)).toEqual({
+      'First Name': 'firstName',
+      first_name: 'firstName',
+      Avatar: '',
+      Other: ''
+    });
+  });
+
+  test('converts values to field types', () => {
+    const role = { key: 'role', label: 'Role', type: 'select', options: [{ value: 1, label: 'Admin' }] };
+    expect(toFieldValue(role, 'admin')).toEqual({ value: 1 });
+    expect(toFieldValue(role, 'guest').error).toBe('Role must be one of: Admin');
+    expect(toFieldValue({ type: 'switch', label: 'Active' }, 'Yes')).toEqual({ value: true });
+    expect(toFieldValue({ type: 'number', label: 'Age' }, ' 42 ')).toEqual({ value: 42 });
+    expect(toFieldValue({ type: 'date', label: 'Born' }, '2024-02-03')).toEqual({ value: new Date(2024, 1, 3) });
+    expect(toFieldValue({ type: 'multiselect', label: 'Tags', options: [{ value: 'a', label: 'A' }] }, 'a; b').error)
+      .toBe('Tags has unknown options: b');
+  });
+
+  test('builds validated rows, async when a validator is async', async () => {
+    const fields = [
+      { key: 'name', label: 'Name', required: true },
+      { key: 'email', label: 'Email', validation: async (value) => value !== 'taken' || 'Email is taken' }
+    ];
+    const result = buildImportRows(
+      [{ Name: 'Ann', Email: 'ann' }, { Name: '', Email: 'taken' }],
+      { Name: 'name', Email: 'email' },
+      fields
+    );
+
+    await expect(result).resolves.toEqual([
+      { values: { name: 'Ann', email: 'ann' }, errors: {} },
+      { values: { name: '', email: 'taken' }, errors: { name: 'Name is required', email: 'Email is taken' } }
+    ]);
+  });
+});
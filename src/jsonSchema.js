@@ -0,0 +1,182 @@
+/**
+ * JSON Schema support for GenericCrudPage
+ *
+ * Builds `columns` and `formFields` from an object schema so that both stay
+ * in sync with a single entity definition:
+ * - `title` becomes the label (falling back to the property name)
+ * - `required` marks form fields as required
+ * - `enum` becomes select options (multiselect for arrays of enums)
+ * - `format` picks the input type: email, date, date-time, uri and password
+ * - `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`,
+ *   `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf` become validation
+ * - `default` becomes the field's default value
+ *
+ * `readOnly` properties only appear as columns and `writeOnly` properties
+ * only as form fields. Object properties are skipped.
+ */
+
+import { defaultI18n } from './i18n.js';
+
+const FORMAT_TYPES = {
+  email: 'email',
+  date: 'date',
+  'date-time': 'datetime',
+  uri: 'url',
+  url: 'url',
+  password: 'password'
+};
+
+// Read the type of a property, ignoring 'null' in union types
+const getSchemaType = (property) =>
+  Array.isArray(property.type) ? property.type.find(type => type !== 'null') : property.type;
+
+// Turn a property name such as 'firstName' or 'first_name' into 'First name'
+const humanize = (key) => {
+  const words = key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const toOptions = (values, names = []) =>
+  values.map((value, index) => ({ value, label: names[index] ?? String(value) }));
+
+// Pick the form field type and type-specific settings for a property
+const getFieldSettings = (property) => {
+  const type = getSchemaType(property);
+
+  if (property.enum) {
+    return { type: 'select', options: toOptions(property.enum, property.enumNames) };
+  }
+
+  switch (type) {
+    case 'boolean':
+      return { type: 'checkbox' };
+    case 'integer':
+    case 'number':
+      return {
+        type: 'number',
+        min: property.minimum,
+        max: property.maximum,
+        step: property.multipleOf ?? (type === 'integer' ? 1 : undefined)
+      };
+    case 'array':
+      return property.items?.enum
+        ? { type: 'multiselect', options: toOptions(property.items.enum, property.items.enumNames) }
+        : null;
+    case 'object':
+      return null;
+    default:
+      return { type: FORMAT_TYPES[property.format] || 'text' };
+  }
+};
+
+/**
+ * Build a `validation` function from the property's constraints, or
+ * undefined when it has none. Empty values pass, since `required` is
+ * checked separately.
+ */
+const buildValidation = (property, label, { t }) => {
+  const checks = [];
+
+  if (property.minLength != null) {
+    checks.push(value => typeof value !== 'string' || value.length >= property.minLength
+      || t('minLength', { label, min: property.minLength }));
+  }
+  if (property.maxLength != null) {
+    checks.push(value => typeof value !== 'string' || value.length <= property.maxLength
+      || t('maxLength', { label, max: property.maxLength }));
+  }
+  if (property.pattern) {
+    const pattern = new RegExp(property.pattern);
+    checks.push(value => typeof value !== 'string' || pattern.test(value)
+      || t('invalidFormat', { label }));
+  }
+  if (property.exclusiveMinimum != null) {
+    checks.push(value => typeof value !== 'number' || value > property.exclusiveMinimum
+      || t('greaterThan', { label, min: property.exclusiveMinimum }));
+  }
+  if (property.exclusiveMaximum != null) {
+    checks.push(value => typeof value !== 'number' || value < property.exclusiveMaximum
+      || t('lessThan', { label, max: property.exclusiveMaximum }));
+  }
+  if (property.multipleOf != null) {
+    checks.push(value => typeof value !== 'number'
+      || Number.isInteger(Number((value / property.multipleOf).toFixed(10)))
+      || t('multipleOf', { label, step: property.multipleOf }));
+  }
+  if (getSchemaType(property) === 'integer') {
+    checks.push(value => typeof value !== 'number' || Number.isInteger(value)
+      || t('wholeNumber', { label }));
+  }
+
+  if (checks.length === 0) return undefined;
+
+  return (value) => {
+    if (value == null || value === '') return true;
+    for (const check of checks) {
+      const result = check(value);
+      if (result !== true) return result;
+    }
+    return true;
+  };
+};
+
+// Drop undefined entries so that they do not hide defaults when merged
+const compact = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * Merge hand-written definitions on top of generated ones by key.
+ * Overrides for keys missing from the schema are appended.
+ */
+const mergeByKey = (generated, overrides = []) => {
+  const overridesByKey = new Map(overrides.map(override => [override.key, override]));
+  const merged = generated.map(item =>
+    overridesByKey.has(item.key) ? { ...item, ...overridesByKey.get(item.key) } : item
+  );
+  const generatedKeys = new Set(generated.map(item => item.key));
+  return [...merged, ...overrides.filter(override => !generatedKeys.has(override.key))];
+};
+
+/**
+ * Build `{ columns, formFields }` from a JSON Schema object, merging the
+ * given `columns` and `formFields` overrides on top. Validation messages
+ * come from `i18n`.
+ */
+export const fromJsonSchema = (schema, { columns = [], formFields = [] } = {}, i18n = defaultI18n) => {
+  const properties = schema?.properties || {};
+  const required = new Set(schema?.required || []);
+  const generatedColumns = [];
+  const generatedFields = [];
+
+  Object.entries(properties).forEach(([key, property]) => {
+    const settings = getFieldSettings(property);
+    if (!settings) return;
+
+    const label = property.title || humanize(key);
+
+    if (!property.writeOnly && settings.type !== 'password') {
+      generatedColumns.push({ key, label });
+    }
+
+    if (!property.readOnly) {
+      generatedFields.push(compact({
+        key,
+        label,
+        ...settings,
+        required: required.has(key) || undefined,
+        placeholder: property.description,
+        defaultValue: property.default,
+        validation: buildValidation(property, label, i18n)
+      }));
+    }
+  });
+
+  return {
+    columns: mergeByKey(generatedColumns, columns),
+    formFields: mergeByKey(generatedFields, formFields)
+  };
+};
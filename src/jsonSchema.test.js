@@ -0,0 +1,91 @@
+import { fromJsonSchema } from './jsonSchema.js';
+import { createI18n } from './i18n.js';
+
+const schema = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    firstName: { type: 'string', minLength: 2 },
+    email: { type: 'string', title: 'Email address', format: 'email' },
+    role: { type: 'string', enum: ['admin', 'user'], default: 'user' },
+    age: { type: ['integer', 'null'], minimum: 0, exclusiveMaximum: 150 },
+    birthday: { type: 'string', format: 'date' },
+    password: { type: 'string', writeOnly: true },
+    tags: { type: 'array', items: { enum: ['a', 'b'] } },
+    address: { type: 'object', properties: {} }
+  }
+};
+
+describe('fromJsonSchema', () => {
+  test('generates columns and form fields from the properties', () => {
+    const { columns, formFields } = fromJsonSchema(schema);
+
+    expect(columns.map(col => col.key)).toEqual(['id', 'firstName', 'email', 'role', 'age', 'birthday', 'tags']);
+    expect(formFields.map(field => field.key)).toEqual(['firstName', 'email', 'role', 'age', 'birthday', 'password', 'tags']);
+
+    const byKey = Object.fromEntries(formFields.map(field => [field.key, field]));
+    expect(byKey.firstName.label).toBe('First name');
+    expect(byKey.email).toMatchObject({ label: 'Email address', type: 'email', required: true });
+    expect(byKey.role).toMatchObject({
+      type: 'select',
+      defaultValue: 'user',
+      options: [{ value: 'admin', label: 'admin' }, { value: 'user', label: 'user' }]
+    });
+    expect(byKey.age).toMatchObject({ type: 'number', min: 0, step: 1 });
+    expect(byKey.birthday.type).toBe('date');
+    expect(byKey.tags.type).toBe('multiselect');
+    expect(byKey.email.validation).toBeUndefined();
+  });
+
+  test('builds validators from constraints', () => {
+    const { formFields } = fromJsonSchema({
+      properties: {
+        code: { type: 'string', pattern: '^[A-Z]{3}$', maxLength: 3 },
+        name: { type: 'string', minLength: 2 },
+        age: { type: 'integer', exclusiveMaximum: 150 }
+      }
+    });
+    const [code, name, age] = formFields;
+
+    expect(code.validation('ABC')).toBe(true);
+    expect(code.validation('abc')).toBe('Code has an invalid format');
+    expect(code.validation('ABCD')).toBe('Code must be at most 3 characters');
+    expect(name.validation('J')).toBe('Name must be at least 2 characters');
+    expect(name.validation('')).toBe(true);
+    expect(age.validation(150)).toBe('Age must be less than 150');
+    expect(age.validation(1.5)).toBe('Age must be a whole number');
+  });
+
+  test('translates validation messages', () => {
+    const i18n = createI18n({
+      locale: 'de',
+      messages: {
+        minLength: '{label} braucht mindestens {min} Zeichen',
+        wholeNumber: '{label} muss eine ganze Zahl sein'
+      }
+    });
+    const { formFields } = fromJsonSchema({
+      properties: {
+        name: { type: 'string', title: 'Name', minLength: 1000 },
+        age: { type: 'integer', title: 'Alter' }
+      }
+    }, {}, i18n);
+    const [name, age] = formFields;
+
+    expect(name.validation('Jo')).toBe('Name braucht mindestens 1.000 Zeichen');
+    expect(age.validation(1.5)).toBe('Alter muss eine ganze Zahl sein');
+  });
+
+  test('merges overrides by key and appends extra definitions', () => {
+    const render = () => null;
+    const { columns, formFields } = fromJsonSchema(schema, {
+      columns: [{ key: 'email', render }, { key: 'fullName', label: 'Full name' }],
+      formFields: [{ key: 'role', type: 'radio' }]
+    });
+
+    expect(columns.find(col => col.key === 'email')).toEqual({ key: 'email', label: 'Email address', render });
+    expect(columns[columns.length - 1]).toEqual({ key: 'fullName', label: 'Full name' });
+    expect(formFields.find(field => field.key === 'role').type).toBe('radio');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Keyboard helpers for GenericCrudPage
+ *
+ * Page shortcuts are written as a key with optional modifiers, such as
+ * '/', 'n', 'Escape' or 'Ctrl+K'. Grid navigation works on cell positions
+ * `{ row, col }`, where row 0 is the header row.
+ */
+
+// Shortcuts of the page, by action
+export const DEFAULT_SHORTCUTS = {
+  search: '/',            // Focus the search box
+  add: 'n',               // Focus the first field of the form
+  cancel: 'Escape'        // Cancel editing
+};
+
+// Rows moved by PageUp and PageDown in the grid
+const PAGE_ROWS = 10;
+
+const MODIFIER_KEYS = {
+  ctrl: 'ctrlKey',
+  control: 'ctrlKey',
+  alt: 'altKey',
+  option: 'altKey',
+  shift: 'shiftKey',
+  meta: 'metaKey',
+  cmd: 'metaKey'
+};
+
+/**
+ * Resolve the `shortcuts` prop: `false` turns every shortcut off, and an
+ * object overrides single shortcuts, where `null` turns one off.
+ */
+export const resolveShortcuts = (shortcuts = true) => {
+  if (!shortcuts) return {};
+  return shortcuts === true ? DEFAULT_SHORTCUTS : { ...DEFAULT_SHORTCUTS, ...shortcuts };
+};
+
+/**
+ * Whether a keyboard event matches a shortcut such as 'n' or 'Ctrl+K'.
+ * Ctrl, Alt and Meta must be pressed exactly as listed; Shift is only
+ * checked when listed, since some layouts need it to type '/' or '?'.
+ */
+export const matchesShortcut = (event, shortcut) => {
+  if (!shortcut) return false;
+  const parts = shortcut.split('+');
+  const key = parts.pop() || '+';
+  const modifiers = parts.map(part => MODIFIER_KEYS[part.trim().toLowerCase()]);
+
+  if (['ctrlKey', 'altKey', 'metaKey'].some(modifier => Boolean(event[modifier]) !== modifiers.includes(modifier))) {
+    return false;
+  }
+  if (modifiers.includes('shiftKey') && !event.shiftKey) return false;
+  return String(event.key).toLowerCase() === key.toLowerCase();
+};
+
+// Whether an element takes typed text, so that single-key shortcuts must leave it alone
+export const isTextEntry = (element) => {
+  if (!element || !element.tagName) return false;
+  if (element.isContentEditable) return true;
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag !== 'input') return false;
+  return !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'].includes(element.type);
+};
+
+/**
+ * The grid cell that a navigation key moves to from `cell`, in a grid of
+ * `rows` x `cols` cells, or null for keys that do not navigate. Left and
+ * right follow the reading direction.
+ */
+export const getNextCell = (event, cell, { rows, cols }, direction = 'ltr') => {
+  const lastRow = rows - 1;
+  const lastCol = cols - 1;
+  const clampRow = (row) => Math.max(0, Math.min(lastRow, row));
+  const clampCol = (col) => Math.max(0, Math.min(lastCol, col));
+  const forward = direction === 'rtl' ? -1 : 1;
+
+  switch (event.key) {
+    case 'ArrowUp':
+      return { row: clampRow(cell.row - 1), col: cell.col };
+    case 'ArrowDown':
+      return { row: clampRow(cell.row + 1), col: cell.col };
+    case 'ArrowLeft':
+      return { row: cell.row, col: clampCol(cell.col - forward) };
+    case 'ArrowRight':
+      return { row: cell.row, col: clampCol(cell.col + forward) };
+    case 'Home':
+      return event.ctrlKey ? { row: 0, col: 0 } : { row: cell.row, col: 0 };
+    case 'End':
+      return event.ctrlKey ? { row: lastRow, col: lastCol } : { row: cell.row, col: lastCol };
+    case 'PageUp':
+      return { row: clampRow(cell.row - PAGE_ROWS), col: cell.col };
+    case 'PageDown':
+      return { row: clampRow(cell.row + PAGE_ROWS), col: cell.col };
+    default:
+      return null;
+  }
+};
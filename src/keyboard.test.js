@@ -0,0 +1,56 @@
+import { resolveShortcuts, matchesShortcut, isTextEntry, getNextCell, DEFAULT_SHORTCUTS } from './keyboard.js';
+
+describe('keyboard helpers', () => {
+  test('resolves the shortcuts prop', () => {
+    expect(resolveShortcuts()).toEqual(DEFAULT_SHORTCUTS);
+    expect(resolveShortcuts(false)).toEqual({});
+    expect(resolveShortcuts({ search: 'Ctrl+K', add: null })).toEqual({ search: 'Ctrl+K', add: null, cancel: 'Escape' });
+  });
+
+  test('matches keys and modifiers', () => {
+    expect(matchesShortcut({ key: '/' }, '/')).toBe(true);
+    expect(matchesShortcut({ key: 'N' }, 'n')).toBe(true);
+    expect(matchesShortcut({ key: 'n', ctrlKey: true }, 'n')).toBe(false);
+    expect(matchesShortcut({ key: 'k', ctrlKey: true }, 'Ctrl+K')).toBe(true);
+    expect(matchesShortcut({ key: 'k' }, 'Ctrl+K')).toBe(false);
+    expect(matchesShortcut({ key: 'k', ctrlKey: true }, 'Ctrl+Shift+K')).toBe(false);
+    expect(matchesShortcut({ key: '+', ctrlKey: true }, 'Ctrl++')).toBe(true);
+    expect(matchesShortcut({ key: 'n' }, null)).toBe(false);
+  });
+
+  test('recognises elements that take typed text', () => {
+    const element = (tag, type) => {
+      const node = document.createElement(tag);
+      if (type) node.type = type;
+      return node;
+    };
+    expect(isTextEntry(element('input'))).toBe(true);
+    expect(isTextEntry(element('input', 'email'))).toBe(true);
+    expect(isTextEntry(element('textarea'))).toBe(true);
+    expect(isTextEntry(element('select'))).toBe(true);
+    expect(isTextEntry(element('input', 'checkbox'))).toBe(false);
+    expect(isTextEntry(element('button'))).toBe(false);
+    expect(isTextEntry(null)).toBe(false);
+  });
+
+  test('moves between grid cells within bounds', () => {
+    const size = { rows: 30, cols: 4 };
+    const cell = { row: 1, col: 0 };
+    expect(getNextCell({ key: 'ArrowDown' }, cell, size)).toEqual({ row: 2, col: 0 });
+    expect(getNextCell({ key: 'ArrowUp' }, { row: 0, col: 0 }, size)).toEqual({ row: 0, col: 0 });
+    expect(getNextCell({ key: 'ArrowLeft' }, cell, size)).toEqual({ row: 1, col: 0 });
+    expect(getNextCell({ key: 'ArrowRight' }, cell, size)).toEqual({ row: 1, col: 1 });
+    expect(getNextCell({ key: 'End' }, cell, size)).toEqual({ row: 1, col: 3 });
+    expect(getNextCell({ key: 'End', ctrlKey: true }, cell, size)).toEqual({ row: 29, col: 3 });
+    expect(getNextCell({ key: 'Home', ctrlKey: true }, { row: 5, col: 2 }, size)).toEqual({ row: 0, col: 0 });
+    expect(getNextCell({ key: 'PageDown' }, cell, size)).toEqual({ row: 11, col: 0 });
+    expect(getNextCell({ key: 'PageUp' }, cell, size)).toEqual({ row: 0, col: 0 });
+    expect(getNextCell({ key: 'Enter' }, cell, size)).toBeNull();
+  });
+
+  test('mirrors left and right in right-to-left grids', () => {
+    const size = { rows: 3, cols: 4 };
+    expect(getNextCell({ key: 'ArrowLeft' }, { row: 1, col: 1 }, size, 'rtl')).toEqual({ row: 1, col: 2 });
+    expect(getNextCell({ key: 'ArrowRight' }, { row: 1, col: 1 }, size, 'rtl')).toEqual({ row: 1, col: 0 });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Pagination helpers for GenericCrudPage
+ * Pages are 1-based throughout.
+ */
+
+export const DEFAULT_PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Number of pages needed to show `totalItems`, never less than one
+export const getPageCount = (totalItems, pageSize) =>
+  Math.max(1, Math.ceil(totalItems / pageSize));
+
+// Keep a requested page inside the valid range
+export const clampPage = (page, pageCount) =>
+  Math.min(Math.max(1, page), pageCount);
+
+// Return the items on the given page
+export const paginate = (data, page, pageSize) =>
+  data.slice((page - 1) * pageSize, page * pageSize);
+
+/**
+ * Return the 1-based index range of the items shown on a page,
+ * e.g. { start: 11, end: 20 } for page 2 of 25 items with 10 per page.
+ */
+export const getPageRange = (page, pageSize, totalItems) => {
+  if (totalItems === 0) return { start: 0, end: 0 };
+  return {
+    start: (page - 1) * pageSize + 1,
+    end: Math.min(page * pageSize, totalItems)
+  };
+};
+
+/**
+ * Return the page numbers to show in the navigation, with 'ellipsis'
+ * markers for skipped ranges, e.g. [1, 'ellipsis', 4, 5, 6, 'ellipsis', 10].
+ */
+export const getPageNumbers = (page, pageCount, siblings = 1) => {
+  const first = Math.max(2, page - siblings);
+  const last = Math.min(pageCount - 1, page + siblings);
+  const pages = [1];
+
+  if (first > 2) pages.push('ellipsis');
+  for (let i = first; i <= last; i++) pages.push(i);
+  if (last < pageCount - 1) pages.push('ellipsis');
+  if (pageCount > 1) pages.push(pageCount);
+
+  return pages;
+};
@@ -0,0 +1,23 @@
+import { getPageCount, clampPage, paginate, getPageRange, getPageNumbers } from './pagination.js';
+
+describe('pagination helpers', () => {
+  test('computes page count and clamps pages', () => {
+    expect(getPageCount(0, 10)).toBe(1);
+    expect(getPageCount(25, 10)).toBe(3);
+    expect(clampPage(5, 3)).toBe(3);
+    expect(clampPage(0, 3)).toBe(1);
+  });
+
+  test('slices a page and reports its range', () => {
+    const data = Array.from({ length: 25 }, (_, i) => i + 1);
+    expect(paginate(data, 3, 10)).toEqual([21, 22, 23, 24, 25]);
+    expect(getPageRange(3, 10, 25)).toEqual({ start: 21, end: 25 });
+    expect(getPageRange(1, 10, 0)).toEqual({ start: 0, end: 0 });
+  });
+
+  test('collapses distant page numbers', () => {
+    expect(getPageNumbers(1, 1)).toEqual([1]);
+    expect(getPageNumbers(2, 4)).toEqual([1, 2, 3, 4]);
+    expect(getPageNumbers(5, 10)).toEqual([1, 'ellipsis', 4, 5, 6, 'ellipsis', 10]);
+  });
+});
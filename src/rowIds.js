@@ -0,0 +1,67 @@
+/**
+ * Row identity for GenericCrudPage
+ *
+ * `rowKey` names the field that identifies a record, or is a function that
+ * returns the id, e.g. for composite keys:
+ *
+ *   rowKey="_id"
+ *   rowKey={(item) => `${item.orderId}:${item.line}`}
+ *
+ * The id keys React elements, selection, pending and failed rows, and is
+ * what onDelete receives.
+ */
+
+// Function reading the id of a row
+export const toRowIdGetter = (rowKey = 'id') =>
+  typeof rowKey === 'function' ? rowKey : (item) => item[rowKey];
+
+const isMissingId = (id) => id === undefined || id === null || Number.isNaN(id);
+
+/**
+ * Find rows without an id and ids used by more than one row.
+ * Returns { missing: number, duplicates: [id, ...] }.
+ */
+export const findRowIdProblems = (items, getRowId) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  let missing = 0;
+
+  items.forEach(item => {
+    const id = getRowId(item);
+    if (isMissingId(id)) {
+      missing += 1;
+    } else if (seen.has(id)) {
+      duplicates.add(id);
+    } else {
+      seen.add(id);
+    }
+  });
+
+  return { missing, duplicates: [...duplicates] };
+};
+
+// Text of a development warning about row id problems, or null when there are none
+export const describeRowIdProblems = ({ missing, duplicates }) => {
+  const problems = [];
+  if (missing > 0) {
+    problems.push(`${missing} ${missing === 1 ? 'row has' : 'rows have'} no id`);
+  }
+  if (duplicates.length > 0) {
+    const shown = duplicates.slice(0, 5).map(id => JSON.stringify(id)).join(', ');
+    problems.push(`duplicate row ids ${shown}${duplicates.length > 5 ? ', ...' : ''}`);
+  }
+  return problems.length > 0
+    ? `GenericCrudPage: ${problems.join(' and ')}. Each row needs a unique id for keys, selection, `
+      + 'editing and deleting to work; set `rowKey` to the field or function that identifies a row.'
+    : null;
+};
+
+// Development builds warn about rows that cannot be told apart. Bundlers replace
+// `process.env.NODE_ENV` in the source; without a bundler `process` does not exist.
+export const isDevelopment = () => {
+  try {
+    return process.env.NODE_ENV !== 'production';
+  } catch (err) {
+    return false;
+  }
+};
@@ -0,0 +1,39 @@
+import { toRowIdGetter, findRowIdProblems, describeRowIdProblems, isDevelopment } from './rowIds.js';
+
+describe('row id helpers', () => {
+  test('reads ids from a field or a function', () => {
+    expect(toRowIdGetter()({ id: 3 })).toBe(3);
+    expect(toRowIdGetter('_id')({ _id: 'a1', id: 3 })).toBe('a1');
+
+    const getRowId = toRowIdGetter(item => `${item.orderId}:${item.line}`);
+    expect(getRowId({ orderId: 7, line: 2 })).toBe('7:2');
+  });
+
+  test('finds missing and duplicate ids', () => {
+    const items = [{ id: 1 }, { id: 2 }, { id: 1 }, { name: 'No id' }, { id: null }, { id: 1 }];
+
+    expect(findRowIdProblems(items, toRowIdGetter())).toEqual({ missing: 2, duplicates: [1] });
+    expect(findRowIdProblems([{ id: 1 }, { id: '1' }], toRowIdGetter())).toEqual({ missing: 0, duplicates: [] });
+  });
+
+  test('describes the problems for a warning', () => {
+    expect(describeRowIdProblems({ missing: 0, duplicates: [] })).toBeNull();
+    expect(describeRowIdProblems({ missing: 1, duplicates: [] })).toMatch(/1 row has no id\. .*`rowKey`/);
+    expect(describeRowIdProblems({ missing: 2, duplicates: ['a', 3] }))
+      .toMatch(/2 rows have no id and duplicate row ids "a", 3\./);
+    expect(describeRowIdProblems({ missing: 0, duplicates: [1, 2, 3, 4, 5, 6] }))
+      .toMatch(/duplicate row ids 1, 2, 3, 4, 5, \.\.\./);
+  });
+
+  test('checks ids in development builds only', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'development';
+      expect(isDevelopment()).toBe(true);
+      process.env.NODE_ENV = 'production';
+      expect(isDevelopment()).toBe(false);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Search query language for GenericCrudPage
+ *
+ * Supported syntax:
+ * - `john`            any column contains "john"
+ * - `"john doe"`      any column contains the exact phrase
+ * - `name:john`       the column with key or label "name" contains "john"
+ * - `name:"john doe"` scoped phrase
+ * - `-inactive`       negation, also `-status:inactive`
+ * - `age:>30`         comparisons with >, >=, <, <= and = (exact match)
+ * - `admin OR owner`  either side matches; terms next to each other must all match
+ *
+ * Matching is case-insensitive, against the text a cell shows: formatted
+ * numbers and dates and Yes/No for booleans, or the raw value for columns
+ * with a custom `render`. For large datasets, pass a search index
+ * (see createSearchIndex) so that cell text is lowercased once per item
+ * instead of on every keystroke.
+ *
+ * Error messages come from the optional `i18n` argument (see i18n.js); the
+ * OR keyword is not translated.
+ */
+
+import { compareValues } from './sorting.js';
+import { defaultI18n } from './i18n.js';
+import { formatCellValue } from './fieldValues.js';
+
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)/;
+
+export class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchQueryError';
+  }
+}
+
+// Read a double-quoted string starting at `start`, returning the text and the next index
+const readQuoted = (query, start, i18n) => {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new SearchQueryError(i18n.t('searchMissingQuote'));
+  }
+  return { text: query.slice(start + 1, end), next: end + 1 };
+};
+
+// Read characters up to the next whitespace
+const readWord = (query, start) => {
+  let end = start;
+  while (end < query.length && !/\s/.test(query[end])) end++;
+  return { text: query.slice(start, end), next: end };
+};
+
+/**
+ * Split a query into OR tokens and raw terms { negate, field, value, quoted }.
+ */
+export const tokenize = (query, i18n = defaultI18n) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      index++;
+      continue;
+    }
+
+    let negate = false;
+    if (query[index] === '-' && index + 1 < query.length && !/\s/.test(query[index + 1])) {
+      negate = true;
+      index++;
+    }
+
+    if (query[index] === '"') {
+      const { text, next } = readQuoted(query, index, i18n);
+      tokens.push({ type: 'term', negate, field: null, value: text, quoted: true });
+      index = next;
+      continue;
+    }
+
+    const { text: word, next } = readWord(query, index);
+    const colon = word.indexOf(':');
+
+    if (!negate && word === 'OR') {
+      tokens.push({ type: 'or' });
+      index = next;
+    } else if (colon > 0) {
+      const field = word.slice(0, colon);
+      const valueStart = index + colon + 1;
+      const operator = (query.slice(valueStart).match(COMPARISON_PATTERN) || [''])[0];
+      const quoteStart = valueStart + operator.length;
+
+      if (query[quoteStart] === '"') {
+        const { text, next: afterQuote } = readQuoted(query, quoteStart, i18n);
+        tokens.push({ type: 'term', negate, field, operator, value: text, quoted: true });
+        index = afterQuote;
+      } else {
+        tokens.push({ type: 'term', negate, field, operator, value: word.slice(colon + 1 + operator.length), quoted: false });
+        index = next;
+      }
+    } else {
+      tokens.push({ type: 'term', negate, field: null, value: word, quoted: false });
+      index = next;
+    }
+  }
+
+  return tokens;
+};
+
+// Find the column a field name refers to, by key or label
+const findColumn = (field, columns) => {
+  const name = field.toLowerCase();
+  return columns.find(col =>
+    col.key.toLowerCase() === name
+    || (col.label && col.label.toLowerCase() === name)
+    || (col.label && col.label.toLowerCase().replace(/\s+/g, '') === name)
+  );
+};
+
+/**
+ * Parse a query into groups of terms: the item matches when every term of
+ * at least one group matches. Throws a SearchQueryError for invalid queries.
+ */
+export const parseSearchQuery = (query, columns = [], i18n = defaultI18n) => {
+  const tokens = tokenize(query, i18n);
+  const groups = [[]];
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'or') {
+      if (index === 0 || index === tokens.length - 1 || tokens[index - 1].type === 'or') {
+        throw new SearchQueryError(i18n.t('searchMissingOperand'));
+      }
+      groups.push([]);
+      return;
+    }
+
+    let column = null;
+    if (token.field !== null) {
+      column = findColumn(token.field, columns);
+      if (!column) {
+        throw new SearchQueryError(i18n.t('searchUnknownField', { field: token.field }));
+      }
+    }
+
+    const operator = token.operator || ':';
+    if (token.value === '') {
+      throw new SearchQueryError(i18n.t('searchMissingValue', { field: token.field }));
+    }
+
+    groups[groups.length - 1].push({
+      negate: token.negate,
+      columnKey: column ? column.key : null,
+      operator,
+      value: token.value
+    });
+  });
+
+  return groups.filter(group => group.length > 0);
+};
+
+// Coerce a comparison operand to a number when the cell holds numbers
+const toOperand = (cellValue, value) =>
+  typeof cellValue === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))
+    ? Number(value)
+    : value;
+
+/**
+ * Lowercase text of each column of an item, keyed by column key. Cells
+ * without a custom `render` are formatted as the table shows them.
+ */
+export const getSearchText = (item, columns, i18n = defaultI18n) => {
+  const text = {};
+  columns.forEach(col => {
+    const value = col.render ? item[col.key] : formatCellValue(item[col.key], i18n, col.formatOptions);
+    text[col.key] = value == null ? '' : String(value).toLowerCase();
+  });
+  return text;
+};
+
+/**
+ * Create a lookup of each item's search text, computed once per item and
+ * cached for as long as the item object is reused. Create a new index when
+ * the columns change.
+ */
+export const createSearchIndex = (columns, i18n = defaultI18n) => {
+  const cache = new WeakMap();
+  return (item) => {
+    let text = cache.get(item);
+    if (!text) {
+      text = getSearchText(item, columns, i18n);
+      cache.set(item, text);
+    }
+    return text;
+  };
+};
+
+// Whether a single cell value satisfies a comparison operator
+const matchesComparison = (cellValue, operator, value, i18n) => {
+  if (cellValue == null || cellValue === '') return false;
+
+  // String comparisons are case-insensitive through the collator
+  const result = compareValues(cellValue, toOperand(cellValue, value), i18n);
+
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+};
+
+// Whether an item satisfies a single term
+const matchesTerm = (item, term, columns, text, i18n) => {
+  let matched;
+  if (term.operator === ':') {
+    const needle = term.value.toLowerCase();
+    matched = term.columnKey !== null
+      ? (text[term.columnKey] || '').includes(needle)
+      : columns.some(col => (text[col.key] || '').includes(needle));
+  } else {
+    matched = term.columnKey !== null
+      ? matchesComparison(item[term.columnKey], term.operator, term.value, i18n)
+      : columns.some(col => matchesComparison(item[col.key], term.operator, term.value, i18n));
+  }
+  return term.negate ? !matched : matched;
+};
+
+/**
+ * Whether an item satisfies a parsed query. `text` is the item's search
+ * text from a search index; it is computed on the fly when omitted.
+ */
+export const matchesQuery = (item, groups, columns, text = null, i18n = defaultI18n) => {
+  if (groups.length === 0) return true;
+  const searchText = text || getSearchText(item, columns, i18n);
+  return groups.some(group => group.every(term => matchesTerm(item, term, columns, searchText, i18n)));
+};
+
+/**
+ * Return the text to highlight for each column: terms that must be
+ * contained in a cell, keyed by column key, with unscoped terms under '*'.
+ */
+export const getHighlightTerms = (groups) => {
+  const terms = {};
+  groups.forEach(group => group.forEach(term => {
+    if (term.negate || term.operator !== ':') return;
+    const key = term.columnKey ?? '*';
+    terms[key] = [...(terms[key] || []), term.value];
+  }));
+  return terms;
+};
@@ -0,0 +1,87 @@
+import {
+  parseSearchQuery,
+  matchesQuery,
+  getHighlightTerms,
+  createSearchIndex,
+  SearchQueryError
+} from './searchQuery.js';
+
+const columns = [
+  { key: 'name', label: 'Full Name' },
+  { key: 'age', label: 'Age' },
+  { key: 'joined', label: 'Joined' }
+];
+
+describe('search query parser', () => {
+  test('parses terms into OR groups', () => {
+    expect(parseSearchQuery('john -"doe jr" age:>=30 OR name:jane', columns)).toEqual([
+      [
+        { negate: false, columnKey: null, operator: ':', value: 'john' },
+        { negate: true, columnKey: null, operator: ':', value: 'doe jr' },
+        { negate: false, columnKey: 'age', operator: '>=', value: '30' }
+      ],
+      [
+        { negate: false, columnKey: 'name', operator: ':', value: 'jane' }
+      ]
+    ]);
+  });
+
+  test('resolves fields by key or label', () => {
+    expect(parseSearchQuery('FullName:x', columns)[0][0].columnKey).toBe('name');
+    expect(parseSearchQuery('AGE:1', columns)[0][0].columnKey).toBe('age');
+  });
+
+  test('rejects invalid queries', () => {
+    expect(() => parseSearchQuery('"open', columns)).toThrow(SearchQueryError);
+    expect(() => parseSearchQuery('OR john', columns)).toThrow('OR needs a search term on both sides');
+    expect(() => parseSearchQuery('a OR OR b', columns)).toThrow(SearchQueryError);
+    expect(() => parseSearchQuery('team:red', columns)).toThrow('Unknown field "team"');
+    expect(() => parseSearchQuery('age:>', columns)).toThrow('Missing value for "age"');
+  });
+
+  test('matches items with type-aware comparisons', () => {
+    const item = { name: 'John Doe', age: 42, joined: '2024-03-01' };
+    const matches = (query) => matchesQuery(item, parseSearchQuery(query, columns), columns);
+
+    expect(matches('age:>30')).toBe(true);
+    expect(matches('age:<9')).toBe(false);
+    expect(matches('joined:>=2024-01-01')).toBe(true);
+    expect(matches('name:=john')).toBe(false);
+    expect(matches('name:="john doe"')).toBe(true);
+    expect(matches('-doe')).toBe(false);
+    expect(matches('smith OR doe')).toBe(true);
+  });
+
+  test('matches against a cached search index', () => {
+    const index = createSearchIndex(columns);
+    const item = { name: 'John Doe', age: 42, joined: null };
+
+    expect(index(item)).toEqual({ name: 'john doe', age: '42', joined: '' });
+    expect(index(item)).toBe(index(item));
+    expect(matchesQuery(item, parseSearchQuery('JOHN age:4', columns), columns, index(item))).toBe(true);
+    expect(matchesQuery(item, parseSearchQuery('joined:2024', columns), columns, index(item))).toBe(false);
+  });
+
+  test('matches the text that cells show', () => {
+    const typedColumns = [
+      { key: 'active', label: 'Active' },
+      { key: 'salary', label: 'Salary' },
+      { key: 'code', label: 'Code', render: (item) => `#${item.code}` }
+    ];
+    const item = { active: true, salary: 1234.5, code: 1234 };
+    const matches = (query) => matchesQuery(item, parseSearchQuery(query, typedColumns), typedColumns);
+
+    expect(createSearchIndex(typedColumns)(item)).toEqual({ active: 'yes', salary: '1,234.5', code: '1234' });
+    expect(matches('yes')).toBe(true);
+    expect(matches('true')).toBe(false);
+    expect(matches('salary:"1,234"')).toBe(true);
+    expect(matches('salary:>1000')).toBe(true);
+  });
+
+  test('collects highlight terms per column', () => {
+    expect(getHighlightTerms(parseSearchQuery('john name:doe -x age:>3', columns))).toEqual({
+      '*': ['john'],
+      name: ['doe']
+    });
+  });
+});
@@ -1,11 +1,5 @@
 import '@testing-library/jest-dom';
 
-// Mock window.confirm for delete confirmation tests
-Object.defineProperty(window, 'confirm', {
-  writable: true,
-  value: jest.fn(() => true),
-});
-
 // Mock console.error to avoid noise in tests
 const originalError = console.error;
 beforeAll(() => {
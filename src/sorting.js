@@ -0,0 +1,109 @@
+/**
+ * Sorting helpers for GenericCrudPage
+ * Sort state is an ordered array of { key, direction } entries, where the
+ * first entry is the primary sort key and later entries break ties.
+ */
+
+import { defaultI18n } from './i18n.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Convert dates and ISO date strings to timestamps so they compare chronologically
+const toTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+};
+
+const isEmpty = (value) => value == null || value === '';
+
+/**
+ * Compare two non-empty cell values in ascending order.
+ * Numbers, booleans and dates are compared by value, everything else with
+ * the collator of the `i18n` locale.
+ */
+export const compareValues = (a, b, i18n = defaultI18n) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return a === b ? 0 : a ? 1 : -1;
+  }
+
+  const aTime = toTimestamp(a);
+  const bTime = toTimestamp(b);
+  if (aTime !== null && bTime !== null) {
+    return aTime - bTime;
+  }
+
+  return i18n.compareText(String(a), String(b));
+};
+
+/**
+ * Return the next sort state after a header click.
+ * A plain click makes the column the only sort key, a shift-click adds it
+ * as a secondary key. Each column cycles asc -> desc -> none.
+ */
+export const getNextSort = (sort, key, multi = false) => {
+  const current = sort.find(entry => entry.key === key);
+  const nextDirection = !current
+    ? 'asc'
+    : current.direction === 'asc' ? 'desc' : null;
+
+  if (!multi) {
+    return nextDirection ? [{ key, direction: nextDirection }] : [];
+  }
+
+  if (!current) {
+    return [...sort, { key, direction: nextDirection }];
+  }
+
+  return nextDirection
+    ? sort.map(entry => entry.key === key ? { key, direction: nextDirection } : entry)
+    : sort.filter(entry => entry.key !== key);
+};
+
+/**
+ * Sort items by the given sort state without mutating the input.
+ * A column's `sortFn(a, b)` receives whole items and is used in place of
+ * the default value comparison; it should return an ascending order.
+ * Text is compared in the locale of `i18n`.
+ */
+export const sortData = (data, sort, columns = [], i18n = defaultI18n) => {
+  if (!sort || sort.length === 0) return data;
+
+  const comparators = sort.map(({ key, direction }) => {
+    const column = columns.find(col => col.key === key);
+    const factor = direction === 'desc' ? -1 : 1;
+
+    if (column?.sortFn) {
+      return (a, b) => column.sortFn(a, b) * factor;
+    }
+
+    // Empty values sort last in both directions
+    return (a, b) => {
+      const aEmpty = isEmpty(a[key]);
+      const bEmpty = isEmpty(b[key]);
+      if (aEmpty || bEmpty) {
+        return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+      }
+      return compareValues(a[key], b[key], i18n) * factor;
+    };
+  });
+
+  // Decorate with the original index to keep the sort stable
+  return data
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      for (const compare of comparators) {
+        const result = compare(a.item, b.item);
+        if (result !== 0) return result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ item }) => item);
+};
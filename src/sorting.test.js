@@ -0,0 +1,48 @@
+import { compareValues, getNextSort, sortData } from './sorting.js';
+import { createI18n } from './i18n.js';
+
+describe('sorting helpers', () => {
+  test('compares values by type', () => {
+    expect(compareValues(2, 10)).toBeLessThan(0);
+    expect(compareValues('item 2', 'item 10')).toBeLessThan(0);
+    expect(compareValues('apple', 'Banana')).toBeLessThan(0);
+    expect(compareValues('2024-02-01', '2023-12-31')).toBeGreaterThan(0);
+    expect(compareValues(new Date(2020, 0, 1), new Date(2021, 0, 1))).toBeLessThan(0);
+    expect(compareValues(false, true)).toBeLessThan(0);
+  });
+
+  test('sorts text in the locale of i18n', () => {
+    const data = [{ v: 'Zeta' }, { v: 'Ärla' }, { v: 'Anna' }];
+    const sortNames = (i18n) => sortData(data, [{ key: 'v', direction: 'asc' }], [], i18n).map(d => d.v);
+
+    expect(sortNames(createI18n({ locale: 'de' }))).toEqual(['Anna', 'Ärla', 'Zeta']);
+    expect(sortNames(createI18n({ locale: 'sv' }))).toEqual(['Anna', 'Zeta', 'Ärla']);
+    expect(compareValues('ä', 'z', createI18n({ locale: 'sv' }))).toBeGreaterThan(0);
+  });
+
+  test('cycles single and multi-column sort state', () => {
+    expect(getNextSort([], 'name')).toEqual([{ key: 'name', direction: 'asc' }]);
+    expect(getNextSort([{ key: 'name', direction: 'asc' }], 'name')).toEqual([{ key: 'name', direction: 'desc' }]);
+    expect(getNextSort([{ key: 'name', direction: 'desc' }], 'name')).toEqual([]);
+    expect(getNextSort([{ key: 'name', direction: 'asc' }], 'age')).toEqual([{ key: 'age', direction: 'asc' }]);
+    expect(getNextSort([{ key: 'name', direction: 'asc' }], 'age', true)).toEqual([
+      { key: 'name', direction: 'asc' },
+      { key: 'age', direction: 'asc' }
+    ]);
+    expect(getNextSort([{ key: 'name', direction: 'asc' }, { key: 'age', direction: 'desc' }], 'age', true)).toEqual([
+      { key: 'name', direction: 'asc' }
+    ]);
+  });
+
+  test('keeps empty values last in both directions', () => {
+    const data = [{ v: null }, { v: 2 }, { v: '' }, { v: 1 }];
+    expect(sortData(data, [{ key: 'v', direction: 'asc' }]).map(d => d.v)).toEqual([1, 2, null, '']);
+    expect(sortData(data, [{ key: 'v', direction: 'desc' }]).map(d => d.v)).toEqual([2, 1, null, '']);
+  });
+
+  test('does not mutate the input', () => {
+    const data = [{ v: 2 }, { v: 1 }];
+    sortData(data, [{ key: 'v', direction: 'asc' }]);
+    expect(data.map(d => d.v)).toEqual([2, 1]);
+  });
+});
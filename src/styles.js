@@ -1,157 +1,643 @@
 /**
  * Default styles for GenericCrudPage component
  * These styles provide a clean, modern look while being customizable
+ *
+ * Styles are built from the tokens of a theme (see theme.js). Each key of
+ * createStyles() is a named slot that `customStyles` can override. The
+ * `direction` ('ltr' or 'rtl') decides which side start-aligned styles use.
  */
 
-export const defaultStyles = {
-  container: {
-    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-    maxWidth: '1200px',
-    margin: '0 auto',
-    padding: '20px',
-    backgroundColor: '#ffffff',
-    borderRadius: '8px',
-    boxShadow: '0 2px 10px rgba(0, 0, 0, 0.1)'
-  },
-  
-  header: {
-    display: 'flex',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: '24px',
-    paddingBottom: '16px',
-    borderBottom: '1px solid #e1e5e9'
-  },
-  
-  form: {
-    display: 'grid',
-    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
-    gap: '16px',
-    marginBottom: '24px',
-    padding: '20px',
-    backgroundColor: '#f8f9fa',
-    borderRadius: '8px',
-    border: '1px solid #e1e5e9'
-  },
-  
-  formField: {
-    display: 'flex',
-    flexDirection: 'column',
-    gap: '8px'
-  },
-  
-  addButton: {
+import { lightTheme } from './theme.js';
+
+export const createStyles = (theme = lightTheme, direction = 'ltr') => {
+  const { colors, spacing, radius, typography, shadows } = theme;
+  const { fontSize, fontWeight } = typography;
+  const rtl = direction === 'rtl';
+  const start = rtl ? 'right' : 'left';
+
+  const button = {
     display: 'flex',
     alignItems: 'center',
-    gap: '8px',
-    padding: '12px 24px',
-    backgroundColor: '#007bff',
-    color: 'white',
+    gap: spacing.sm,
     border: 'none',
-    borderRadius: '6px',
+    borderRadius: radius.md,
     cursor: 'pointer',
-    fontSize: '14px',
-    fontWeight: '500',
-    transition: 'background-color 0.2s',
-    alignSelf: 'end'
-  },
-  
-  refreshButton: {
-    display: 'flex',
-    alignItems: 'center',
-    gap: '8px',
-    padding: '8px 16px',
-    backgroundColor: '#6c757d',
-    color: 'white',
+    fontSize: fontSize.md,
+    transition: 'background-color 0.2s'
+  };
+
+  const panel = {
+    marginBottom: spacing.lg,
+    padding: spacing.lg,
+    backgroundColor: colors.surfaceMuted,
+    borderRadius: radius.lg,
+    border: `1px solid ${colors.border}`
+  };
+
+  const label = {
+    fontSize: fontSize.md,
+    fontWeight: fontWeight.medium,
+    color: colors.textLabel
+  };
+
+  const input = {
+    padding: '10px 12px',
+    border: `1px solid ${colors.inputBorder}`,
+    borderRadius: radius.md,
+    fontSize: fontSize.md,
+    backgroundColor: colors.inputBackground,
+    color: colors.text,
+    transition: 'border-color 0.2s, box-shadow 0.2s',
+    outline: 'none'
+  };
+
+  const actionButton = {
+    padding: '6px 12px',
+    margin: `0 ${spacing.xs}`,
     border: 'none',
-    borderRadius: '6px',
+    borderRadius: radius.sm,
     cursor: 'pointer',
-    fontSize: '14px',
+    fontSize: fontSize.xs,
+    fontWeight: fontWeight.medium,
     transition: 'background-color 0.2s'
-  },
-  
-  searchBar: {
-    display: 'flex',
-    justifyContent: 'space-between',
+  };
+
+  const linkButton = {
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer'
+  };
+
+  const paginationButton = {
+    display: 'inline-flex',
     alignItems: 'center',
-    marginBottom: '20px',
-    gap: '16px'
-  },
-  
-  table: {
-    width: '100%',
-    borderCollapse: 'collapse',
-    backgroundColor: 'white',
-    borderRadius: '8px',
-    overflow: 'hidden',
-    boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)'
-  },
-  
-  loading: {
-    textAlign: 'center',
-    padding: '40px',
-    color: '#6c757d',
-    fontSize: '16px'
-  },
-  
-  empty: {
-    textAlign: 'center',
-    padding: '40px',
-    color: '#6c757d',
-    fontSize: '16px',
-    backgroundColor: '#f8f9fa',
-    borderRadius: '8px',
-    border: '1px solid #e1e5e9'
-  }
+    justifyContent: 'center',
+    minWidth: '32px',
+    height: '32px',
+    padding: `0 ${spacing.sm}`,
+    border: `1px solid ${colors.borderStrong}`,
+    borderRadius: radius.sm,
+    backgroundColor: colors.surface,
+    color: colors.textLabel,
+    cursor: 'pointer',
+    fontSize: fontSize.md
+  };
+
+  return {
+    container: {
+      fontFamily: typography.fontFamily,
+      maxWidth: '1200px',
+      margin: '0 auto',
+      padding: spacing.xl,
+      backgroundColor: colors.background,
+      color: colors.text,
+      colorScheme: theme.mode,
+      borderRadius: radius.lg,
+      boxShadow: shadows.md
+    },
+
+    header: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: spacing.xxl,
+      paddingBottom: spacing.lg,
+      borderBottom: `1px solid ${colors.border}`
+    },
+
+    title: {
+      margin: 0,
+      fontSize: fontSize.title,
+      fontWeight: fontWeight.bold
+    },
+
+    errorBanner: {
+      padding: `${spacing.md} ${spacing.lg}`,
+      backgroundColor: colors.errorBackground,
+      color: colors.errorText,
+      borderRadius: radius.md,
+      marginBottom: spacing.xl,
+      display: 'flex',
+      alignItems: 'center',
+      gap: spacing.sm,
+      border: `1px solid ${colors.errorBorder}`
+    },
+
+    form: {
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+      gap: spacing.lg,
+      marginBottom: spacing.xxl,
+      padding: spacing.xl,
+      backgroundColor: colors.surfaceMuted,
+      borderRadius: radius.lg,
+      border: `1px solid ${colors.border}`
+    },
+
+    formField: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: spacing.sm
+    },
+
+    // Labels of form fields
+    fieldLabel: {
+      ...label,
+      marginBottom: spacing.xs
+    },
+
+    // Labels in the filter, export and import panels
+    label,
+
+    requiredMark: {
+      color: colors.danger
+    },
+
+    input,
+
+    inputInvalid: {
+      border: `1px solid ${colors.danger}`
+    },
+
+    // Checkbox and switch fields
+    checkbox: {
+      width: '18px',
+      height: '18px',
+      margin: '10px 0'
+    },
+
+    radioGroup: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: spacing.md,
+      padding: `${spacing.sm} 0`
+    },
+
+    radioOption: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: spacing.xs,
+      fontSize: fontSize.md
+    },
+
+    fieldStatus: {
+      color: colors.textMuted,
+      fontSize: fontSize.xs,
+      marginTop: spacing.xs
+    },
+
+    fieldError: {
+      color: colors.danger,
+      fontSize: fontSize.xs,
+      marginTop: spacing.xs
+    },
+
+    addButton: {
+      ...button,
+      padding: `${spacing.md} ${spacing.xxl}`,
+      backgroundColor: colors.primary,
+      color: colors.onPrimary,
+      fontWeight: fontWeight.medium,
+      alignSelf: 'end'
+    },
+
+    refreshButton: {
+      ...button,
+      padding: `${spacing.sm} ${spacing.lg}`,
+      backgroundColor: colors.secondary,
+      color: colors.onSecondary
+    },
+
+    // Filters, Export and Import buttons next to the search box
+    toolbarButton: {
+      ...button,
+      padding: `10px ${spacing.lg}`,
+      backgroundColor: colors.secondary,
+      color: colors.onSecondary
+    },
+
+    searchBar: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: spacing.xl,
+      gap: spacing.lg
+    },
+
+    searchIcon: {
+      position: 'absolute',
+      [start]: spacing.md,
+      top: '50%',
+      transform: 'translateY(-50%)',
+      color: colors.textMuted
+    },
+
+    searchInput: {
+      ...input,
+      [rtl ? 'paddingRight' : 'paddingLeft']: '40px',
+      width: '100%',
+      boxSizing: 'border-box'
+    },
+
+    searchInputInvalid: {
+      border: `1px solid ${colors.warning}`
+    },
+
+    searchHint: {
+      color: colors.warningText,
+      fontSize: fontSize.xs,
+      marginTop: spacing.xs
+    },
+
+    // Record count next to the search box
+    summary: {
+      fontSize: fontSize.md,
+      color: colors.textMuted,
+      whiteSpace: 'nowrap'
+    },
+
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      backgroundColor: colors.surface,
+      borderRadius: radius.lg,
+      overflow: 'hidden',
+      boxShadow: shadows.sm
+    },
+
+    th: {
+      backgroundColor: colors.surfaceMuted,
+      padding: `${spacing.md} ${spacing.lg}`,
+      textAlign: start,
+      fontWeight: fontWeight.bold,
+      fontSize: fontSize.md,
+      color: colors.textLabel,
+      borderBottom: `2px solid ${colors.borderStrong}`
+    },
+
+    td: {
+      padding: `${spacing.md} ${spacing.lg}`,
+      borderBottom: `1px solid ${colors.borderStrong}`,
+      fontSize: fontSize.md,
+      color: colors.text
+    },
+
+    // Columns pinned to a side of the table while it scrolls sideways
+    pinnedCell: {
+      backgroundColor: colors.surface
+    },
+
+    // Drag handle on the edge of a header for resizing its column
+    resizeHandle: {
+      position: 'absolute',
+      top: 0,
+      bottom: 0,
+      [rtl ? 'left' : 'right']: 0,
+      width: '6px',
+      cursor: 'col-resize',
+      userSelect: 'none',
+      touchAction: 'none'
+    },
+
+    sortButton: {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: spacing.xs,
+      padding: 0,
+      background: 'none',
+      border: 'none',
+      font: 'inherit',
+      color: 'inherit',
+      cursor: 'pointer'
+    },
+
+    // Rows whose last change failed
+    rowError: {
+      backgroundColor: colors.rowErrorBackground
+    },
+
+    rowErrorText: {
+      color: colors.danger,
+      fontSize: fontSize.xs,
+      marginTop: spacing.xs
+    },
+
+    actionButton,
+
+    editButton: {
+      backgroundColor: colors.warning,
+      color: colors.onWarning
+    },
+
+    deleteButton: {
+      backgroundColor: colors.danger,
+      color: colors.onDanger
+    },
+
+    // Neutral row and toolbar actions, e.g. "Clear selection"
+    secondaryActionButton: {
+      backgroundColor: colors.chip,
+      color: colors.text
+    },
+
+    // Search matches in table cells
+    highlight: {
+      backgroundColor: colors.highlight,
+      color: 'inherit',
+      padding: 0
+    },
+
+    loading: {
+      textAlign: 'center',
+      padding: '40px',
+      color: colors.textMuted,
+      fontSize: fontSize.lg
+    },
+
+    empty: {
+      textAlign: 'center',
+      padding: '40px',
+      color: colors.textMuted,
+      fontSize: fontSize.lg,
+      backgroundColor: colors.surfaceMuted,
+      borderRadius: radius.lg,
+      border: `1px solid ${colors.border}`
+    },
+
+    filterPanel: {
+      ...panel,
+      display: 'grid',
+      gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+      gap: spacing.lg
+    },
+
+    exportPanel: {
+      ...panel,
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'flex-end',
+      gap: spacing.lg
+    },
+
+    // Column chooser
+    columnPanel: {
+      ...panel,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-start',
+      gap: spacing.md
+    },
+
+    columnList: {
+      listStyle: 'none',
+      margin: 0,
+      padding: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: spacing.sm,
+      width: '100%'
+    },
+
+    columnListItem: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: spacing.sm,
+      fontSize: fontSize.md,
+      color: colors.text
+    },
+
+    // Saved views
+    viewPanel: {
+      ...panel,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-start',
+      gap: spacing.md
+    },
+
+    viewList: {
+      listStyle: 'none',
+      margin: 0,
+      padding: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: spacing.sm,
+      width: '100%'
+    },
+
+    viewListItem: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: spacing.md,
+      fontSize: fontSize.md,
+      color: colors.text
+    },
+
+    viewButton: {
+      ...linkButton,
+      flex: 1,
+      textAlign: start,
+      fontSize: fontSize.md,
+      color: colors.text
+    },
+
+    viewButtonActive: {
+      fontWeight: fontWeight.bold,
+      color: colors.primary
+    },
+
+    importPanel: {
+      ...panel,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: spacing.lg
+    },
+
+    // Scrolling container of the import preview table
+    importPreview: {
+      overflow: 'auto',
+      maxHeight: '320px',
+      border: `1px solid ${colors.borderStrong}`,
+      borderRadius: radius.md
+    },
+
+    // Secondary text, such as file column names and preview notes
+    hint: {
+      fontSize: fontSize.sm,
+      color: colors.textMuted
+    },
+
+    successText: {
+      color: colors.successText
+    },
+
+    filterChips: {
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: spacing.sm,
+      marginBottom: spacing.lg
+    },
+
+    filterChip: {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: spacing.xs,
+      padding: rtl
+        ? `${spacing.xs} ${spacing.md} ${spacing.xs} ${spacing.sm}`
+        : `${spacing.xs} ${spacing.sm} ${spacing.xs} ${spacing.md}`,
+      backgroundColor: colors.chip,
+      borderRadius: radius.pill,
+      fontSize: fontSize.sm,
+      color: colors.text
+    },
+
+    chipRemoveButton: {
+      ...linkButton,
+      display: 'inline-flex',
+      color: 'inherit'
+    },
+
+    // Text buttons such as "Clear all"
+    linkButton: {
+      ...linkButton,
+      color: colors.primary,
+      fontSize: fontSize.sm
+    },
+
+    selectionToolbar: {
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: spacing.sm,
+      marginBottom: spacing.lg,
+      padding: `${spacing.sm} ${spacing.lg}`,
+      backgroundColor: colors.selectionBackground,
+      borderRadius: radius.md,
+      border: `1px solid ${colors.selectionBorder}`,
+      fontSize: fontSize.md,
+      color: colors.selectionText
+    },
+
+    // Stack of undo notifications in the bottom corner
+    toastList: {
+      position: 'fixed',
+      bottom: spacing.xl,
+      [rtl ? 'left' : 'right']: spacing.xl,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: spacing.sm,
+      zIndex: 1000
+    },
+
+    toast: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: spacing.lg,
+      minWidth: '260px',
+      padding: `${spacing.md} ${spacing.lg}`,
+      backgroundColor: colors.text,
+      color: colors.background,
+      borderRadius: radius.md,
+      boxShadow: shadows.md,
+      fontSize: fontSize.md
+    },
+
+    toastButton: {
+      ...linkButton,
+      color: 'inherit',
+      fontSize: fontSize.md,
+      fontWeight: fontWeight.bold,
+      textDecoration: 'underline'
+    },
+
+    // Backdrop of the delete confirmation dialog
+    dialogOverlay: {
+      position: 'fixed',
+      inset: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: spacing.lg,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      zIndex: 1000
+    },
+
+    dialog: {
+      width: '100%',
+      maxWidth: '440px',
+      padding: spacing.xxl,
+      backgroundColor: colors.surface,
+      color: colors.text,
+      borderRadius: radius.lg,
+      border: `1px solid ${colors.border}`,
+      boxShadow: shadows.md
+    },
+
+    dialogTitle: {
+      margin: `0 0 ${spacing.md}`,
+      fontSize: fontSize.lg,
+      fontWeight: fontWeight.bold
+    },
+
+    dialogMessage: {
+      marginBottom: spacing.lg,
+      fontSize: fontSize.md,
+      color: colors.textLabel
+    },
+
+    dialogActions: {
+      display: 'flex',
+      justifyContent: 'flex-end',
+      gap: spacing.sm,
+      marginTop: spacing.lg
+    },
+
+    pagination: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: spacing.lg,
+      marginTop: spacing.lg,
+      fontSize: fontSize.md,
+      color: colors.textMuted
+    },
+
+    pageSizeSelect: {
+      ...input,
+      padding: '6px 8px'
+    },
+
+    paginationButton,
+
+    paginationButtonActive: {
+      backgroundColor: colors.primary,
+      border: `1px solid ${colors.primary}`,
+      color: colors.onPrimary
+    }
+  };
 };
 
+export const defaultStyles = createStyles(lightTheme);
+
 // Input and select styles
-export const inputStyles = {
-  padding: '10px 12px',
-  border: '1px solid #ced4da',
-  borderRadius: '6px',
-  fontSize: '14px',
-  transition: 'border-color 0.2s, box-shadow 0.2s',
-  outline: 'none'
-};
+export const inputStyles = defaultStyles.input;
 
 // Table styles
 export const tableStyles = {
-  th: {
-    backgroundColor: '#f8f9fa',
-    padding: '12px 16px',
-    textAlign: 'left',
-    fontWeight: '600',
-    fontSize: '14px',
-    color: '#495057',
-    borderBottom: '2px solid #dee2e6'
-  },
-  
-  td: {
-    padding: '12px 16px',
-    borderBottom: '1px solid #dee2e6',
-    fontSize: '14px',
-    color: '#212529'
-  },
-  
-  actionButton: {
-    padding: '6px 12px',
-    margin: '0 4px',
-    border: 'none',
-    borderRadius: '4px',
-    cursor: 'pointer',
-    fontSize: '12px',
-    fontWeight: '500',
-    transition: 'background-color 0.2s'
-  },
-  
-  editButton: {
-    backgroundColor: '#ffc107',
-    color: '#212529'
-  },
-  
-  deleteButton: {
-    backgroundColor: '#dc3545',
-    color: 'white'
-  }
-}; 
\ No newline at end of file
+  th: defaultStyles.th,
+  td: defaultStyles.td,
+  sortButton: defaultStyles.sortButton,
+  actionButton: defaultStyles.actionButton,
+  editButton: defaultStyles.editButton,
+  deleteButton: defaultStyles.deleteButton
+};
+
+// Pagination styles
+export const paginationStyles = {
+  button: defaultStyles.paginationButton,
+  activeButton: defaultStyles.paginationButtonActive
+};
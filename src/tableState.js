@@ -0,0 +1,134 @@
+/**
+ * Table state persistence for GenericCrudPage
+ *
+ * The state a user sets up in the table is kept as:
+ *
+ *   {
+ *     search: 'status:active',
+ *     sort: [{ key: 'name', direction: 'asc' }],
+ *     page: 2,
+ *     pageSize: 25,
+ *     filters: { role: 'admin' },
+ *     columns: { order, hidden, widths, pinned }
+ *   }
+ *
+ * It can be saved to localStorage under a key, and written to the query
+ * string as `q`, `sort` (e.g. `name,-createdAt`), `page`, `pageSize`,
+ * `filters` and `columns` (both JSON), optionally with a prefix so that
+ * several tables can share a URL. Parts equal to their defaults are left
+ * out of the URL.
+ */
+
+export const TABLE_STATE_PARAMS = {
+  search: 'q',
+  sort: 'sort',
+  page: 'page',
+  pageSize: 'pageSize',
+  filters: 'filters',
+  columns: 'columns'
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+// Encode sort entries as 'name,-createdAt'
+export const formatSortParam = (sort) => sort
+  .map(({ key, direction }) => (direction === 'desc' ? `-${key}` : key))
+  .join(',');
+
+export const parseSortParam = (text) => text
+  .split(',')
+  .filter(Boolean)
+  .map(part => (part.startsWith('-')
+    ? { key: part.slice(1), direction: 'desc' }
+    : { key: part, direction: 'asc' }));
+
+/**
+ * Keep the parts of a stored or parsed state that are well formed, so a
+ * hand-edited URL or an outdated saved state cannot break the table.
+ */
+export const sanitizeTableState = (state) => {
+  if (!isObject(state)) return {};
+  const result = {};
+  if (typeof state.search === 'string') result.search = state.search;
+  if (Array.isArray(state.sort)) {
+    result.sort = state.sort.filter(entry =>
+      isObject(entry) && typeof entry.key === 'string' && (entry.direction === 'asc' || entry.direction === 'desc'));
+  }
+  if (toPositiveInteger(state.page)) result.page = toPositiveInteger(state.page);
+  if (toPositiveInteger(state.pageSize)) result.pageSize = toPositiveInteger(state.pageSize);
+  if (isObject(state.filters)) result.filters = state.filters;
+  if (isObject(state.columns)) result.columns = state.columns;
+  return result;
+};
+
+// Read the state saved under `key`, or an empty object
+export const loadTableState = (key, storage = globalThis.localStorage) => {
+  if (!key || !storage) return {};
+  try {
+    return sanitizeTableState(parseJson(storage.getItem(key)));
+  } catch (err) {
+    // Storage can be unavailable, e.g. when blocked by privacy settings
+    return {};
+  }
+};
+
+export const saveTableState = (key, state, storage = globalThis.localStorage) => {
+  if (!key || !storage) return;
+  try {
+    storage.setItem(key, JSON.stringify(state));
+  } catch (err) {
+    // Ignore full or unavailable storage; the table keeps working without it
+  }
+};
+
+// Read the state from a query string such as '?q=smith&page=2'
+export const parseTableStateParams = (search, prefix = '') => {
+  const params = new URLSearchParams(search);
+  const get = (part) => params.get(prefix + TABLE_STATE_PARAMS[part]);
+  const state = {};
+
+  if (get('search') !== null) state.search = get('search');
+  if (get('sort') !== null) state.sort = parseSortParam(get('sort'));
+  if (get('page') !== null) state.page = get('page');
+  if (get('pageSize') !== null) state.pageSize = get('pageSize');
+  if (get('filters') !== null) state.filters = parseJson(get('filters'));
+  if (get('columns') !== null) state.columns = parseJson(get('columns'));
+  return sanitizeTableState(state);
+};
+
+/**
+ * Write the state into the query string `search`, leaving other parameters
+ * as they are. Parts that are missing or equal to `defaults` are removed.
+ */
+export const toTableStateParams = (state, defaults = {}, search = '', prefix = '') => {
+  const params = new URLSearchParams(search);
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  Object.entries(TABLE_STATE_PARAMS).forEach(([part, name]) => {
+    const value = state[part];
+    params.delete(prefix + name);
+    if (value === undefined || same(value, defaults[part])) return;
+
+    let text;
+    if (part === 'sort') text = formatSortParam(value);
+    else if (part === 'filters' || part === 'columns') text = JSON.stringify(value);
+    else text = String(value);
+    params.set(prefix + name, text);
+  });
+
+  const text = params.toString();
+  return text ? `?${text}` : '';
+};
@@ -0,0 +1,80 @@
+import {
+  formatSortParam,
+  parseSortParam,
+  sanitizeTableState,
+  loadTableState,
+  saveTableState,
+  parseTableStateParams,
+  toTableStateParams
+} from './tableState.js';
+
+describe('table state helpers', () => {
+  const state = {
+    search: 'role:admin smith',
+    sort: [{ key: 'name', direction: 'asc' }, { key: 'createdAt', direction: 'desc' }],
+    page: 3,
+    pageSize: 25,
+    filters: { role: 'admin', age: { min: 18 } },
+    columns: { order: ['email', 'name'], hidden: [], widths: {}, pinned: {} }
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('encodes sort state as a compact parameter', () => {
+    expect(formatSortParam(state.sort)).toBe('name,-createdAt');
+    expect(parseSortParam('name,-createdAt')).toEqual(state.sort);
+    expect(parseSortParam('')).toEqual([]);
+  });
+
+  test('round-trips the state through the query string', () => {
+    const query = toTableStateParams(state, {}, '?tab=users');
+
+    expect(query).toMatch(/^\?tab=users&q=role%3Aadmin\+smith&sort=name%2C-createdAt&page=3&pageSize=25&filters=/);
+    expect(parseTableStateParams(query)).toEqual(state);
+  });
+
+  test('leaves default values out of the query string', () => {
+    const defaults = { search: '', sort: [], page: 1, pageSize: 10, filters: {}, columns: state.columns };
+
+    expect(toTableStateParams({ ...defaults, page: 2 }, defaults, '?q=old&tab=users')).toBe('?tab=users&page=2');
+    expect(toTableStateParams(defaults, defaults, '?page=4')).toBe('');
+    expect(toTableStateParams({ ...defaults, sort: [] }, { ...defaults, sort: state.sort })).toBe('?sort=');
+  });
+
+  test('prefixes parameter names', () => {
+    const query = toTableStateParams({ search: 'smith', page: 2 }, {}, '?page=7', 'users.');
+
+    expect(query).toBe('?page=7&users.q=smith&users.page=2');
+    expect(parseTableStateParams(query, 'users.')).toEqual({ search: 'smith', page: 2 });
+  });
+
+  test('ignores malformed values', () => {
+    expect(parseTableStateParams('?page=-1&pageSize=ten&filters={oops&columns=[1]')).toEqual({});
+    expect(sanitizeTableState({ sort: [{ key: 'name', direction: 'up' }, 'name'], page: 2.5 })).toEqual({ sort: [] });
+    expect(sanitizeTableState('state')).toEqual({});
+  });
+
+  test('saves and loads the state in localStorage', () => {
+    saveTableState('users-table', state);
+
+    expect(JSON.parse(localStorage.getItem('users-table'))).toEqual(state);
+    expect(loadTableState('users-table')).toEqual(state);
+    expect(loadTableState('missing')).toEqual({});
+    expect(loadTableState(undefined)).toEqual({});
+
+    localStorage.setItem('broken', '{');
+    expect(loadTableState('broken')).toEqual({});
+  });
+
+  test('keeps working when storage is unavailable', () => {
+    const storage = {
+      getItem: () => { throw new Error('blocked'); },
+      setItem: () => { throw new Error('quota'); }
+    };
+
+    expect(loadTableState('users-table', storage)).toEqual({});
+    expect(() => saveTableState('users-table', state, storage)).not.toThrow();
+  });
+});
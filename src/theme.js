@@ -0,0 +1,194 @@
+/**
+ * Design tokens for GenericCrudPage
+ *
+ * A theme is a set of tokens: colors, spacing, radius, typography and
+ * shadows. The built-in `lightTheme` and `darkTheme` can be extended with
+ * createTheme, and every token is exposed as a CSS variable on the page's
+ * root element, e.g. `--gcp-color-primary`, `--gcp-spacing-md` or
+ * `--gcp-font-size-sm`, so that custom cells and stylesheets can use them.
+ */
+
+export const lightTheme = {
+  mode: 'light',
+  colors: {
+    primary: '#007bff',
+    onPrimary: '#ffffff',
+    secondary: '#6c757d',
+    onSecondary: '#ffffff',
+    warning: '#ffc107',
+    onWarning: '#212529',
+    danger: '#dc3545',
+    onDanger: '#ffffff',
+    background: '#ffffff',
+    surface: '#ffffff',
+    surfaceMuted: '#f8f9fa',
+    surfaceHover: '#f8f9fa',
+    border: '#e1e5e9',
+    borderStrong: '#dee2e6',
+    inputBackground: '#ffffff',
+    inputBorder: '#ced4da',
+    text: '#212529',
+    textLabel: '#495057',
+    textMuted: '#6c757d',
+    chip: '#e9ecef',
+    selectionBackground: '#e7f1ff',
+    selectionBorder: '#b6d4fe',
+    selectionText: '#084298',
+    errorBackground: '#f8d7da',
+    errorBorder: '#f5c6cb',
+    errorText: '#721c24',
+    rowErrorBackground: '#fdf2f3',
+    warningText: '#856404',
+    successText: '#155724',
+    highlight: '#fff3cd',
+    focusRing: 'rgba(0, 123, 255, 0.25)'
+  },
+  spacing: {
+    xs: '4px',
+    sm: '8px',
+    md: '12px',
+    lg: '16px',
+    xl: '20px',
+    xxl: '24px'
+  },
+  radius: {
+    sm: '4px',
+    md: '6px',
+    lg: '8px',
+    pill: '16px'
+  },
+  typography: {
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    fontSize: {
+      xs: '12px',
+      sm: '13px',
+      md: '14px',
+      lg: '16px',
+      title: '24px'
+    },
+    fontWeight: {
+      medium: '500',
+      bold: '600'
+    }
+  },
+  shadows: {
+    sm: '0 1px 3px rgba(0, 0, 0, 0.1)',
+    md: '0 2px 10px rgba(0, 0, 0, 0.1)'
+  }
+};
+
+export const darkTheme = {
+  ...lightTheme,
+  mode: 'dark',
+  colors: {
+    primary: '#3b8eea',
+    onPrimary: '#ffffff',
+    secondary: '#495057',
+    onSecondary: '#f8f9fa',
+    warning: '#e0a800',
+    onWarning: '#212529',
+    danger: '#e5535f',
+    onDanger: '#ffffff',
+    background: '#1a1d21',
+    surface: '#212529',
+    surfaceMuted: '#2b3035',
+    surfaceHover: '#343a40',
+    border: '#343a40',
+    borderStrong: '#495057',
+    inputBackground: '#2b3035',
+    inputBorder: '#5c636a',
+    text: '#e9ecef',
+    textLabel: '#ced4da',
+    textMuted: '#adb5bd',
+    chip: '#343a40',
+    selectionBackground: '#0d2a4d',
+    selectionBorder: '#1c4f8a',
+    selectionText: '#9ec5fe',
+    errorBackground: '#2c0b0e',
+    errorBorder: '#842029',
+    errorText: '#ea868f',
+    rowErrorBackground: '#3a1d21',
+    warningText: '#ffda6a',
+    successText: '#75b798',
+    highlight: '#665c1e',
+    focusRing: 'rgba(59, 142, 234, 0.4)'
+  },
+  shadows: {
+    sm: '0 1px 3px rgba(0, 0, 0, 0.5)',
+    md: '0 2px 10px rgba(0, 0, 0, 0.5)'
+  }
+};
+
+export const themes = {
+  light: lightTheme,
+  dark: darkTheme
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Merge token overrides into a base theme, one level of nesting at a time
+const mergeTokens = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeTokens(base[key], value)
+      : value;
+  });
+  return merged;
+};
+
+/**
+ * Create a theme by overriding some tokens of a base theme, e.g.
+ * `createTheme({ colors: { primary: '#6f42c1' } }, darkTheme)`.
+ */
+export const createTheme = (overrides = {}, base = lightTheme) => mergeTokens(base, overrides);
+
+/**
+ * Resolve the `theme` prop: 'light', 'dark' or a partial theme object.
+ * Objects are merged over the built-in theme named by their `mode`.
+ * Throws for unknown theme names.
+ */
+export const resolveTheme = (theme) => {
+  if (!theme) return lightTheme;
+  if (typeof theme === 'string') {
+    if (!themes[theme]) {
+      throw new Error(`Unknown theme "${theme}"`);
+    }
+    return themes[theme];
+  }
+  return createTheme(theme, themes[theme.mode] || lightTheme);
+};
+
+const toKebabCase = (text) => text.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+
+// CSS variable prefix of each token group; typography tokens name themselves
+const VARIABLE_PREFIXES = {
+  colors: 'color',
+  spacing: 'spacing',
+  radius: 'radius',
+  typography: '',
+  shadows: 'shadow'
+};
+
+/**
+ * CSS variables for every token of a theme, as a style object, e.g.
+ * `{ '--gcp-color-primary': '#007bff', '--gcp-font-size-sm': '13px' }`.
+ */
+export const toCssVariables = (theme) => {
+  const variables = {};
+  const addTokens = (tokens, name) => {
+    Object.entries(tokens).forEach(([key, value]) => {
+      const tokenName = [name, toKebabCase(key)].filter(Boolean).join('-');
+      if (isPlainObject(value)) {
+        addTokens(value, tokenName);
+      } else {
+        variables[`--gcp-${tokenName}`] = value;
+      }
+    });
+  };
+  Object.entries(VARIABLE_PREFIXES).forEach(([group, prefix]) => {
+    if (theme[group]) addTokens(theme[group], prefix);
+  });
+  return variables;
+};
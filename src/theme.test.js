@@ -0,0 +1,55 @@
+import { lightTheme, darkTheme, createTheme, resolveTheme, toCssVariables } from './theme.js';
+import { createStyles } from './styles.js';
+
+describe('themes', () => {
+  test('resolves theme names and partial themes', () => {
+    expect(resolveTheme()).toBe(lightTheme);
+    expect(resolveTheme('dark')).toBe(darkTheme);
+    expect(() => resolveTheme('sepia')).toThrow('Unknown theme "sepia"');
+
+    const custom = resolveTheme({ mode: 'dark', colors: { primary: '#6f42c1' } });
+    expect(custom.colors.primary).toBe('#6f42c1');
+    expect(custom.colors.background).toBe(darkTheme.colors.background);
+    expect(custom.spacing).toEqual(darkTheme.spacing);
+  });
+
+  test('merges nested tokens without changing the base theme', () => {
+    const theme = createTheme({ typography: { fontSize: { md: '15px' } } });
+
+    expect(theme.typography.fontSize).toEqual({ ...lightTheme.typography.fontSize, md: '15px' });
+    expect(theme.typography.fontFamily).toBe(lightTheme.typography.fontFamily);
+    expect(lightTheme.typography.fontSize.md).toBe('14px');
+  });
+
+  test('exposes every token as a CSS variable', () => {
+    const variables = toCssVariables(lightTheme);
+
+    expect(variables['--gcp-color-primary']).toBe('#007bff');
+    expect(variables['--gcp-color-surface-muted']).toBe('#f8f9fa');
+    expect(variables['--gcp-spacing-md']).toBe('12px');
+    expect(variables['--gcp-radius-pill']).toBe('16px');
+    expect(variables['--gcp-font-family']).toBe(lightTheme.typography.fontFamily);
+    expect(variables['--gcp-font-size-sm']).toBe('13px');
+    expect(variables['--gcp-font-weight-bold']).toBe('600');
+    expect(variables['--gcp-shadow-sm']).toBe(lightTheme.shadows.sm);
+  });
+
+  test('builds style slots from the tokens', () => {
+    const styles = createStyles(createTheme({ colors: { danger: '#b02a37' }, radius: { sm: '0px' } }));
+
+    expect(styles.deleteButton.backgroundColor).toBe('#b02a37');
+    expect(styles.fieldError.color).toBe('#b02a37');
+    expect(styles.actionButton.borderRadius).toBe('0px');
+    expect(createStyles(darkTheme).container.colorScheme).toBe('dark');
+  });
+
+  test('places start-aligned styles on the right for right-to-left layouts', () => {
+    const styles = createStyles(lightTheme, 'rtl');
+
+    expect(styles.searchIcon.right).toBe('12px');
+    expect(styles.searchIcon.left).toBeUndefined();
+    expect(styles.searchInput.paddingRight).toBe('40px');
+    expect(styles.th.textAlign).toBe('right');
+    expect(createStyles(lightTheme).th.textAlign).toBe('left');
+  });
+});
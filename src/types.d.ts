@@ -5,54 +5,796 @@ export interface Column {
   label: string;
   render?: (item: any) => ReactNode;
   sortable?: boolean;
+  sortFn?: (a: any, b: any) => number;
+  filter?: ColumnFilterType | ColumnFilterDefinition;
+  highlight?: boolean;
+  exportValue?: (item: any) => any;
+  exportable?: boolean;
+  formatOptions?: Intl.NumberFormatOptions | Intl.DateTimeFormatOptions;
+  width?: number;
+  minWidth?: number;
+  pinned?: ColumnPin;
+  hideable?: boolean;
 }
 
+export type ColumnPin = 'left' | 'right' | null;
+
+export interface ColumnState {
+  order: string[];
+  hidden: string[];
+  widths: Record<string, number>;
+  pinned: Record<string, ColumnPin>;
+}
+
+export interface ColumnLayoutEntry {
+  key: string;
+  column: Column | null;
+  width?: number;
+  pinned: ColumnPin;
+  offset?: number;
+}
+
+export type PluralMessage = Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
+export type Messages = Record<string, string | PluralMessage>;
+
+export interface I18n {
+  locale?: string;
+  direction: 'ltr' | 'rtl';
+  t: (key: string, values?: Record<string, any>) => string;
+  formatNumber: (value: number, options?: Intl.NumberFormatOptions) => string;
+  formatDate: (value: Date, options?: Intl.DateTimeFormatOptions) => string;
+  compareText: (a: string, b: string) => number;
+}
+
+export interface Shortcuts {
+  search?: string | null;
+  add?: string | null;
+  cancel?: string | null;
+}
+
+export interface GridCell {
+  row: number;
+  col: number;
+}
+
+export interface TableState {
+  search?: string;
+  sort?: SortEntry[];
+  page?: number;
+  pageSize?: number;
+  filters?: FilterValues;
+  columns?: Partial<ColumnState>;
+}
+
+export interface SavedView {
+  id: string;
+  name: string;
+  search?: string;
+  filters?: FilterValues;
+  sort?: SortEntry[];
+  columns?: Partial<ColumnState>;
+}
+
+export interface SavedViewData {
+  views: SavedView[];
+  defaultViewId: string | null;
+}
+
+export interface ViewStorage {
+  load: () => SavedViewData | Promise<SavedViewData>;
+  save: (data: SavedViewData) => void | Promise<unknown>;
+}
+
+export type ExportFormat = 'csv' | 'tsv' | 'json';
+
+export interface ExportOptions {
+  rows?: 'all' | 'selected' | 'page';
+  download?: boolean;
+  fileName?: string;
+}
+
+export interface GenericCrudPageHandle {
+  exportData: (format?: ExportFormat, options?: ExportOptions) => string;
+}
+
+export type ColumnFilterType = 'text' | 'select' | 'enum' | 'number' | 'date' | 'boolean';
+
+export interface ColumnFilterDefinition {
+  type?: ColumnFilterType;
+  options?: Array<{ value: string; label: string }>;
+  placeholder?: string;
+}
+
+export type FilterValues = Record<string, any>;
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface SortEntry {
+  key: string;
+  direction: SortDirection;
+}
+
+export type FormFieldType =
+  | 'text' | 'email' | 'password' | 'tel' | 'url'
+  | 'number' | 'textarea' | 'select' | 'multiselect' | 'radio'
+  | 'checkbox' | 'switch' | 'date' | 'datetime' | 'file';
+
+export interface FieldOption {
+  value: string | number | boolean;
+  label: string;
+}
+
+export interface FieldRenderProps {
+  field: FormField;
+  value: any;
+  onChange: (value: any) => void;
+  onBlur: () => void;
+  error?: string;
+  disabled: boolean;
+  validating: boolean;
+}
+
+export type ValidationResult = true | string | false | null | undefined;
+
+export type FormErrors = Record<string, string | null | undefined>;
+
+export type ValidateOn = 'submit' | 'blur' | 'change';
+
 export interface FormField {
   key: string;
   label: string;
-  type?: 'text' | 'email' | 'password' | 'number' | 'select' | 'textarea';
+  type?: FormFieldType;
   placeholder?: string;
   required?: boolean;
-  validation?: (value: any) => true | string;
-  options?: Array<{ value: string; label: string }>;
+  validation?: (value: any, values: Record<string, any>) => ValidationResult | Promise<ValidationResult>;
+  validateOn?: ValidateOn;
+  options?: FieldOption[];
+  defaultValue?: any;
+  min?: number | string;
+  max?: number | string;
+  step?: number | string;
+  rows?: number;
+  accept?: string;
+  multiple?: boolean;
+  renderField?: (props: FieldRenderProps) => ReactNode | undefined;
 }
 
-export interface CustomStyles {
-  container?: React.CSSProperties;
-  header?: React.CSSProperties;
-  form?: React.CSSProperties;
-  formField?: React.CSSProperties;
-  addButton?: React.CSSProperties;
-  refreshButton?: React.CSSProperties;
-  searchBar?: React.CSSProperties;
-  table?: React.CSSProperties;
-  loading?: React.CSSProperties;
-  empty?: React.CSSProperties;
+export interface JsonSchemaProperty {
+  type?: string | string[];
+  title?: string;
+  description?: string;
+  format?: string;
+  enum?: any[];
+  enumNames?: string[];
+  items?: JsonSchemaProperty;
+  default?: any;
+  readOnly?: boolean;
+  writeOnly?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  [key: string]: any;
 }
 
-export interface GenericCrudPageProps {
-  title: string;
+export interface JsonSchema {
+  type?: 'object';
+  properties?: Record<string, JsonSchemaProperty>;
+  required?: string[];
+  [key: string]: any;
+}
+
+export type StyleSlot =
+  | 'container'
+  | 'header'
+  | 'title'
+  | 'errorBanner'
+  | 'form'
+  | 'formField'
+  | 'fieldLabel'
+  | 'label'
+  | 'requiredMark'
+  | 'input'
+  | 'inputInvalid'
+  | 'checkbox'
+  | 'radioGroup'
+  | 'radioOption'
+  | 'fieldStatus'
+  | 'fieldError'
+  | 'addButton'
+  | 'refreshButton'
+  | 'toolbarButton'
+  | 'searchBar'
+  | 'searchIcon'
+  | 'searchInput'
+  | 'searchInputInvalid'
+  | 'searchHint'
+  | 'summary'
+  | 'table'
+  | 'th'
+  | 'td'
+  | 'sortButton'
+  | 'rowError'
+  | 'rowErrorText'
+  | 'actionButton'
+  | 'editButton'
+  | 'deleteButton'
+  | 'secondaryActionButton'
+  | 'highlight'
+  | 'loading'
+  | 'empty'
+  | 'filterPanel'
+  | 'exportPanel'
+  | 'importPanel'
+  | 'importPreview'
+  | 'hint'
+  | 'successText'
+  | 'filterChips'
+  | 'filterChip'
+  | 'chipRemoveButton'
+  | 'linkButton'
+  | 'selectionToolbar'
+  | 'pinnedCell'
+  | 'resizeHandle'
+  | 'columnPanel'
+  | 'columnList'
+  | 'columnListItem'
+  | 'viewPanel'
+  | 'viewList'
+  | 'viewListItem'
+  | 'viewButton'
+  | 'viewButtonActive'
+  | 'toastList'
+  | 'toast'
+  | 'toastButton'
+  | 'dialogOverlay'
+  | 'dialog'
+  | 'dialogTitle'
+  | 'dialogMessage'
+  | 'dialogActions'
+  | 'pagination'
+  | 'pageSizeSelect'
+  | 'paginationButton'
+  | 'paginationButtonActive';
+
+export type CustomStyles = Partial<Record<StyleSlot, React.CSSProperties>>;
+
+export interface ThemeColors {
+  primary: string;
+  onPrimary: string;
+  secondary: string;
+  onSecondary: string;
+  warning: string;
+  onWarning: string;
+  danger: string;
+  onDanger: string;
+  background: string;
+  surface: string;
+  surfaceMuted: string;
+  surfaceHover: string;
+  border: string;
+  borderStrong: string;
+  inputBackground: string;
+  inputBorder: string;
+  text: string;
+  textLabel: string;
+  textMuted: string;
+  chip: string;
+  selectionBackground: string;
+  selectionBorder: string;
+  selectionText: string;
+  errorBackground: string;
+  errorBorder: string;
+  errorText: string;
+  rowErrorBackground: string;
+  warningText: string;
+  successText: string;
+  highlight: string;
+  focusRing: string;
+}
+
+export interface Theme {
+  mode: 'light' | 'dark';
+  colors: ThemeColors;
+  spacing: Record<'xs' | 'sm' | 'md' | 'lg' | 'xl' | 'xxl', string>;
+  radius: Record<'sm' | 'md' | 'lg' | 'pill', string>;
+  typography: {
+    fontFamily: string;
+    fontSize: Record<'xs' | 'sm' | 'md' | 'lg' | 'title', string>;
+    fontWeight: Record<'medium' | 'bold', string>;
+  };
+  shadows: Record<'sm' | 'md', string>;
+}
+
+export type ThemeOverrides = {
+  mode?: Theme['mode'];
+  colors?: Partial<ThemeColors>;
+  spacing?: Partial<Theme['spacing']>;
+  radius?: Partial<Theme['radius']>;
+  typography?: {
+    fontFamily?: string;
+    fontSize?: Partial<Theme['typography']['fontSize']>;
+    fontWeight?: Partial<Theme['typography']['fontWeight']>;
+  };
+  shadows?: Partial<Theme['shadows']>;
+};
+
+export type ThemeInput = 'light' | 'dark' | ThemeOverrides;
+
+export interface DataSourceAdapter<T = any> {
+  list: () => Promise<T[]>;
+  create?: (item: Partial<T>) => Promise<T | void>;
+  update?: (id: string | number, item: T) => Promise<T | void>;
+  remove?: (id: string | number) => Promise<void>;
+}
+
+export interface RestAdapterOptions {
+  baseUrl?: string;
+  urls?: {
+    list?: string;
+    create?: string;
+    update?: string | ((id: string | number) => string);
+    remove?: string | ((id: string | number) => string);
+  };
+  headers?: Record<string, string>;
+  updateMethod?: 'PUT' | 'PATCH' | 'POST';
+  fetch?: typeof fetch;
+  parseList?: (body: any) => any[];
+  parseItem?: (body: any) => any;
+}
+
+export interface MemoryAdapterOptions {
+  idKey?: string;
+  delay?: number;
+  generateId?: (item: any) => string | number;
+}
+
+export interface CrudResource<T = any> {
+  data: T[];
+  setData: React.Dispatch<React.SetStateAction<T[]>>;
+  loading: boolean;
+  error: Error | null;
+  refresh: () => Promise<void>;
+  create?: (item: Partial<T>) => Promise<T>;
+  update?: (id: string | number, item: T) => Promise<T>;
+  remove?: (id: string | number) => Promise<void>;
+}
+
+export interface BulkAction {
+  label: string;
+  onClick: (selectedItems: any[]) => void | Promise<unknown>;
+}
+
+export type RowKey = string | ((item: any) => string | number);
+
+export interface UseGenericCrudOptions {
+  title?: string;
   data?: any[];
+  rowKey?: RowKey;
   loading?: boolean;
   error?: string | null;
+  dataSource?: DataSourceAdapter;
   columns?: Column[];
   formFields?: FormField[];
-  onAdd?: (item: any) => void;
-  onEdit?: (item: any) => void;
-  onDelete?: (id: string | number) => void;
+  schema?: JsonSchema;
+  validate?: (values: Record<string, any>) => FormErrors | Promise<FormErrors>;
+  validateOn?: ValidateOn;
+  onAdd?: (item: any) => void | Promise<unknown>;
+  onEdit?: (updatedItem: any, originalItem?: any) => void | Promise<unknown>;
+  onDelete?: (id: string | number) => void | Promise<unknown>;
   onRefresh?: () => void;
   renderActions?: (item: any) => ReactNode;
+  locale?: string;
+  messages?: Messages;
+  dir?: 'ltr' | 'rtl';
+  confirmDelete?: boolean | ((item: any) => React.ReactNode);
+  typeToConfirm?: boolean | ((item: any) => string);
+  searchDebounce?: number;
+  highlightMatches?: boolean;
+  optimistic?: boolean;
+  undoable?: boolean;
+  undoTimeout?: number;
+  selectable?: boolean;
+  selectedIds?: Array<string | number>;
+  onSelectionChange?: (ids: Array<string | number>) => void;
+  onBulkDelete?: (ids: Array<string | number>) => void | Promise<unknown>;
+  filters?: FilterValues;
+  defaultFilters?: FilterValues;
+  onFiltersChange?: (filters: FilterValues) => void;
+  sort?: SortEntry[];
+  defaultSort?: SortEntry[];
+  onSortChange?: (sort: SortEntry[]) => void;
+  pagination?: boolean | 'client' | 'server';
+  page?: number;
+  onPageChange?: (page: number, pageSize: number) => void;
+  pageSize?: number;
+  defaultPageSize?: number;
+  onPageSizeChange?: (pageSize: number) => void;
+  totalCount?: number;
+  virtualized?: boolean;
+  rowHeight?: number;
+  estimatedRowHeight?: number;
+  tableHeight?: number;
+  overscan?: number;
+  exportable?: boolean;
+  exportFormats?: ExportFormat[];
+  exportFileName?: string;
+  importable?: boolean;
+  onImport?: (items: any[]) => void | Promise<unknown>;
+  shortcuts?: boolean | Shortcuts;
+  manageColumns?: boolean;
+  columnState?: Partial<ColumnState>;
+  defaultColumnState?: Partial<ColumnState>;
+  onColumnStateChange?: (columnState: ColumnState) => void;
+  stateKey?: string;
+  syncWithUrl?: boolean | string;
+  savedViews?: boolean;
+  views?: SavedView[];
+  viewStorage?: ViewStorage;
+}
+
+export interface GenericCrudPageProps extends UseGenericCrudOptions {
+  title: string;
+  renderField?: (props: FieldRenderProps) => ReactNode | undefined;
   AddButtonIcon?: React.ComponentType<{ size?: number }>;
   RefreshButtonIcon?: React.ComponentType<{ size?: number }>;
   customStyles?: CustomStyles;
-  confirmDelete?: boolean;
+  theme?: ThemeInput;
   searchPlaceholder?: string;
   emptyMessage?: string;
   loadingMessage?: string;
   className?: string;
+  bulkActions?: BulkAction[];
+  pageSizeOptions?: number[];
+  [key: string]: any;
+}
+
+type PropGetterProps = Record<string, any>;
+
+export interface UseGenericCrudResult {
+  i18n: I18n;
+  t: I18n['t'];
+  direction: 'ltr' | 'rtl';
+  title?: string;
+  data: any[];
+  getRowId: (item: any) => string | number;
+  getItemName: (item: any) => string;
+  ids: { searchHint: string; filters: string; columns: string; views: string; export: string; import: string; undo: string; field: (key: string) => string };
+  loading: boolean;
+  error: string | null;
+  actionError: string | null;
+  onAdd?: (item: any) => void | Promise<unknown>;
+  onEdit?: (updatedItem: any, originalItem?: any) => void | Promise<unknown>;
+  onDelete?: (id: string | number) => void | Promise<unknown>;
+  onRefresh?: () => void;
+  renderActions?: (item: any) => ReactNode;
+
+  columns: Column[];
+  formFields: FormField[];
+  formState: Record<string, any>;
+  formErrors: FormErrors;
+  validatingFields: Record<string, boolean>;
+  editingItem: any | null;
+  submitting: boolean;
+  formDisabled: boolean;
+  handleFieldChange: (field: FormField, value: any) => void;
+  handleFieldBlur: (field: FormField) => void;
+  handleAdd: () => Promise<void>;
+  handleEdit: (item: any) => Promise<void>;
+  handleSave: () => Promise<void>;
+  handleCancelEdit: () => void;
+  handleFormSubmit: (event: React.FormEvent) => void;
+
+  searchInput: string;
+  search: string;
+  searchQuery: { groups: any[] | null; error: string | null };
+  handleSearchChange: (value: string) => void;
+  filterableColumns: Array<{ column: Column; definition: ColumnFilterDefinition & { type: ColumnFilterType } }>;
+  currentFilters: FilterValues;
+  activeFilters: ActiveFilter[];
+  handleFilterChange: (key: string, value: any) => void;
+  updateFilters: (filters: FilterValues) => void;
+
+  filteredData: any[];
+  sortedData: any[];
+  pageData: any[];
+  visibleRows: any[];
+  activeSort: SortEntry[];
+  handleSort: (key: string, multi?: boolean) => void;
+  updateSort: (sort: SortEntry[]) => void;
+  pendingRows: Record<string, boolean>;
+  rowErrors: Record<string, string | null>;
+
+  paginationMode: 'client' | 'server' | null;
+  currentPage: number;
+  currentPageSize: number;
+  pageCount: number;
+  totalItems: number;
+  handlePageChange: (page: number, pageSize?: number) => void;
+  handlePageSizeChange: (pageSize: number) => void;
+  virtualRows: VirtualRows;
+
+  selection: Array<string | number>;
+  selectedItems: any[];
+  allFilteredSelected: boolean;
+  someFilteredSelected: boolean;
+  updateSelection: (ids: Array<string | number>) => void;
+  handleToggleRow: (id: string | number) => void;
+  handleToggleAll: () => void;
+  bulkPending: boolean;
+  handleBulkDelete: () => Promise<void>;
+  handleBulkAction: (action: BulkAction) => Promise<void>;
+
+  handleDelete: (item: any) => Promise<void>;
+  confirmation: { message: ReactNode; confirmText?: string | null } | null;
+  requestConfirmation: (options: { message: ReactNode; confirmText?: string | null }) => Promise<boolean>;
+  closeConfirmation: (confirmed: boolean) => void;
+  undoToasts: Array<{ opId: number; message: string }>;
+  handleUndo: (opId: number) => void;
+
+  currentColumnState: ColumnState;
+  columnLayout: { columns: ColumnLayoutEntry[]; leadingPinned: ColumnPin };
+  layoutColumns: ColumnLayoutEntry[];
+  columnCount: number;
+  updateColumnState: (columnState: ColumnState) => void;
+  resetColumnState: () => void;
+
+  viewsEnabled: boolean;
+  allViews: SavedView[];
+  viewData: SavedViewData | null;
+  defaultViewId: string | null;
+  activeView?: SavedView;
+  applyView: (view: SavedView) => void;
+  handleSaveView: () => void;
+  handleDeleteView: (id: string) => void;
+  handleDefaultView: (id: string) => void;
+
+  exportData: GenericCrudPageHandle['exportData'];
+  canImport: boolean;
+
+  getFormProps: (props?: PropGetterProps) => PropGetterProps;
+  getFieldState: (field: FormField) => FieldRenderProps;
+  getFieldProps: (field: FormField, props?: PropGetterProps) => PropGetterProps;
+  getSearchInputProps: (props?: PropGetterProps) => PropGetterProps;
+  getTableProps: (props?: PropGetterProps) => PropGetterProps;
+  getCellProps: (row: number, col: number, props?: PropGetterProps) => PropGetterProps;
+  getSortButtonProps: (column: Column, props?: PropGetterProps) => PropGetterProps;
+  getEditButtonProps: (item: any, props?: PropGetterProps) => PropGetterProps;
+  getDeleteButtonProps: (item: any, props?: PropGetterProps) => PropGetterProps;
+  getSelectAllProps: (props?: PropGetterProps) => PropGetterProps;
+  getSelectRowProps: (item: any, props?: PropGetterProps) => PropGetterProps;
+  getConfirmDialogProps: (props?: PropGetterProps) => PropGetterProps | null;
   [key: string]: any;
 }
 
-declare const GenericCrudPage: React.FC<GenericCrudPageProps>;
+export declare function compareValues(a: any, b: any, i18n?: I18n): number;
+export declare function getNextSort(sort: SortEntry[], key: string, multi?: boolean): SortEntry[];
+export declare function sortData<T>(data: T[], sort: SortEntry[], columns?: Column[], i18n?: I18n): T[];
+export declare const DEFAULT_PAGE_SIZE_OPTIONS: number[];
+export declare function getPageCount(totalItems: number, pageSize: number): number;
+export declare function clampPage(page: number, pageCount: number): number;
+export declare function paginate<T>(data: T[], page: number, pageSize: number): T[];
+export declare function getPageRange(page: number, pageSize: number, totalItems: number): { start: number; end: number };
+export declare function getPageNumbers(page: number, pageCount: number, siblings?: number): Array<number | 'ellipsis'>;
+export interface ActiveFilter {
+  key: string;
+  column: Column;
+  definition: ColumnFilterDefinition & { type: ColumnFilterType };
+  value: any;
+}
+
+export declare function getColumnFilter(column: Column, formFields?: FormField[]): (ColumnFilterDefinition & { type: ColumnFilterType }) | null;
+export declare function isFilterActive(type: ColumnFilterType, value: any): boolean;
+export declare function matchesFilter(type: ColumnFilterType, cellValue: any, filterValue: any): boolean;
+export declare function getActiveFilters(columns: Column[], filters?: FilterValues, formFields?: FormField[]): ActiveFilter[];
+export declare function applyFilters<T>(data: T[], activeFilters: ActiveFilter[]): T[];
+export declare function describeFilter(activeFilter: ActiveFilter, i18n?: I18n): string;
+
+export interface SearchTerm {
+  negate: boolean;
+  columnKey: string | null;
+  operator: ':' | '=' | '>' | '>=' | '<' | '<=';
+  value: string;
+}
+
+export declare class SearchQueryError extends Error {}
+export declare function parseSearchQuery(query: string, columns?: Column[], i18n?: I18n): SearchTerm[][];
+export declare function getSearchText(item: any, columns: Column[], i18n?: I18n): Record<string, string>;
+export declare function createSearchIndex(columns: Column[], i18n?: I18n): (item: any) => Record<string, string>;
+export declare function matchesQuery(
+  item: any,
+  groups: SearchTerm[][],
+  columns: Column[],
+  text?: Record<string, string> | null,
+  i18n?: I18n
+): boolean;
+export declare function getHighlightTerms(groups: SearchTerm[][]): Record<string, string[]>;
+
+export declare function getEmptyValue(field: FormField): any;
+export declare function getInitialValues(formFields: FormField[]): Record<string, any>;
+export declare function isEmptyValue(value: any): boolean;
+export declare function toInputValue(field: FormField, value: any): string | string[];
+export declare function fromInputEvent(field: FormField, event: { target: any }): any;
+export declare function checkRange(field: FormField, value: any, i18n?: I18n): string | null;
+export declare function formatCellValue(
+  value: any,
+  i18n?: I18n,
+  options?: Intl.NumberFormatOptions | Intl.DateTimeFormatOptions
+): any;
+
+export declare function validateFieldValue(
+  field: FormField,
+  value: any,
+  values?: Record<string, any>,
+  i18n?: I18n
+): string | null | Promise<string | null>;
+export declare function validateValues(
+  formFields: FormField[],
+  values: Record<string, any>,
+  validate?: (values: Record<string, any>) => FormErrors | Promise<FormErrors>,
+  i18n?: I18n
+): Record<string, string> | Promise<Record<string, string>>;
+export declare function getFieldErrors(err: any): Record<string, string> | null;
+
+export declare function fromJsonSchema(
+  schema: JsonSchema,
+  overrides?: { columns?: Array<Partial<Column> & { key: string }>; formFields?: Array<Partial<FormField> & { key: string }> },
+  i18n?: I18n
+): { columns: Column[]; formFields: FormField[] };
+
+export declare const EXPORT_FORMATS: Record<ExportFormat, { label: string; extension: string; mimeType: string }>;
+export declare function exportRows(rows: any[], columns: Column[], format?: ExportFormat): string;
+export declare function escapeDelimitedValue(text: string, delimiter?: string): string;
+export declare function downloadFile(content: string, fileName: string, mimeType: string): void;
+
+export interface ImportRow {
+  values: Record<string, any>;
+  errors: Record<string, string>;
+}
+
+export declare function parseDelimited(text: string, delimiter?: string, i18n?: I18n): string[][];
+export declare function parseImportFile(
+  text: string,
+  format?: 'csv' | 'tsv' | 'json',
+  i18n?: I18n
+): { headers: string[]; records: Array<Record<string, any>> };
+export declare function guessMapping(headers: string[], formFields: FormField[]): Record<string, string>;
+export declare function toFieldValue(field: FormField, raw: any, i18n?: I18n): { value: any; error?: string };
+export declare function buildImportRows(
+  records: Array<Record<string, any>>,
+  mapping: Record<string, string>,
+  formFields: FormField[],
+  validate?: (values: Record<string, any>) => FormErrors | Promise<FormErrors>,
+  i18n?: I18n
+): ImportRow[] | Promise<ImportRow[]>;
+
+export declare const lightTheme: Theme;
+export declare const darkTheme: Theme;
+export declare const themes: Record<'light' | 'dark', Theme>;
+export declare function createTheme(overrides?: ThemeOverrides, base?: Theme): Theme;
+export declare function resolveTheme(theme?: ThemeInput | null): Theme;
+export declare function toCssVariables(theme: Theme): Record<string, string>;
+export declare function createStyles(theme?: Theme, direction?: 'ltr' | 'rtl'): Record<StyleSlot, React.CSSProperties>;
+export declare const ThemeProvider: React.FC<{ theme?: ThemeInput; children?: ReactNode }>;
+export declare function useTheme(theme?: ThemeInput | null): Theme;
+export declare function useCrudStyles(options?: {
+  theme?: ThemeInput;
+  customStyles?: CustomStyles;
+  direction?: 'ltr' | 'rtl';
+}): { theme: Theme; cssVariables: Record<string, string>; styles: Record<StyleSlot, React.CSSProperties> };
+
+export declare const DEFAULT_SHORTCUTS: Required<Shortcuts>;
+export declare function resolveShortcuts(shortcuts?: boolean | Shortcuts): Shortcuts;
+export declare function matchesShortcut(
+  event: Pick<KeyboardEvent, 'key'> & Partial<Pick<KeyboardEvent, 'ctrlKey' | 'altKey' | 'shiftKey' | 'metaKey'>>,
+  shortcut?: string | null
+): boolean;
+export declare function getNextCell(
+  event: Pick<KeyboardEvent, 'key'> & Partial<Pick<KeyboardEvent, 'ctrlKey'>>,
+  cell: GridCell,
+  size: { rows: number; cols: number },
+  direction?: 'ltr' | 'rtl'
+): GridCell | null;
+
+export declare const ACTIONS_COLUMN: '$actions';
+export declare const MIN_COLUMN_WIDTH: number;
+export declare function normalizeColumnState(state: Partial<ColumnState> | null | undefined, keys: string[]): ColumnState;
+export declare function moveColumn(state: ColumnState, fromKey: string, toKey: string): ColumnState;
+export declare function setColumnHidden(state: ColumnState, key: string, hidden: boolean): ColumnState;
+export declare function setColumnWidth(state: ColumnState, key: string, width: number, minWidth?: number): ColumnState;
+export declare function setColumnPinned(state: ColumnState, key: string, side?: ColumnPin | ''): ColumnState;
+export declare function getColumnLayout(
+  columns: Record<string, Column | null>,
+  state: ColumnState,
+  options?: { direction?: 'ltr' | 'rtl'; leadingWidth?: number }
+): { columns: ColumnLayoutEntry[]; leadingPinned: ColumnPin };
+
+export declare const TABLE_STATE_PARAMS: Record<keyof TableState, string>;
+export declare function loadTableState(key?: string, storage?: Storage): TableState;
+export declare function saveTableState(key: string | undefined, state: TableState, storage?: Storage): void;
+export declare function parseTableStateParams(search: string, prefix?: string): TableState;
+export declare function toTableStateParams(
+  state: TableState,
+  defaults?: TableState,
+  search?: string,
+  prefix?: string
+): string;
+
+export declare function createView(name: string, state: TableState): SavedView;
+export declare function createLocalViewStorage(key: string, storage?: Storage): ViewStorage;
+
+export declare const defaultMessages: Messages;
+export declare const defaultI18n: I18n;
+export declare function createI18n(options?: { locale?: string; messages?: Messages }): I18n;
+export declare function getDirection(locale?: string): 'ltr' | 'rtl';
+
+export declare function createRestAdapter<T = any>(options?: RestAdapterOptions): DataSourceAdapter<T>;
+export declare function createMemoryAdapter<T = any>(initialItems?: T[], options?: MemoryAdapterOptions): DataSourceAdapter<T>;
+export declare function useCrudResource<T = any>(
+  adapter: DataSourceAdapter<T> | null | undefined,
+  options?: { idKey?: RowKey; autoLoad?: boolean }
+): CrudResource<T>;
+
+export interface VirtualRowsOptions {
+  keys: Array<string | number>;
+  enabled?: boolean;
+  rowHeight?: number;
+  estimatedRowHeight?: number;
+  height?: number;
+  overscan?: number;
+}
+
+export interface VirtualRows {
+  containerRef: React.RefObject<HTMLElement>;
+  onScroll: (event: React.UIEvent<HTMLElement>) => void;
+  measureRow: (key: string | number) => (element: HTMLElement | null) => void;
+  scrollToIndex: (index: number) => void;
+  start: number;
+  end: number;
+  paddingTop: number;
+  paddingBottom: number;
+}
+
+export declare function useVirtualRows(options: VirtualRowsOptions): VirtualRows;
+
+export declare function useGenericCrud(options?: UseGenericCrudOptions): UseGenericCrudResult;
+
+export interface CrudComponentProps {
+  crud: UseGenericCrudResult;
+  styles?: Record<StyleSlot, React.CSSProperties>;
+}
+
+export declare const CrudForm: React.FC<CrudComponentProps & {
+  renderField?: (props: FieldRenderProps) => ReactNode | undefined;
+  AddButtonIcon?: React.ComponentType<{ size?: number }>;
+}>;
+export declare const CrudToolbar: React.FC<CrudComponentProps & { bulkActions?: BulkAction[]; children?: ReactNode }>;
+export declare const CrudSearchBar: React.FC<CrudComponentProps & { placeholder?: string }>;
+export declare const CrudTable: React.FC<CrudComponentProps & {
+  emptyMessage?: string;
+  loadingMessage?: string;
+  pageSizeOptions?: number[];
+}>;
+
+export interface ConfirmDialogProps {
+  title: ReactNode;
+  message: ReactNode;
+  confirmLabel?: string;
+  confirmText?: string | null;
+  onConfirm: () => void;
+  onCancel: () => void;
+  styles?: Record<StyleSlot, React.CSSProperties>;
+  i18n?: I18n;
+}
+
+export declare const ConfirmDialog: React.FC<ConfirmDialogProps>;
+
+declare const GenericCrudPage: React.ForwardRefExoticComponent<
+  GenericCrudPageProps & React.RefAttributes<GenericCrudPageHandle>
+>;
 
 export default GenericCrudPage; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * useCrudResource
+ *
+ * Manages a list of records backed by a data-source adapter
+ * (see dataSources.js). Handles loading, errors and refreshing, and keeps
+ * the local list in sync after create, update and remove calls.
+ *
+ * `error` holds the last load failure. Failed create, update and remove
+ * calls reject, so the caller can show the error where it happened.
+ *
+ * The adapter should be stable between renders (created outside the
+ * component or memoized), since a new adapter triggers a fresh load.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const readId = (record, idKey) => (typeof idKey === 'function' ? idKey(record) : record[idKey]);
+
+export default function useCrudResource(adapter, {
+  idKey = 'id',         // Field that identifies a record, or a function (record) => id
+  autoLoad = true       // Whether to call adapter.list() on mount
+} = {}) {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(Boolean(adapter && autoLoad));
+  const [error, setError] = useState(null);
+
+  // Ignore results from outdated list requests and unmounted components
+  const requestRef = useRef(0);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Load the records from the adapter
+  const refresh = useCallback(async () => {
+    if (!adapter) return;
+
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const items = await adapter.list();
+      if (mountedRef.current && requestId === requestRef.current) {
+        setData(Array.isArray(items) ? items : []);
+      }
+    } catch (err) {
+      if (mountedRef.current && requestId === requestRef.current) {
+        setError(err);
+      }
+    } finally {
+      if (mountedRef.current && requestId === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [adapter]);
+
+  useEffect(() => {
+    if (adapter && autoLoad) {
+      refresh();
+    }
+  }, [adapter, autoLoad, refresh]);
+
+  // Create a record and append it to the list
+  const create = useCallback(async (item) => {
+    const created = await adapter.create(item);
+    const record = created ?? item;
+    if (mountedRef.current) {
+      setData(prev => [...prev, record]);
+    }
+    return record;
+  }, [adapter]);
+
+  // Update a record and replace it in the list
+  const update = useCallback(async (id, item) => {
+    const updated = await adapter.update(id, item);
+    const record = updated ?? item;
+    if (mountedRef.current) {
+      setData(prev => prev.map(existing => (readId(existing, idKey) === id ? record : existing)));
+    }
+    return record;
+  }, [adapter, idKey]);
+
+  // Remove a record from the list
+  const remove = useCallback(async (id) => {
+    await adapter.remove(id);
+    if (mountedRef.current) {
+      setData(prev => prev.filter(existing => readId(existing, idKey) !== id));
+    }
+  }, [adapter, idKey]);
+
+  return {
+    data,
+    setData,
+    loading,
+    error,
+    refresh,
+    create: adapter?.create ? create : undefined,
+    update: adapter?.update ? update : undefined,
+    remove: adapter?.remove ? remove : undefined
+  };
+}
@@ -0,0 +1,1697 @@
+/**
+ * useGenericCrud.js
+ *
+ * The behaviour of GenericCrudPage without its markup: form state and
+ * validation, search, filters, sorting, pagination, selection, editing,
+ * delete confirmation, undo, column layout, saved views and grid keyboard
+ * navigation. It takes GenericCrudPage's props, except those that only
+ * change how the page looks, and returns the state, the handlers and prop
+ * getters that wire your own elements up:
+ *
+ *   const crud = useGenericCrud({ data, columns, formFields, onAdd, onDelete });
+ *
+ *   <form {...crud.getFormProps()}>
+ *     {crud.formFields.map(field => <input key={field.key} {...crud.getFieldProps(field)} />)}
+ *     <button type="submit">Add</button>
+ *   </form>
+ *   <input {...crud.getSearchInputProps({ placeholder: 'Search' })} />
+ *   {crud.pageData.map(item => (
+ *     <button key={crud.getRowId(item)} {...crud.getDeleteButtonProps(item)}>Delete</button>
+ *   ))}
+ *   {crud.confirmation && <ConfirmDialog {...crud.getConfirmDialogProps({ styles })} />}
+ *
+ * Prop getters accept extra props to pass through; the props a getter sets
+ * itself win. CrudForm, CrudSearchBar, CrudToolbar and CrudTable render the
+ * result the way GenericCrudPage does.
+ */
+
+import {
+  useState, useMemo, useCallback, useRef, useEffect, useLayoutEffect
+} from 'react';
+import { getNextSort, sortData } from './sorting.js';
+import { getPageCount, clampPage, paginate } from './pagination.js';
+import { getColumnFilter, getActiveFilters, applyFilters } from './filters.js';
+import {
+  parseSearchQuery,
+  matchesQuery,
+  getHighlightTerms,
+  createSearchIndex,
+  SearchQueryError
+} from './searchQuery.js';
+import { buildHighlightPattern } from './highlight.jsx';
+import {
+  getEmptyValue,
+  getInitialValues,
+  isEmptyValue,
+  toInputValue,
+  fromInputEvent
+} from './fieldValues.js';
+import { isThenable, validateSingleField, validateValues, getFieldErrors } from './validation.js';
+import { fromJsonSchema } from './jsonSchema.js';
+import { EXPORT_FORMATS, exportRows, toFileName, downloadFile } from './exporting.js';
+import useCrudResource from './useCrudResource.js';
+import useVirtualRows from './useVirtualRows.js';
+import useInstanceId from './useInstanceId.js';
+import { resolveShortcuts, matchesShortcut, isTextEntry, getNextCell } from './keyboard.js';
+import {
+  ACTIONS_COLUMN,
+  MIN_COLUMN_WIDTH,
+  normalizeColumnState,
+  moveColumn,
+  setColumnWidth,
+  getColumnLayout
+} from './columns.js';
+import {
+  loadTableState,
+  saveTableState,
+  parseTableStateParams,
+  toTableStateParams
+} from './tableState.js';
+import {
+  EMPTY_VIEW_DATA,
+  getViewState,
+  createView,
+  isSameViewState,
+  loadViews,
+  saveViews,
+  createLocalViewStorage
+} from './views.js';
+import { createI18n, defaultI18n } from './i18n.js';
+import { toRowIdGetter, findRowIdProblems, describeRowIdProblems, isDevelopment } from './rowIds.js';
+
+// Turn a rejection reason into a message for display
+const getErrorMessage = (err, i18n = defaultI18n) =>
+  (err && err.message) || (typeof err === 'string' && err) || i18n.t('genericError');
+
+// Apply pending optimistic operations on top of the current data
+const applyOptimisticOps = (data, ops, getRowId) => ops.reduce((items, op) => {
+  switch (op.type) {
+    case 'add':
+      return [...items, op.item];
+    case 'edit':
+      return items.map(item => (getRowId(item) === op.id ? op.item : item));
+    case 'delete':
+      return items.filter(item => getRowId(item) !== op.id);
+    case 'bulkDelete':
+      return items.filter(item => !op.ids.includes(getRowId(item)));
+    default:
+      return items;
+  }
+}, data);
+
+export default function useGenericCrud({
+  title,                  // Page title, naming exported files
+  data: dataProp = [],    // Array of items to display
+  rowKey = 'id',          // Field that identifies a row, or a function (item) => id
+  loading: loadingProp = false, // Boolean: is data loading
+  error: errorProp = null, // Error message to display
+  dataSource,             // Adapter { list, create, update, remove } that manages the data
+  columns: columnsProp = [], // Table columns [{ key, label, render, sortable, sortFn, filter }]
+  formFields: formFieldsProp = [], // Form fields [{ key, label, type, placeholder, required, options, validation, defaultValue }]
+  schema,                 // JSON Schema object; generates columns and form fields, with the props above as overrides
+  validate,               // Function: form-level validation (values) => { [fieldKey]: message }, may be async
+  validateOn = 'submit',  // When fields are validated: 'submit', 'blur' or 'change'
+  onAdd: onAddProp,       // Function: called when adding a new item
+  onEdit: onEditProp,     // Function: called with (updatedItem, originalItem) when an edit is saved
+  onDelete: onDeleteProp, // Function: called when deleting an item
+  onRefresh: onRefreshProp, // Function: called when refreshing data
+  renderActions,          // Function: custom action buttons per row
+  locale,                 // BCP 47 locale for plurals, numbers and dates, e.g. 'de' or 'ar-EG'
+  messages,               // Overrides of the built-in messages, keyed by message name
+  dir,                    // Text direction 'ltr' or 'rtl' (defaults to the locale's direction)
+  confirmDelete = true,   // Confirm before deleting: boolean, or (item) => message to show
+  typeToConfirm = false,  // Make the user type the record's name to delete it: boolean, or (item) => text to type
+  searchDebounce = 250,   // Delay in ms before the search is applied
+  highlightMatches = true, // Whether to highlight search matches in cells
+  optimistic = false,     // Show adds, edits and deletes before the handler's promise resolves
+  undoable = false,       // Apply deletes and edits right away and call the handler after an undo period
+  undoTimeout = 5000,     // Time in ms during which an undoable delete or edit can be undone
+  selectable = false,     // Show a checkbox column for selecting rows
+  selectedIds,            // Controlled array of selected row ids
+  onSelectionChange,      // Function: called with the next array of selected ids
+  onBulkDelete,           // Function: called with the selected ids from the selection toolbar
+  filters,                // Controlled column filter values { [columnKey]: value }
+  defaultFilters = {},    // Initial column filter values when uncontrolled
+  onFiltersChange,        // Function: called with the next filter values
+  sort,                   // Controlled sort state [{ key, direction: 'asc' | 'desc' }]
+  defaultSort = [],       // Initial sort state when uncontrolled
+  onSortChange,           // Function: called with the next sort state
+  pagination = false,     // Pagination mode: false, true/'client' (slice locally) or 'server'
+  page,                   // Controlled current page (1-based)
+  onPageChange,           // Function: called with (page, pageSize) when the page changes
+  pageSize,               // Controlled page size
+  defaultPageSize = 10,   // Initial page size when uncontrolled
+  onPageSizeChange,       // Function: called with the new page size
+  totalCount,             // Total number of records on the server (server mode)
+  virtualized = false,    // Render only the rows scrolled into view, for very large datasets
+  rowHeight,              // Fixed row height in px for virtualized mode (rows are measured otherwise)
+  estimatedRowHeight = 49, // Assumed height in px of rows not yet measured in virtualized mode
+  tableHeight = 600,      // Maximum height in px of the scrolling table in virtualized mode
+  overscan = 5,           // Rows rendered beyond each edge of the visible area in virtualized mode
+  exportable = false,     // Show the Export toolbar action
+  exportFormats = ['csv', 'tsv', 'json'], // Formats offered by the Export action
+  exportFileName,         // Base name of exported files (defaults to the title)
+  importable = false,     // Show the Import toolbar action
+  onImport,               // Function: called with the valid imported items (falls back to onAdd per item)
+  shortcuts = true,       // Page shortcuts { search, add, cancel } overriding the defaults, or false for none
+  manageColumns = false,  // Let users hide, reorder, resize and pin columns
+  columnState,            // Controlled column layout { order, hidden, widths, pinned }
+  defaultColumnState,     // Initial column layout when uncontrolled
+  onColumnStateChange,    // Function: called with the next column layout
+  stateKey,               // localStorage key to save search, sort, page, filters and column layout under
+  syncWithUrl = false,    // Keep the same state in the query string: true, or a prefix for the parameter names
+  savedViews = false,     // Show the Views dropdown, where users save and switch between named views
+  views = [],             // Predefined views [{ id, name, search, filters, sort, columns }]
+  viewStorage: viewStorageProp, // Storage { load, save } for the user's views (defaults to localStorage)
+}) {
+  // Messages and formatting for the locale
+  const i18n = useMemo(() => createI18n({ locale, messages }), [locale, messages]);
+  const { t } = i18n;
+  const direction = dir || i18n.direction;
+
+  // Columns and form fields, generated from the schema when one is given
+  const { columns, formFields } = useMemo(() => (
+    schema
+      ? fromJsonSchema(schema, { columns: columnsProp, formFields: formFieldsProp }, i18n)
+      : { columns: columnsProp, formFields: formFieldsProp }
+  ), [schema, columnsProp, formFieldsProp, i18n]);
+
+  // The user's saved views { views, defaultViewId }, or null while an async storage loads
+  const viewsEnabled = savedViews || views.length > 0;
+  const viewStorage = useMemo(
+    () => viewStorageProp || createLocalViewStorage(stateKey ? `${stateKey}:views` : 'generic-crud:views'),
+    [viewStorageProp, stateKey]
+  );
+  const [viewData, setViewData] = useState(() => {
+    if (!savedViews) return EMPTY_VIEW_DATA;
+    const loaded = loadViews(viewStorage);
+    return isThenable(loaded) ? null : loaded;
+  });
+  const allViews = useMemo(
+    () => [...views, ...(viewData ? viewData.views : [])],
+    [views, viewData]
+  );
+  const defaultViewId = viewData ? viewData.defaultViewId : null;
+
+  // Table state saved under `stateKey` and read from the URL, which wins where both have a value.
+  // Without either, the table opens in the default view.
+  const urlPrefix = typeof syncWithUrl === 'string' ? syncWithUrl : '';
+  const [restoredState] = useState(() => {
+    const restored = {
+      ...loadTableState(stateKey),
+      ...(syncWithUrl && typeof window !== 'undefined'
+        ? parseTableStateParams(window.location.search, urlPrefix)
+        : {})
+    };
+    const defaultView = allViews.find(view => view.id === defaultViewId);
+    return Object.keys(restored).length === 0 && defaultView ? getViewState(defaultView) : restored;
+  });
+
+  const [formState, setFormState] = useState(() => getInitialValues(formFields));
+  const [searchInput, setSearchInput] = useState(restoredState.search ?? '');
+  const [search, setSearch] = useState(restoredState.search ?? '');
+  const [formErrors, setFormErrors] = useState({});
+  const [validatingFields, setValidatingFields] = useState({});
+  // Latest blur/change validation run per field, to ignore outdated async results
+  const validationRunsRef = useRef({});
+  const [editingItem, setEditingItem] = useState(null);
+  const [internalSort, setInternalSort] = useState(restoredState.sort ?? defaultSort);
+  const [submitting, setSubmitting] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [pendingRows, setPendingRows] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+  const [optimisticOps, setOptimisticOps] = useState([]);
+  const optimisticIdRef = useRef(0);
+  // Undoable operations waiting for their undo period to end, by opId: { timer, commit }
+  const pendingUndoRef = useRef(new Map());
+  const [undoToasts, setUndoToasts] = useState([]);
+  const [internalSelection, setInternalSelection] = useState([]);
+  const [bulkPending, setBulkPending] = useState(false);
+  const [internalFilters, setInternalFilters] = useState(restoredState.filters ?? defaultFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [exportFormat, setExportFormat] = useState(exportFormats[0] || 'csv');
+  const [exportScope, setExportScope] = useState('all');
+  const [showImport, setShowImport] = useState(false);
+  const [showColumns, setShowColumns] = useState(false);
+  const [showViews, setShowViews] = useState(false);
+  const [viewName, setViewName] = useState('');
+  // View being renamed { id, name }
+  const [renamingView, setRenamingView] = useState(null);
+  const [internalColumnState, setInternalColumnState] = useState(restoredState.columns ?? defaultColumnState);
+  // Column being dragged to a new place, and the live width of a column being resized
+  const [draggedColumn, setDraggedColumn] = useState(null);
+  const [resizing, setResizing] = useState(null);
+  // Open confirmation dialog { title, message, confirmText, resolve }
+  const [confirmation, setConfirmation] = useState(null);
+
+  // Active grid cell: its row's key (null for the header), with the row and column index as a fallback
+  const [activeCell, setActiveCell] = useState({ rowKey: undefined, row: 1, col: 0 });
+  const tableRef = useRef(null);
+  const formRef = useRef(null);
+  const searchInputRef = useRef(null);
+
+  // Ids linking the toolbar buttons, panels and hints, unique to this table
+  const instanceId = useInstanceId('generic-crud');
+  const ids = useMemo(() => ({
+    searchHint: `${instanceId}-search-hint`,
+    filters: `${instanceId}-filters`,
+    columns: `${instanceId}-columns`,
+    views: `${instanceId}-views`,
+    export: `${instanceId}-export`,
+    import: `${instanceId}-import`,
+    undo: `${instanceId}-undo`,
+    // A form field's control; its label and error add `-label` and `-error`
+    field: (key) => `${instanceId}-field-${key}`
+  }), [instanceId]);
+  // Grid cell that last had focus, to move focus on when its row is removed
+  const focusedCellRef = useRef(null);
+  const focusCellPendingRef = useRef(false);
+  // Whether the current edit was started from the grid, to return focus there afterwards
+  const editFromGridRef = useRef(false);
+
+  const [internalPage, setInternalPage] = useState(restoredState.page ?? 1);
+  const [internalPageSize, setInternalPageSize] = useState(restoredState.pageSize ?? defaultPageSize);
+
+  // Identity of a row. Rows added optimistically have a temporary id until their handler settles.
+  const readRowId = useMemo(() => toRowIdGetter(rowKey), [rowKey]);
+  const optimisticRowIdsRef = useRef(new WeakMap());
+  const getRowId = useCallback((item) => (
+    optimisticRowIdsRef.current.has(item) ? optimisticRowIdsRef.current.get(item) : readRowId(item)
+  ), [readRowId]);
+
+  // Name of a record in labels and confirmations
+  const getItemName = useCallback((item) => String(item.name || getRowId(item)), [getRowId]);
+
+  // With a data source the records and handlers come from the adapter
+  const resource = useCrudResource(dataSource, { idKey: rowKey });
+  const data = dataSource ? resource.data : dataProp;
+  const loading = loadingProp || (dataSource ? resource.loading : false);
+  const error = errorProp || (dataSource && resource.error ? resource.error.message : null);
+
+  const { onAdd, onEdit, onDelete, onRefresh } = useMemo(() => {
+    if (!dataSource) {
+      return {
+        onAdd: onAddProp,
+        onEdit: onEditProp,
+        onDelete: onDeleteProp,
+        onRefresh: onRefreshProp
+      };
+    }
+
+    return {
+      onAdd: resource.create,
+      onEdit: resource.update && ((updatedItem, originalItem = updatedItem) =>
+        resource.update(getRowId(originalItem), updatedItem)),
+      onDelete: resource.remove,
+      onRefresh: resource.refresh
+    };
+  }, [
+    dataSource, onAddProp, onEditProp, onDeleteProp, onRefreshProp, getRowId,
+    resource.create, resource.update, resource.remove, resource.refresh
+  ]);
+
+  const isSortControlled = sort !== undefined;
+  const activeSort = isSortControlled ? sort : internalSort;
+
+  const formDisabled = loading || submitting;
+
+  // Form values for add mode
+  const initialValues = useMemo(() => getInitialValues(formFields), [formFields]);
+
+  const currentFilters = filters ?? internalFilters;
+
+  const selection = selectedIds ?? internalSelection;
+  const selectionSet = useMemo(() => new Set(selection), [selection]);
+
+  // Latest selection, for handlers that resume after awaiting
+  const selectionRef = useRef(selection);
+  selectionRef.current = selection;
+
+  const paginationMode = pagination === 'server' ? 'server' : pagination ? 'client' : null;
+  const currentPageSize = pageSize ?? internalPageSize;
+
+  // Data with pending optimistic changes applied
+  const displayData = useMemo(
+    () => applyOptimisticOps(data, optimisticOps, getRowId),
+    [data, optimisticOps, getRowId]
+  );
+
+  // Rows that cannot be told apart break keys, selection and row state, so development builds say so
+  const rowIdWarningRef = useRef(null);
+  useEffect(() => {
+    if (!isDevelopment()) return;
+    const warning = describeRowIdProblems(findRowIdProblems(displayData, getRowId));
+    if (warning && warning !== rowIdWarningRef.current) {
+      console.warn(warning);
+    }
+    rowIdWarningRef.current = warning;
+  }, [displayData, getRowId]);
+
+  // Columns that define a filter, with their resolved definitions
+  const filterableColumns = useMemo(
+    () => columns
+      .map(column => ({ column, definition: getColumnFilter(column, formFields) }))
+      .filter(({ definition }) => definition),
+    [columns, formFields]
+  );
+
+  const activeFilters = useMemo(
+    () => getActiveFilters(columns, currentFilters, formFields),
+    [columns, currentFilters, formFields]
+  );
+
+  // Parse the search query, keeping the error message for invalid queries
+  const searchQuery = useMemo(() => {
+    if (!search.trim()) return { groups: [], error: null };
+    try {
+      return { groups: parseSearchQuery(search, columns, i18n), error: null };
+    } catch (err) {
+      if (!(err instanceof SearchQueryError)) throw err;
+      return { groups: null, error: err.message };
+    }
+  }, [search, columns, i18n]);
+
+  // Lowercase cell text per item, computed once per item rather than per keystroke
+  const getSearchText = useMemo(() => createSearchIndex(columns, i18n), [columns, i18n]);
+
+  // Filter data based on search term and column filters
+  const filteredData = useMemo(() => {
+    let searched = displayData;
+    if (searchQuery.error) {
+      // Fall back to a plain substring search while the query is invalid
+      const needle = search.toLowerCase();
+      searched = displayData.filter(item => {
+        const text = getSearchText(item);
+        return columns.some(col => text[col.key].includes(needle));
+      });
+    } else if (searchQuery.groups.length > 0) {
+      searched = displayData.filter(item =>
+        matchesQuery(item, searchQuery.groups, columns, getSearchText(item), i18n)
+      );
+    }
+
+    return applyFilters(searched, activeFilters);
+  }, [displayData, search, searchQuery, columns, activeFilters, getSearchText, i18n]);
+
+  // Highlight pattern for each column
+  const highlightPatterns = useMemo(() => {
+    if (!highlightMatches || !search.trim()) return {};
+
+    const terms = searchQuery.error ? { '*': [search.trim()] } : getHighlightTerms(searchQuery.groups);
+    const patterns = {};
+    columns.forEach(col => {
+      if (col.highlight === false) return;
+      patterns[col.key] = buildHighlightPattern([...(terms['*'] || []), ...(terms[col.key] || [])]);
+    });
+    return patterns;
+  }, [highlightMatches, search, searchQuery, columns]);
+
+  // Sort the filtered data by the active sort keys
+  const sortedData = useMemo(
+    () => sortData(filteredData, activeSort, columns, i18n),
+    [filteredData, activeSort, columns, i18n]
+  );
+
+  // In server mode `data` already holds a single page
+  const totalItems = paginationMode === 'server'
+    ? (totalCount ?? displayData.length)
+    : sortedData.length;
+  const pageCount = getPageCount(totalItems, currentPageSize);
+  const currentPage = clampPage(page ?? internalPage, pageCount);
+
+  // Rows rendered in the table body
+  const pageData = useMemo(
+    () => paginationMode === 'client'
+      ? paginate(sortedData, currentPage, currentPageSize)
+      : sortedData,
+    [paginationMode, sortedData, currentPage, currentPageSize]
+  );
+
+  // Window the rendered rows in virtualized mode
+  const rowKeys = useMemo(() => pageData.map(getRowId), [pageData, getRowId]);
+  const virtualRows = useVirtualRows({
+    keys: rowKeys,
+    enabled: virtualized,
+    rowHeight,
+    estimatedRowHeight,
+    height: tableHeight,
+    overscan
+  });
+  const visibleRows = virtualized ? pageData.slice(virtualRows.start, virtualRows.end) : pageData;
+
+  // Handle navigation to another page
+  const handlePageChange = useCallback((nextPage, nextPageSize = currentPageSize) => {
+    if (page === undefined) {
+      setInternalPage(nextPage);
+    }
+    onPageChange && onPageChange(nextPage, nextPageSize);
+  }, [page, currentPageSize, onPageChange]);
+
+  // Handle a new page size, starting again from the first page
+  const handlePageSizeChange = useCallback((nextPageSize) => {
+    if (pageSize === undefined) {
+      setInternalPageSize(nextPageSize);
+    }
+    onPageSizeChange && onPageSizeChange(nextPageSize);
+    handlePageChange(1, nextPageSize);
+  }, [pageSize, onPageSizeChange, handlePageChange]);
+
+  // Apply a search, returning to the first page
+  const applySearch = useCallback((value) => {
+    setSearch(value);
+    if (paginationMode && currentPage !== 1) {
+      handlePageChange(1);
+    }
+  }, [paginationMode, currentPage, handlePageChange]);
+
+  // Handle search input, applying it at once when there is no debounce
+  const handleSearchChange = useCallback((value) => {
+    setSearchInput(value);
+    if (searchDebounce <= 0) {
+      applySearch(value);
+    }
+  }, [searchDebounce, applySearch]);
+
+  // Apply the search once typing pauses
+  useEffect(() => {
+    if (searchInput === search || searchDebounce <= 0) return undefined;
+    const timer = setTimeout(() => applySearch(searchInput), searchDebounce);
+    return () => clearTimeout(timer);
+  }, [searchInput, search, searchDebounce, applySearch]);
+
+  // Selected rows that are currently loaded
+  const selectedItems = useMemo(
+    () => displayData.filter(item => selectionSet.has(getRowId(item))),
+    [displayData, selectionSet, getRowId]
+  );
+
+  const allFilteredSelected = filteredData.length > 0
+    && filteredData.every(item => selectionSet.has(getRowId(item)));
+  const someFilteredSelected = filteredData.some(item => selectionSet.has(getRowId(item)));
+
+  // Apply a new selection
+  const updateSelection = useCallback((nextSelection) => {
+    if (selectedIds === undefined) {
+      setInternalSelection(nextSelection);
+    }
+    onSelectionChange && onSelectionChange(nextSelection);
+  }, [selectedIds, onSelectionChange]);
+
+  // Drop a deleted row from the selection
+  const deselectRow = useCallback((id) => {
+    const current = selectionRef.current;
+    if (current.includes(id)) {
+      updateSelection(current.filter(selectedId => selectedId !== id));
+    }
+  }, [updateSelection]);
+
+  // Toggle a single row
+  const handleToggleRow = useCallback((id) => {
+    updateSelection(selection.includes(id)
+      ? selection.filter(selectedId => selectedId !== id)
+      : [...selection, id]);
+  }, [selection, updateSelection]);
+
+  // Select or deselect every row matching the current search,
+  // leaving rows hidden by the search untouched
+  const handleToggleAll = useCallback(() => {
+    const filteredIds = filteredData.map(getRowId);
+    if (allFilteredSelected) {
+      const filteredSet = new Set(filteredIds);
+      updateSelection(selection.filter(id => !filteredSet.has(id)));
+    } else {
+      updateSelection([...selection, ...filteredIds.filter(id => !selectionSet.has(id))]);
+    }
+  }, [filteredData, selection, selectionSet, allFilteredSelected, updateSelection, getRowId]);
+
+  // Apply new column filter values, returning to the first page
+  const updateFilters = useCallback((nextFilters) => {
+    if (filters === undefined) {
+      setInternalFilters(nextFilters);
+    }
+    onFiltersChange && onFiltersChange(nextFilters);
+    if (paginationMode && currentPage !== 1) {
+      handlePageChange(1);
+    }
+  }, [filters, onFiltersChange, paginationMode, currentPage, handlePageChange]);
+
+  // Handle a change to a single column filter
+  const handleFilterChange = useCallback((key, value) => {
+    const { [key]: _, ...rest } = currentFilters;
+    updateFilters(value === undefined ? rest : { ...rest, [key]: value });
+  }, [currentFilters, updateFilters]);
+
+  // Apply a new sort state
+  const updateSort = useCallback((nextSort) => {
+    if (!isSortControlled) {
+      setInternalSort(nextSort);
+    }
+    onSortChange && onSortChange(nextSort);
+  }, [isSortControlled, onSortChange]);
+
+  // Handle a click on a sortable column header
+  const handleSort = useCallback((key, multi) => {
+    updateSort(getNextSort(activeSort, key, multi));
+  }, [activeSort, updateSort]);
+
+  // Show validation or server errors, sending errors for unknown fields to the banner.
+  // Returns whether there were no errors.
+  const showFormErrors = useCallback((errors, message = null) => {
+    const fieldErrors = {};
+    const otherMessages = [];
+    Object.entries(errors).forEach(([key, error]) => {
+      if (formFields.some(field => field.key === key)) {
+        fieldErrors[key] = error;
+      } else {
+        otherMessages.push(error);
+      }
+    });
+
+    setFormErrors(fieldErrors);
+    setActionError([message, ...otherMessages].filter(Boolean).join(' ') || null);
+    return Object.keys(errors).length === 0;
+  }, [formFields]);
+
+  // Show a failed add or save, mapping `fieldErrors` onto the matching fields
+  const showSubmitError = useCallback((err) => {
+    const fieldErrors = getFieldErrors(err);
+    if (fieldErrors) {
+      showFormErrors(fieldErrors, err.message);
+    } else {
+      setActionError(getErrorMessage(err, i18n));
+    }
+  }, [showFormErrors, i18n]);
+
+  // Validate a single field on blur or change, tracking async validators as pending
+  const runFieldValidation = useCallback((field, values) => {
+    const run = (validationRunsRef.current[field.key] || 0) + 1;
+    validationRunsRef.current[field.key] = run;
+    const isLatest = () => validationRunsRef.current[field.key] === run;
+    const showResult = (message) => {
+      if (isLatest()) {
+        setFormErrors(prev => ({ ...prev, [field.key]: message }));
+      }
+    };
+    const setPending = (pending) => {
+      setValidatingFields(prev => {
+        const { [field.key]: _, ...rest } = prev;
+        return pending ? { ...rest, [field.key]: true } : rest;
+      });
+    };
+
+    const result = validateSingleField(field, values, validate, i18n);
+    if (!isThenable(result)) {
+      setPending(false);
+      showResult(result);
+      return;
+    }
+
+    setPending(true);
+    result
+      .then(showResult, (err) => showResult(getErrorMessage(err, i18n)))
+      .finally(() => isLatest() && setPending(false));
+  }, [validate, i18n]);
+
+  // Drop the results of pending blur and change validation
+  const cancelFieldValidation = useCallback(() => {
+    Object.keys(validationRunsRef.current).forEach(key => {
+      validationRunsRef.current[key] += 1;
+    });
+    setValidatingFields({});
+  }, []);
+
+  // Clear all form errors, e.g. when the form is reset
+  const clearFormErrors = useCallback(() => {
+    cancelFieldValidation();
+    setFormErrors({});
+  }, [cancelFieldValidation]);
+
+  // Validate the entire form. Returns whether it is valid, or a promise of that
+  // when a validator is async.
+  const validateForm = useCallback(() => {
+    // Submit-time results supersede pending blur and change validation
+    cancelFieldValidation();
+
+    const result = validateValues(formFields, formState, validate, i18n);
+    if (!isThenable(result)) {
+      return showFormErrors(result);
+    }
+
+    setSubmitting(true);
+    return result
+      .then(errors => showFormErrors(errors), (err) => {
+        setActionError(getErrorMessage(err, i18n));
+        return false;
+      })
+      .finally(() => setSubmitting(false));
+  }, [formState, formFields, validate, showFormErrors, cancelFieldValidation, i18n]);
+
+  // Handle form field change
+  const handleFieldChange = useCallback((field, value) => {
+    const nextValues = { ...formState, [field.key]: value };
+    setFormState(prev => ({ ...prev, [field.key]: value }));
+
+    if ((field.validateOn || validateOn) === 'change') {
+      runFieldValidation(field, nextValues);
+    } else if (formErrors[field.key]) {
+      // Clear error when user starts typing
+      setFormErrors(prev => ({ ...prev, [field.key]: null }));
+    }
+  }, [formState, formErrors, validateOn, runFieldValidation]);
+
+  // Handle a field losing focus
+  const handleFieldBlur = useCallback((field) => {
+    const mode = field.validateOn || validateOn;
+    if (mode === 'blur' || mode === 'change') {
+      runFieldValidation(field, formState);
+    }
+  }, [formState, validateOn, runFieldValidation]);
+
+  // Call the handler of an operation already applied on screen, dropping the operation once it settles
+  const settleOptimistic = useCallback(async (op, call, onError) => {
+    const hasRow = op.id !== undefined;
+    if (hasRow) {
+      setPendingRows(prev => ({ ...prev, [op.id]: true }));
+      setRowErrors(prev => ({ ...prev, [op.id]: null }));
+    }
+
+    try {
+      await call();
+      return true;
+    } catch (err) {
+      onError(err);
+      return false;
+    } finally {
+      setOptimisticOps(prev => prev.filter(pending => pending.opId !== op.opId));
+      if (hasRow) {
+        setPendingRows(prev => {
+          const { [op.id]: _, ...rest } = prev;
+          return rest;
+        });
+      }
+    }
+  }, []);
+
+  // Show an operation in the table until its handler settles, rolling back on failure.
+  // Resolves to whether the handler succeeded.
+  const runOptimistic = useCallback((op, call, onError) => {
+    const opId = ++optimisticIdRef.current;
+    setOptimisticOps(prev => [...prev, { ...op, opId }]);
+    return settleOptimistic({ ...op, opId }, call, onError);
+  }, [settleOptimistic]);
+
+  // End the undo period of an operation now and call its handler
+  const commitUndoable = useCallback((opId) => {
+    const pending = pendingUndoRef.current.get(opId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingUndoRef.current.delete(opId);
+    setUndoToasts(prev => prev.filter(toast => toast.opId !== opId));
+    pending.commit();
+  }, []);
+
+  // Apply an operation on screen and call its handler once the undo period ends
+  const runUndoable = useCallback((op, message, call, onError, onSuccess) => {
+    const opId = ++optimisticIdRef.current;
+    setOptimisticOps(prev => [...prev, { ...op, opId }]);
+    setUndoToasts(prev => [...prev, { opId, message }]);
+    pendingUndoRef.current.set(opId, {
+      timer: setTimeout(() => commitUndoable(opId), undoTimeout),
+      commit: async () => {
+        const done = await settleOptimistic({ ...op, opId }, call, onError);
+        if (done && onSuccess) onSuccess();
+      }
+    });
+  }, [undoTimeout, commitUndoable, settleOptimistic]);
+
+  // Drop an operation during its undo period, without calling its handler
+  const handleUndo = useCallback((opId) => {
+    const pending = pendingUndoRef.current.get(opId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingUndoRef.current.delete(opId);
+    setUndoToasts(prev => prev.filter(toast => toast.opId !== opId));
+    setOptimisticOps(prev => prev.filter(op => op.opId !== opId));
+  }, []);
+
+  // Operations still in their undo period are carried out when the page unmounts
+  useEffect(() => {
+    const pendingUndo = pendingUndoRef.current;
+    return () => {
+      pendingUndo.forEach(pending => {
+        clearTimeout(pending.timer);
+        pending.commit();
+      });
+      pendingUndo.clear();
+    };
+  }, []);
+
+  // Handle adding a new item, keeping the form contents if the handler fails
+  const handleAdd = useCallback(async () => {
+    let valid = validateForm();
+    if (isThenable(valid)) valid = await valid;
+    if (!valid) return;
+
+    if (optimistic) {
+      const values = formState;
+      const id = `optimistic-${optimisticIdRef.current + 1}`;
+      const item = { ...values };
+      optimisticRowIdsRef.current.set(item, id);
+      setFormState(initialValues);
+      clearFormErrors();
+      setActionError(null);
+      await runOptimistic(
+        { type: 'add', id, item },
+        () => onAdd && onAdd(values),
+        (err) => {
+          // Bring the values back unless the user has started a new entry
+          setFormState(current => {
+            const untouched = Object.keys(initialValues).every(key =>
+              current[key] === initialValues[key]
+              || (isEmptyValue(current[key]) && isEmptyValue(initialValues[key]))
+            );
+            return untouched ? values : current;
+          });
+          showSubmitError(err);
+        }
+      );
+      return;
+    }
+    
+    setSubmitting(true);
+    setActionError(null);
+    try {
+      onAdd && await onAdd(formState);
+      setFormState(initialValues);
+      clearFormErrors();
+    } catch (err) {
+      showSubmitError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [formState, initialValues, validateForm, onAdd, optimistic, runOptimistic, showSubmitError, clearFormErrors]);
+
+  // Load an item into the form and switch to edit mode
+  const handleEdit = useCallback(async (item) => {
+    // Without form fields there is nothing to edit in place
+    if (formFields.length === 0) {
+      setActionError(null);
+      try {
+        onEdit && await onEdit(item);
+      } catch (err) {
+        setActionError(getErrorMessage(err, i18n));
+      }
+      return;
+    }
+
+    const values = {};
+    formFields.forEach(field => {
+      values[field.key] = item[field.key] ?? getEmptyValue(field);
+    });
+
+    setEditingItem(item);
+    setFormState(values);
+    clearFormErrors();
+    setActionError(null);
+  }, [formFields, onEdit, clearFormErrors, i18n]);
+
+  // Leave edit mode and return to add mode
+  const handleCancelEdit = useCallback(() => {
+    setEditingItem(null);
+    setFormState(initialValues);
+    clearFormErrors();
+    setActionError(null);
+  }, [initialValues, clearFormErrors]);
+
+  // Handle saving the item being edited, staying in edit mode if the handler fails
+  const handleSave = useCallback(async () => {
+    let valid = validateForm();
+    if (isThenable(valid)) valid = await valid;
+    if (!valid) return;
+
+    if (optimistic || undoable) {
+      const original = editingItem;
+      const updated = { ...editingItem, ...formState };
+      setEditingItem(null);
+      setFormState(initialValues);
+      clearFormErrors();
+      setActionError(null);
+      const id = getRowId(original);
+      const op = { type: 'edit', id, item: updated };
+      const call = () => onEdit && onEdit(updated, original);
+      const onError = (err) => setRowErrors(prev => ({ ...prev, [id]: getErrorMessage(err, i18n) }));
+      if (undoable) {
+        runUndoable(op, t('undoEdited', { name: getItemName(original) }), call, onError);
+      } else {
+        await runOptimistic(op, call, onError);
+      }
+      return;
+    }
+
+    setSubmitting(true);
+    setActionError(null);
+    try {
+      onEdit && await onEdit({ ...editingItem, ...formState }, editingItem);
+      setEditingItem(null);
+      setFormState(initialValues);
+      clearFormErrors();
+    } catch (err) {
+      showSubmitError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [editingItem, formState, initialValues, validateForm, onEdit, optimistic, undoable, runOptimistic, runUndoable, showSubmitError, clearFormErrors, getRowId, getItemName, t, i18n]);
+
+  // Open the confirmation dialog; resolves to whether the user confirmed
+  const requestConfirmation = useCallback((options) => new Promise(resolve => {
+    setConfirmation({ ...options, resolve });
+  }), []);
+
+  const closeConfirmation = useCallback((confirmed) => {
+    confirmation.resolve(confirmed);
+    setConfirmation(null);
+  }, [confirmation]);
+
+  // Handle deleting an item, showing any failure next to its row
+  const handleDelete = useCallback(async (item) => {
+    const id = getRowId(item);
+    // Undoable deletes only ask when the user has to type the record's name
+    const confirmMessage = undoable
+      ? null
+      : typeof confirmDelete === 'function'
+        ? confirmDelete(item)
+        : confirmDelete && t('confirmDelete', { name: getItemName(item) });
+
+    if (confirmMessage || typeToConfirm) {
+      const confirmText = typeof typeToConfirm === 'function'
+        ? String(typeToConfirm(item))
+        : typeToConfirm ? getItemName(item) : null;
+      const confirmed = await requestConfirmation({
+        message: confirmMessage || t('confirmDelete', { name: getItemName(item) }),
+        confirmText
+      });
+      if (!confirmed) return;
+    }
+
+    if (undoable) {
+      runUndoable(
+        { type: 'delete', id },
+        t('undoDeleted', { name: getItemName(item) }),
+        () => onDelete && onDelete(id),
+        (err) => setRowErrors(prev => ({ ...prev, [id]: getErrorMessage(err, i18n) })),
+        () => deselectRow(id)
+      );
+      return;
+    }
+
+    if (optimistic) {
+      const deleted = await runOptimistic(
+        { type: 'delete', id },
+        () => onDelete && onDelete(id),
+        (err) => setRowErrors(prev => ({ ...prev, [id]: getErrorMessage(err, i18n) }))
+      );
+      if (deleted) deselectRow(id);
+      return;
+    }
+    
+    setPendingRows(prev => ({ ...prev, [id]: true }));
+    setRowErrors(prev => ({ ...prev, [id]: null }));
+    try {
+      onDelete && await onDelete(id);
+      deselectRow(id);
+    } catch (err) {
+      setRowErrors(prev => ({ ...prev, [id]: getErrorMessage(err, i18n) }));
+    } finally {
+      setPendingRows(prev => {
+        const { [id]: _, ...rest } = prev;
+        return rest;
+      });
+    }
+  }, [onDelete, confirmDelete, typeToConfirm, requestConfirmation, undoable, runUndoable, optimistic, runOptimistic, deselectRow, getRowId, getItemName, t, i18n]);
+
+  // Handle deleting all selected rows
+  const handleBulkDelete = useCallback(async () => {
+    const ids = selection;
+    if (ids.length === 0) return;
+
+    if (undoable) {
+      updateSelection([]);
+      setActionError(null);
+      runUndoable(
+        { type: 'bulkDelete', ids },
+        t('undoDeletedMany', { count: ids.length }),
+        () => onBulkDelete(ids),
+        (err) => setActionError(getErrorMessage(err, i18n))
+      );
+      return;
+    }
+
+    if (confirmDelete) {
+      const confirmed = await requestConfirmation({
+        message: t('confirmBulkDelete', { count: ids.length })
+      });
+      if (!confirmed) return;
+    }
+
+    setBulkPending(true);
+    setActionError(null);
+    try {
+      await onBulkDelete(ids);
+      updateSelection([]);
+    } catch (err) {
+      setActionError(getErrorMessage(err, i18n));
+    } finally {
+      setBulkPending(false);
+    }
+  }, [selection, confirmDelete, requestConfirmation, undoable, runUndoable, onBulkDelete, updateSelection, t, i18n]);
+
+  // Handle a custom bulk action
+  const handleBulkAction = useCallback(async (action) => {
+    setBulkPending(true);
+    setActionError(null);
+    try {
+      await action.onClick(selectedItems);
+    } catch (err) {
+      setActionError(getErrorMessage(err, i18n));
+    } finally {
+      setBulkPending(false);
+    }
+  }, [selectedItems, i18n]);
+
+  // Visible columns in display order, with the user's widths and pins
+  const hasActions = Boolean(onEdit || onDelete || renderActions);
+  const columnsByKey = useMemo(() => {
+    const byKey = Object.fromEntries(columns.map(col => [col.key, col]));
+    if (hasActions) byKey[ACTIONS_COLUMN] = null;
+    return byKey;
+  }, [columns, hasActions]);
+  const currentColumnState = useMemo(
+    () => normalizeColumnState(columnState !== undefined ? columnState : internalColumnState, Object.keys(columnsByKey)),
+    [columnState, internalColumnState, columnsByKey]
+  );
+  const columnLayout = useMemo(() => getColumnLayout(
+    columnsByKey,
+    resizing ? setColumnWidth(currentColumnState, resizing.key, resizing.width, resizing.minWidth) : currentColumnState,
+    { direction, leadingWidth: selectable ? 40 : 0 }
+  ), [columnsByKey, currentColumnState, resizing, direction, selectable]);
+  const layoutColumns = columnLayout.columns;
+  const columnOffset = selectable ? 1 : 0;
+  const columnCount = layoutColumns.length + columnOffset;
+
+  // Columns as the table shows them, leaving out hidden columns and the actions
+  const exportColumns = useMemo(
+    () => layoutColumns.filter(entry => entry.key !== ACTIONS_COLUMN).map(entry => entry.column),
+    [layoutColumns]
+  );
+
+  // Serialise the filtered and sorted rows, downloading them as a file by default.
+  // `rows` is 'all', 'selected' or 'page'.
+  const exportData = useCallback((format = 'csv', {
+    rows = 'all',
+    download = true,
+    fileName = exportFileName || toFileName(title)
+  } = {}) => {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format "${format}"`);
+    }
+
+    // Selected rows keep the table's sort order, even when filtered out of view
+    const items = rows === 'selected'
+      ? sortData(selectedItems, activeSort, columns, i18n)
+      : rows === 'page' ? pageData : sortedData;
+    const content = exportRows(items, exportColumns, format);
+
+    if (download) {
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      downloadFile(content, `${fileName}.${extension}`, mimeType);
+    }
+    return content;
+  }, [sortedData, pageData, selectedItems, activeSort, columns, exportColumns, exportFileName, title, i18n]);
+
+  // Apply a new column layout
+  const updateColumnState = useCallback((nextState) => {
+    if (columnState === undefined) {
+      setInternalColumnState(nextState);
+    }
+    onColumnStateChange && onColumnStateChange(nextState);
+  }, [columnState, onColumnStateChange]);
+
+  // State that `stateKey` and `syncWithUrl` keep; the page is kept unclamped so it survives loading
+  const tableState = useMemo(() => ({
+    search,
+    sort: activeSort,
+    ...(paginationMode ? { page: page ?? internalPage, pageSize: currentPageSize } : {}),
+    filters: currentFilters,
+    columns: currentColumnState
+  }), [search, activeSort, paginationMode, page, internalPage, currentPageSize, currentFilters, currentColumnState]);
+
+  // Defaults of the kept state, which the URL leaves out
+  const defaultTableStateRef = useRef(null);
+  defaultTableStateRef.current = {
+    search: '',
+    sort: defaultSort,
+    page: 1,
+    pageSize: defaultPageSize,
+    filters: defaultFilters,
+    columns: normalizeColumnState(defaultColumnState, Object.keys(columnsByKey))
+  };
+
+  useEffect(() => {
+    if (stateKey) saveTableState(stateKey, tableState);
+  }, [stateKey, tableState]);
+
+  // Write the state to the URL, adding a history entry for each change
+  const urlSyncedRef = useRef(false);
+  useEffect(() => {
+    if (!syncWithUrl || typeof window === 'undefined') return;
+    const { pathname, search: query, hash } = window.location;
+    const defaults = defaultTableStateRef.current;
+    const nextQuery = toTableStateParams(tableState, defaults, query, urlPrefix);
+    if (nextQuery !== query) {
+      const url = `${pathname}${nextQuery}${hash}`;
+      // The first write, and writes after back or forward, only tidy up a URL that describes the same state
+      const urlQuery = toTableStateParams(
+        { ...defaults, ...parseTableStateParams(query, urlPrefix) }, defaults, query, urlPrefix
+      );
+      if (urlSyncedRef.current && urlQuery !== nextQuery) {
+        window.history.pushState(window.history.state, '', url);
+      } else {
+        window.history.replaceState(window.history.state, '', url);
+      }
+    }
+    urlSyncedRef.current = true;
+  }, [syncWithUrl, urlPrefix, tableState]);
+
+  // Views: the one matching the current state, applying one, and changes to the saved ones
+  const activeView = useMemo(() => allViews.find(view => isSameViewState(tableState, {
+    ...defaultTableStateRef.current,
+    ...getViewState(view),
+    columns: normalizeColumnState(view.columns ?? defaultColumnState, Object.keys(columnsByKey))
+  })), [allViews, tableState, defaultColumnState, columnsByKey]);
+
+  const applyView = useCallback((view) => {
+    const state = { ...defaultTableStateRef.current, ...getViewState(view) };
+    setSearchInput(state.search);
+    setSearch(state.search);
+    updateSort(state.sort);
+    updateFilters(state.filters);
+    updateColumnState(normalizeColumnState(view.columns ?? defaultColumnState, Object.keys(columnsByKey)));
+  }, [updateSort, updateFilters, updateColumnState, defaultColumnState, columnsByKey]);
+
+  const updateViewData = useCallback((nextData) => {
+    setViewData(nextData);
+    saveViews(viewStorage, nextData);
+  }, [viewStorage]);
+
+  // Save the current state as a view, replacing a saved view of the same name
+  const handleSaveView = useCallback(() => {
+    const name = viewName.trim();
+    if (!name || !viewData) return;
+    const existing = viewData.views.find(view => view.name === name);
+    const view = existing
+      ? { ...createView(name, tableState), id: existing.id }
+      : createView(name, tableState);
+    updateViewData({
+      ...viewData,
+      views: existing
+        ? viewData.views.map(saved => (saved.id === existing.id ? view : saved))
+        : [...viewData.views, view]
+    });
+    setViewName('');
+  }, [viewName, viewData, tableState, updateViewData]);
+
+  const handleRenameView = useCallback(() => {
+    const name = renamingView && renamingView.name.trim();
+    if (name) {
+      updateViewData({
+        ...viewData,
+        views: viewData.views.map(view => (view.id === renamingView.id ? { ...view, name } : view))
+      });
+    }
+    setRenamingView(null);
+  }, [renamingView, viewData, updateViewData]);
+
+  const handleDeleteView = useCallback((id) => {
+    updateViewData({
+      views: viewData.views.filter(view => view.id !== id),
+      defaultViewId: viewData.defaultViewId === id ? null : viewData.defaultViewId
+    });
+  }, [viewData, updateViewData]);
+
+  const handleDefaultView = useCallback((id) => {
+    updateViewData({ ...viewData, defaultViewId: viewData.defaultViewId === id ? null : id });
+  }, [viewData, updateViewData]);
+
+  // Load views from an async storage, then open the default view unless state was restored
+  useEffect(() => {
+    if (viewData) return undefined;
+    let cancelled = false;
+    loadViews(viewStorage).then(loaded => {
+      if (cancelled) return;
+      setViewData(loaded);
+      const defaultView = [...views, ...loaded.views].find(view => view.id === loaded.defaultViewId);
+      if (defaultView && Object.keys(restoredState).length === 0) applyView(defaultView);
+    });
+    return () => {
+      cancelled = true;
+    };
+    // Runs once; later storage changes do not reload the views
+  }, []);
+
+  // Restore the state of an earlier history entry on back and forward
+  useEffect(() => {
+    if (!syncWithUrl || typeof window === 'undefined') return undefined;
+    const handlePopState = () => {
+      const restored = {
+        ...defaultTableStateRef.current,
+        ...parseTableStateParams(window.location.search, urlPrefix)
+      };
+      setSearchInput(restored.search);
+      setSearch(restored.search);
+      updateSort(restored.sort);
+      updateFilters(restored.filters);
+      updateColumnState(restored.columns);
+      if (paginationMode) {
+        // Both reset the page, so the restored page goes last
+        if (restored.pageSize !== currentPageSize) handlePageSizeChange(restored.pageSize);
+        handlePageChange(restored.page, restored.pageSize);
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [
+    syncWithUrl, urlPrefix, paginationMode, currentPageSize,
+    updateSort, updateFilters, updateColumnState, handlePageChange, handlePageSizeChange
+  ]);
+
+  // Drag a header onto another to move its column there
+  const handleColumnDragStart = (e, key) => {
+    setDraggedColumn(key);
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', key);
+    }
+  };
+
+  const handleColumnDragOver = (e) => {
+    if (draggedColumn !== null) {
+      e.preventDefault();
+    }
+  };
+
+  const handleColumnDrop = (e, key) => {
+    e.preventDefault();
+    if (draggedColumn !== null) {
+      updateColumnState(moveColumn(currentColumnState, draggedColumn, key));
+    }
+    setDraggedColumn(null);
+  };
+
+  // Drag a header's edge to resize its column; the width is saved when the drag ends
+  const handleResizeStart = (e, entry) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const header = e.currentTarget.closest('th');
+    const startX = e.clientX;
+    const startWidth = entry.width ?? (header ? header.getBoundingClientRect().width : 0);
+    const minWidth = entry.column?.minWidth ?? MIN_COLUMN_WIDTH;
+    // Widening follows the pointer away from the start side
+    const sign = direction === 'rtl' ? -1 : 1;
+    const widthAt = (clientX) => Math.max(minWidth, startWidth + sign * (clientX - startX));
+
+    setResizing({ key: entry.key, width: widthAt(startX), minWidth });
+
+    const handleMouseMove = (moveEvent) => {
+      setResizing({ key: entry.key, width: widthAt(moveEvent.clientX), minWidth });
+    };
+    const handleMouseUp = (upEvent) => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      setResizing(null);
+      updateColumnState(setColumnWidth(currentColumnState, entry.key, widthAt(upEvent.clientX), minWidth));
+    };
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  // Arrow keys on a resize handle change the width in 10px steps
+  const handleResizeKeyDown = (e, entry, width) => {
+    const step = { ArrowRight: 10, ArrowLeft: -10 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const minWidth = entry.column?.minWidth ?? MIN_COLUMN_WIDTH;
+    const sign = direction === 'rtl' ? -1 : 1;
+    updateColumnState(setColumnWidth(currentColumnState, entry.key, width + sign * step, minWidth));
+  };
+
+  // Position of the active grid cell; row 0 is the header row
+  const gridRowCount = pageData.length + 1;
+  const activeRowIndex = rowKeys.indexOf(activeCell.rowKey);
+  const activePosition = {
+    row: activeRowIndex >= 0 ? activeRowIndex + 1 : Math.min(activeCell.row, gridRowCount - 1),
+    col: Math.min(activeCell.col, columnCount - 1)
+  };
+
+  const focusActiveCell = () => {
+    tableRef.current?.querySelector('[data-col][tabindex="0"]')?.focus();
+  };
+
+  const focusFirstField = () => {
+    formRef.current?.querySelector('input, select, textarea')?.focus();
+  };
+
+  // Make a grid cell active and focus it once it has rendered
+  const moveToCell = (row, col) => {
+    setActiveCell({ rowKey: row === 0 ? null : rowKeys[row - 1], row, col });
+    if (virtualized && row > 0) {
+      virtualRows.scrollToIndex(row - 1);
+    }
+    focusCellPendingRef.current = true;
+  };
+
+  // Roving tabindex: only the active cell is in the Tab order
+  const getCellProps = (row, col, props = {}) => ({
+    ...props,
+    'data-row': row,
+    'data-col': col,
+    tabIndex: row === activePosition.row && col === activePosition.col ? 0 : -1
+  });
+
+  // Follow focus that enters the grid by mouse or Tab
+  const handleGridFocus = (e) => {
+    const cell = e.target.closest('[data-col]');
+    if (!cell) return;
+    focusedCellRef.current = cell;
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+    if (row !== activePosition.row || col !== activePosition.col) {
+      setActiveCell({ rowKey: row === 0 ? null : rowKeys[row - 1], row, col });
+    }
+  };
+
+  const handleGridBlur = (e) => {
+    if (!tableRef.current?.contains(e.relatedTarget)) {
+      focusedCellRef.current = null;
+    }
+  };
+
+  // Arrow keys move between cells; Enter edits, Delete deletes and Space selects the row
+  const handleGridKeyDown = (e) => {
+    const cell = e.target.closest('[data-col]');
+    if (!cell || isTextEntry(e.target)) return;
+    const row = Number(cell.dataset.row);
+    const col = Number(cell.dataset.col);
+
+    const next = getNextCell(e, { row, col }, { rows: gridRowCount, cols: columnCount }, direction);
+    if (next) {
+      e.preventDefault();
+      moveToCell(next.row, next.col);
+      return;
+    }
+
+    // Controls inside a cell handle their own Enter and Space
+    if (e.target !== cell) return;
+    const item = row > 0 ? pageData[row - 1] : null;
+    const rowPending = item && Boolean(pendingRows[getRowId(item)]);
+
+    if (e.key === 'Enter') {
+      const column = layoutColumns[col - columnOffset]?.column;
+      if (item && onEdit && !rowPending) {
+        e.preventDefault();
+        editFromGridRef.current = formFields.length > 0;
+        handleEdit(item);
+        focusFirstField();
+      } else if (!item && column && column.sortable) {
+        e.preventDefault();
+        handleSort(column.key, e.shiftKey);
+      }
+    } else if (e.key === 'Delete') {
+      if (item && onDelete && !rowPending) {
+        e.preventDefault();
+        handleDelete(item);
+      }
+    } else if (e.key === ' ' && selectable) {
+      e.preventDefault();
+      if (item) {
+        handleToggleRow(getRowId(item));
+      } else {
+        handleToggleAll();
+      }
+    }
+  };
+
+  // Focus the cell moved to by the keyboard, or the active cell when the focused row went away
+  useLayoutEffect(() => {
+    const focusedCell = focusedCellRef.current;
+    const focusLost = focusedCell && !focusedCell.isConnected
+      && (!document.activeElement || document.activeElement === document.body);
+    if (focusCellPendingRef.current || focusLost) {
+      focusCellPendingRef.current = false;
+      focusActiveCell();
+    }
+  });
+
+  // Return focus to the grid when an edit started there ends
+  useEffect(() => {
+    if (!editingItem && editFromGridRef.current) {
+      editFromGridRef.current = false;
+      focusActiveCell();
+    }
+  }, [editingItem]);
+
+  // Page shortcuts: focus the search box or the form, and cancel editing
+  const activeShortcuts = useMemo(() => resolveShortcuts(shortcuts), [shortcuts]);
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || confirmation) return;
+
+      if (matchesShortcut(e, activeShortcuts.cancel)) {
+        if (editingItem) {
+          e.preventDefault();
+          handleCancelEdit();
+        }
+        return;
+      }
+      if (isTextEntry(e.target)) return;
+
+      if (matchesShortcut(e, activeShortcuts.search) && searchInputRef.current && !searchInputRef.current.disabled) {
+        e.preventDefault();
+        searchInputRef.current.focus();
+      } else if (matchesShortcut(e, activeShortcuts.add) && formRef.current) {
+        e.preventDefault();
+        focusFirstField();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [activeShortcuts, confirmation, editingItem, handleCancelEdit]);
+
+  // Importing needs form fields to map to and a handler for the new items
+  const canImport = importable && formFields.length > 0 && Boolean(onImport || onAdd);
+
+  // Handle form submission
+  const handleFormSubmit = useCallback((e) => {
+    e.preventDefault();
+    editingItem ? handleSave() : handleAdd();
+  }, [editingItem, handleSave, handleAdd]);
+
+  // Put the columns back in their original order, sizes and pins
+  const resetColumnState = useCallback(() => {
+    updateColumnState(normalizeColumnState(defaultColumnState, Object.keys(columnsByKey)));
+  }, [updateColumnState, defaultColumnState, columnsByKey]);
+
+  // Prop getters
+
+  const getFormProps = (props = {}) => ({
+    ...props,
+    ref: formRef,
+    onSubmit: handleFormSubmit,
+    'aria-busy': submitting,
+    noValidate: true
+  });
+
+  // What a custom field renderer receives
+  const getFieldState = (field) => ({
+    field,
+    value: formState[field.key],
+    onChange: (nextValue) => handleFieldChange(field, nextValue),
+    onBlur: () => handleFieldBlur(field),
+    error: formErrors[field.key],
+    disabled: formDisabled,
+    validating: Boolean(validatingFields[field.key])
+  });
+
+  // Props of the native control of a field; radio buttons take `checked` from getFieldState
+  const getFieldProps = (field, props = {}) => {
+    const { value, onChange, onBlur, error, disabled } = getFieldState(field);
+    const controlProps = {
+      ...props,
+      id: ids.field(field.key),
+      disabled,
+      onBlur,
+      onChange: (e) => onChange(fromInputEvent(field, e)),
+      'aria-describedby': error ? `${ids.field(field.key)}-error` : undefined,
+      'aria-invalid': error ? true : undefined
+    };
+
+    if (field.type === 'checkbox' || field.type === 'switch') {
+      return { ...controlProps, type: 'checkbox', checked: Boolean(value) };
+    }
+    // File inputs cannot be controlled
+    if (field.type === 'file') return controlProps;
+    return { ...controlProps, value: toInputValue(field, value) };
+  };
+
+  const getSearchInputProps = (props = {}) => ({
+    ...props,
+    ref: searchInputRef,
+    type: 'text',
+    value: searchInput,
+    onChange: (e) => handleSearchChange(e.target.value),
+    disabled: loading,
+    'aria-label': t('searchLabel'),
+    'aria-keyshortcuts': activeShortcuts.search || undefined,
+    'aria-invalid': searchQuery.error ? true : undefined,
+    'aria-describedby': searchQuery.error ? ids.searchHint : undefined
+  });
+
+  const getTableProps = (props = {}) => ({
+    ...props,
+    ref: tableRef,
+    role: 'grid',
+    'aria-rowcount': virtualized ? pageData.length + 1 : undefined,
+    'aria-colcount': columnCount,
+    onKeyDown: handleGridKeyDown,
+    onFocus: handleGridFocus,
+    onBlur: handleGridBlur
+  });
+
+  const getSortButtonProps = (column, props = {}) => ({
+    ...props,
+    type: 'button',
+    onClick: (e) => handleSort(column.key, e.shiftKey),
+    title: t('sortHint')
+  });
+
+  const getEditButtonProps = (item, props = {}) => ({
+    ...props,
+    type: 'button',
+    onClick: () => handleEdit(item),
+    disabled: Boolean(pendingRows[getRowId(item)]),
+    'aria-label': t('editLabel', { name: getItemName(item) })
+  });
+
+  const getDeleteButtonProps = (item, props = {}) => ({
+    ...props,
+    type: 'button',
+    onClick: () => handleDelete(item),
+    disabled: Boolean(pendingRows[getRowId(item)]),
+    'aria-label': t('deleteLabel', { name: getItemName(item) })
+  });
+
+  const getSelectAllProps = (props = {}) => ({
+    ...props,
+    type: 'checkbox',
+    checked: allFilteredSelected,
+    ref: (el) => {
+      if (el) el.indeterminate = someFilteredSelected && !allFilteredSelected;
+    },
+    onChange: handleToggleAll,
+    'aria-label': t('selectAll')
+  });
+
+  const getSelectRowProps = (item, props = {}) => ({
+    ...props,
+    type: 'checkbox',
+    checked: selectionSet.has(getRowId(item)),
+    onChange: () => handleToggleRow(getRowId(item)),
+    'aria-label': t('selectRow', { name: getItemName(item) })
+  });
+
+  // Props of ConfirmDialog while a confirmation is open, otherwise null
+  const getConfirmDialogProps = (props = {}) => (confirmation ? {
+    ...props,
+    title: t('confirmDeleteTitle'),
+    message: confirmation.message,
+    confirmText: confirmation.confirmText,
+    onConfirm: () => closeConfirmation(true),
+    onCancel: () => closeConfirmation(false),
+    i18n
+  } : null);
+
+  return {
+    // Locale
+    i18n,
+    t,
+    direction,
+
+    // Data and handlers, from the props or the data source
+    title,
+    data,
+    getRowId,
+    getItemName,
+    ids,
+    loading,
+    error,
+    actionError,
+    onAdd,
+    onEdit,
+    onDelete,
+    onRefresh,
+    renderActions,
+
+    // Form
+    columns,
+    formFields,
+    formState,
+    formErrors,
+    validatingFields,
+    editingItem,
+    submitting,
+    formDisabled,
+    validate,
+    handleFieldChange,
+    handleFieldBlur,
+    handleAdd,
+    handleEdit,
+    handleSave,
+    handleCancelEdit,
+    handleFormSubmit,
+
+    // Search and filters
+    searchInput,
+    search,
+    searchQuery,
+    highlightPatterns,
+    handleSearchChange,
+    filterableColumns,
+    currentFilters,
+    activeFilters,
+    handleFilterChange,
+    updateFilters,
+
+    // Rows
+    filteredData,
+    sortedData,
+    pageData,
+    visibleRows,
+    activeSort,
+    handleSort,
+    updateSort,
+    pendingRows,
+    rowErrors,
+
+    // Pagination
+    paginationMode,
+    currentPage,
+    currentPageSize,
+    pageCount,
+    totalItems,
+    handlePageChange,
+    handlePageSizeChange,
+
+    // Virtualized rows
+    virtualized,
+    virtualRows,
+    rowHeight,
+    tableHeight,
+
+    // Selection
+    selectable,
+    selection,
+    selectionSet,
+    selectedItems,
+    allFilteredSelected,
+    someFilteredSelected,
+    updateSelection,
+    handleToggleRow,
+    handleToggleAll,
+    bulkPending,
+    onBulkDelete,
+    handleBulkDelete,
+    handleBulkAction,
+
+    // Deleting, confirmation and undo
+    handleDelete,
+    confirmation,
+    requestConfirmation,
+    closeConfirmation,
+    undoToasts,
+    handleUndo,
+
+    // Columns
+    manageColumns,
+    columnsByKey,
+    currentColumnState,
+    columnLayout,
+    layoutColumns,
+    columnOffset,
+    columnCount,
+    updateColumnState,
+    resetColumnState,
+    draggedColumn,
+    setDraggedColumn,
+    handleColumnDragStart,
+    handleColumnDragOver,
+    handleColumnDrop,
+    handleResizeStart,
+    handleResizeKeyDown,
+
+    // Saved views
+    viewsEnabled,
+    savedViews,
+    allViews,
+    viewData,
+    defaultViewId,
+    activeView,
+    applyView,
+    viewName,
+    setViewName,
+    handleSaveView,
+    renamingView,
+    setRenamingView,
+    handleRenameView,
+    handleDeleteView,
+    handleDefaultView,
+
+    // Export and import
+    exportable,
+    exportFormats,
+    exportFormat,
+    setExportFormat,
+    exportScope,
+    setExportScope,
+    exportData,
+    canImport,
+    onImport,
+
+    // Toolbar panels
+    showFilters,
+    setShowFilters,
+    showExport,
+    setShowExport,
+    showColumns,
+    setShowColumns,
+    showViews,
+    setShowViews,
+    showImport,
+    setShowImport,
+
+    // Prop getters
+    getFormProps,
+    getFieldState,
+    getFieldProps,
+    getSearchInputProps,
+    getTableProps,
+    getCellProps,
+    getSortButtonProps,
+    getEditButtonProps,
+    getDeleteButtonProps,
+    getSelectAllProps,
+    getSelectRowProps,
+    getConfirmDialogProps
+  };
+}
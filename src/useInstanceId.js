@@ -0,0 +1,21 @@
+/**
+ * useInstanceId
+ *
+ * An id that stays the same for the lifetime of a component and differs
+ * between instances, for linking elements through `id`, `aria-controls`
+ * and `aria-describedby`. Works on every React version with hooks, unlike
+ * React 18's useId.
+ */
+
+import { useRef } from 'react';
+
+let lastId = 0;
+
+export default function useInstanceId(prefix) {
+  const idRef = useRef(null);
+  if (idRef.current === null) {
+    lastId += 1;
+    idRef.current = `${prefix}-${lastId}`;
+  }
+  return idRef.current;
+}
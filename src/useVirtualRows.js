@@ -0,0 +1,146 @@
+/**
+ * useVirtualRows
+ *
+ * Windowing for long tables: works out which rows of a scroll container
+ * are visible, so that only those (plus a few `overscan` rows on either
+ * side) are rendered. The space of the rows that are not rendered is kept
+ * with top and bottom padding.
+ *
+ * Rows have either a fixed `rowHeight`, or an `estimatedRowHeight` that is
+ * replaced by each row's measured height once it has been rendered. Pass
+ * `measureRow(key)` as the ref of each rendered row to measure it.
+ * `scrollToIndex(index)` scrolls a row into view, e.g. for keyboard focus.
+ */
+
+import { useState, useRef, useMemo, useCallback, useLayoutEffect } from 'react';
+
+// Index of the last offset that is <= position (offsets are ascending)
+const findIndex = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+};
+
+export default function useVirtualRows({
+  keys,                   // Keys of all rows, in display order
+  enabled = true,         // Whether to window the rows at all
+  rowHeight,              // Fixed row height in px; rows are not measured when set
+  estimatedRowHeight = 49, // Height in px assumed for rows that have not been measured
+  height = 600,           // Height of the scroll container in px, until it can be measured
+  overscan = 5            // Rows rendered beyond each edge of the visible area
+}) {
+  const containerRef = useRef(null);
+  const rowElementsRef = useRef(new Map());
+  const measuredRef = useRef(new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(height);
+  const [measureVersion, setMeasureVersion] = useState(0);
+
+  // Top offset of every row, plus the total height as the last entry
+  const offsets = useMemo(() => {
+    if (!enabled || rowHeight) return null;
+    const result = new Array(keys.length + 1);
+    result[0] = 0;
+    keys.forEach((key, index) => {
+      result[index + 1] = result[index] + (measuredRef.current.get(key) ?? estimatedRowHeight);
+    });
+    return result;
+    // measureVersion changes whenever a measured height changes
+  }, [enabled, keys, rowHeight, estimatedRowHeight, measureVersion]);
+
+  const count = keys.length;
+  const totalHeight = rowHeight ? count * rowHeight : (offsets ? offsets[count] : 0);
+
+  let start = 0;
+  let end = count;
+  if (enabled && count > 0) {
+    const firstVisible = rowHeight
+      ? Math.floor(scrollTop / rowHeight)
+      : findIndex(offsets, scrollTop);
+    const lastVisible = rowHeight
+      ? Math.floor((scrollTop + viewportHeight) / rowHeight)
+      : findIndex(offsets, scrollTop + viewportHeight);
+    start = Math.max(0, Math.min(firstVisible, count - 1) - overscan);
+    end = Math.min(count, lastVisible + 1 + overscan);
+  }
+
+  const offsetOf = (index) => (rowHeight ? index * rowHeight : offsets[index]);
+  const paddingTop = enabled && count > 0 ? offsetOf(start) : 0;
+  const paddingBottom = enabled && count > 0 ? totalHeight - offsetOf(end) : 0;
+
+  // Track the scroll position of the container
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  // Scroll the container just far enough to show the row at `index`
+  const scrollToIndex = (index) => {
+    const container = containerRef.current;
+    if (!enabled || !container || index < 0 || index >= count) return;
+
+    const top = offsetOf(index);
+    const bottom = offsetOf(index + 1);
+    let next = scrollTop;
+    if (top < scrollTop) {
+      next = top;
+    } else if (bottom > scrollTop + viewportHeight) {
+      next = bottom - viewportHeight;
+    }
+    if (next !== scrollTop) {
+      container.scrollTop = next;
+      setScrollTop(next);
+    }
+  };
+
+  // Ref callback that registers a rendered row for measuring
+  const measureRow = useCallback((key) => (element) => {
+    if (element) {
+      rowElementsRef.current.set(key, element);
+    } else {
+      rowElementsRef.current.delete(key);
+    }
+  }, []);
+
+  // Measure the container and the rendered rows after every render
+  useLayoutEffect(() => {
+    if (!enabled) return;
+
+    const container = containerRef.current;
+    if (container && container.clientHeight > 0 && container.clientHeight !== viewportHeight) {
+      setViewportHeight(container.clientHeight);
+    }
+
+    if (rowHeight) return;
+
+    let changed = false;
+    rowElementsRef.current.forEach((element, key) => {
+      const measured = element.getBoundingClientRect().height;
+      if (measured > 0 && measuredRef.current.get(key) !== measured) {
+        measuredRef.current.set(key, measured);
+        changed = true;
+      }
+    });
+    if (changed) {
+      setMeasureVersion(version => version + 1);
+    }
+  });
+
+  return {
+    containerRef,
+    onScroll,
+    measureRow,
+    scrollToIndex,
+    start,
+    end,
+    paddingTop,
+    paddingBottom
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Form validation helpers for GenericCrudPage
+ *
+ * A field's `validation(value, values)` returns true (or nothing) when the
+ * value is valid, and an error message otherwise. It may also return a
+ * promise, for checks that need the server.
+ *
+ * The form-level `validate(values)` returns an object of error messages
+ * keyed by field, or a promise of one, for rules that span several fields.
+ *
+ * Validation results are returned synchronously whenever every validator is
+ * synchronous, so that errors show without waiting for a re-render. Built-in
+ * messages come from the optional `i18n` argument (see i18n.js).
+ */
+
+import { isEmptyValue, checkRange } from './fieldValues.js';
+import { defaultI18n } from './i18n.js';
+
+// Whether a value is a promise or promise-like
+export const isThenable = (value) => value != null && typeof value.then === 'function';
+
+// Turn a validator result into an error message, or null when valid
+const toErrorMessage = (result, field, i18n) => {
+  if (result === true || result == null || result === '') return null;
+  if (result === false) return i18n.t('invalid', { label: field.label });
+  return String(result);
+};
+
+// Keep only the entries of an error object that hold a message
+const compactErrors = (errors) => {
+  const result = {};
+  Object.entries(errors || {}).forEach(([key, message]) => {
+    if (message) result[key] = message;
+  });
+  return result;
+};
+
+/**
+ * Validate a single field value: `required`, the `min`/`max` range and the
+ * field's own `validation`. Returns an error message or null, or a promise
+ * of one for async validators.
+ */
+export const validateFieldValue = (field, value, values = {}, i18n = defaultI18n) => {
+  if (field.required && isEmptyValue(value)) {
+    return i18n.t('required', { label: field.label });
+  }
+
+  const rangeError = checkRange(field, value, i18n);
+  if (rangeError) {
+    return rangeError;
+  }
+
+  if (!field.validation) return null;
+
+  const result = field.validation(value, values);
+  if (isThenable(result)) {
+    return Promise.resolve(result).then(
+      resolved => toErrorMessage(resolved, field, i18n),
+      err => (err && err.message) || i18n.t('validationFailed', { label: field.label })
+    );
+  }
+  return toErrorMessage(result, field, i18n);
+};
+
+/**
+ * Validate one field, then the form-level `validate` rule for that field
+ * when the field itself is valid. Used for validation on blur and change.
+ */
+export const validateSingleField = (field, values, validate, i18n = defaultI18n) => {
+  const fromForm = () => {
+    if (!validate) return null;
+    const result = validate(values);
+    return isThenable(result)
+      ? Promise.resolve(result).then(errors => errors?.[field.key] || null)
+      : result?.[field.key] || null;
+  };
+
+  const fieldResult = validateFieldValue(field, values[field.key], values, i18n);
+  if (isThenable(fieldResult)) {
+    return fieldResult.then(message => message || fromForm());
+  }
+  return fieldResult || fromForm();
+};
+
+/**
+ * Validate every field and the form-level `validate` rule. Returns an
+ * object of error messages keyed by field, or a promise of one. Field
+ * errors take precedence over form-level errors for the same key.
+ */
+export const validateValues = (formFields, values, validate, i18n = defaultI18n) => {
+  const fieldResults = formFields.map(field => [
+    field.key,
+    validateFieldValue(field, values[field.key], values, i18n)
+  ]);
+  const formResult = validate ? validate(values) : null;
+
+  const combine = (results, formErrors) => ({
+    ...compactErrors(formErrors),
+    ...compactErrors(Object.fromEntries(results))
+  });
+
+  if (isThenable(formResult) || fieldResults.some(([, result]) => isThenable(result))) {
+    return Promise.all([
+      Promise.all(fieldResults.map(([key, result]) => Promise.resolve(result).then(message => [key, message]))),
+      formResult
+    ]).then(([results, formErrors]) => combine(results, formErrors));
+  }
+
+  return combine(fieldResults, formResult);
+};
+
+/**
+ * Read server-side field errors from a rejected add or save. Handlers can
+ * reject with `{ fieldErrors }`, or with an error whose response body holds
+ * `fieldErrors` (as thrown by the REST adapter). Returns null when there are none.
+ */
+export const getFieldErrors = (err) => {
+  const fieldErrors = err?.fieldErrors || err?.body?.fieldErrors;
+  if (!fieldErrors || typeof fieldErrors !== 'object') return null;
+
+  const errors = {};
+  Object.entries(fieldErrors).forEach(([key, message]) => {
+    // Accept a list of messages per field, as many APIs return
+    const text = Array.isArray(message) ? message.filter(Boolean).join(' ') : message;
+    if (text) errors[key] = String(text);
+  });
+  return Object.keys(errors).length > 0 ? errors : null;
+};
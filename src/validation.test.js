@@ -0,0 +1,50 @@
+import { validateFieldValue, validateValues, getFieldErrors } from './validation.js';
+
+describe('validation helpers', () => {
+  const name = { key: 'name', label: 'Name', required: true };
+  const age = { key: 'age', label: 'Age', type: 'number', min: 0 };
+
+  test('validates single values', () => {
+    expect(validateFieldValue(name, '')).toBe('Name is required');
+    expect(validateFieldValue(age, -1)).toBe('Age must be at least 0');
+    expect(validateFieldValue({ ...name, validation: () => false }, 'x')).toBe('Name is invalid');
+    expect(validateFieldValue({ ...name, validation: () => undefined }, 'x')).toBeNull();
+  });
+
+  test('passes all values to validators', () => {
+    const confirm = {
+      key: 'confirm',
+      label: 'Confirm',
+      validation: (value, values) => value === values.password || 'Passwords do not match'
+    };
+    expect(validateFieldValue(confirm, 'a', { password: 'b' })).toBe('Passwords do not match');
+  });
+
+  test('returns errors synchronously when every validator is synchronous', () => {
+    const validate = (values) => ({ age: values.age > 120 ? 'Age looks wrong' : null });
+    expect(validateValues([name, age], { name: '', age: 130 }, validate)).toEqual({
+      name: 'Name is required',
+      age: 'Age looks wrong'
+    });
+  });
+
+  test('returns a promise when a validator is async', async () => {
+    const email = { key: 'email', label: 'Email', validation: async () => 'Email is taken' };
+    const failing = { key: 'code', label: 'Code', validation: () => Promise.reject(new Error('Network down')) };
+    const result = validateValues([name, email, failing], { name: 'Ann', email: 'a@b.c', code: 'x' });
+
+    expect(result).toBeInstanceOf(Promise);
+    await expect(result).resolves.toEqual({ email: 'Email is taken', code: 'Network down' });
+  });
+
+  test('prefers field errors over form-level errors', () => {
+    expect(validateValues([name], { name: '' }, () => ({ name: 'Other' }))).toEqual({ name: 'Name is required' });
+  });
+
+  test('reads server field errors', () => {
+    expect(getFieldErrors({ fieldErrors: { email: ['Taken', 'Too long'] } })).toEqual({ email: 'Taken Too long' });
+    expect(getFieldErrors({ body: { fieldErrors: { name: 'Required' } } })).toEqual({ name: 'Required' });
+    expect(getFieldErrors(new Error('Boom'))).toBeNull();
+    expect(getFieldErrors({ fieldErrors: {} })).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Saved views for GenericCrudPage
+ *
+ * A view is a named combination of table state:
+ *
+ *   { id: 'inactive-admins', name: 'Inactive admins',
+ *     search: '', filters: { role: 'admin', active: false },
+ *     sort: [{ key: 'name', direction: 'asc' }], columns: { order, hidden, ... } }
+ *
+ * Parts a view leaves out mean the table's defaults. The views a user saves
+ * are kept through a storage object with two methods, which may return
+ * promises:
+ * - load()                        -> { views, defaultViewId }
+ * - save({ views, defaultViewId }) -> void
+ */
+
+import { sanitizeTableState } from './tableState.js';
+import { isThenable } from './validation.js';
+
+export const VIEW_STATE_PARTS = ['search', 'filters', 'sort', 'columns'];
+
+export const EMPTY_VIEW_DATA = { views: [], defaultViewId: null };
+
+// The table state parts a view sets
+export const getViewState = (view) => {
+  const state = sanitizeTableState(view);
+  return Object.fromEntries(VIEW_STATE_PARTS.filter(part => part in state).map(part => [part, state[part]]));
+};
+
+// Keep the well-formed views of loaded data
+export const normalizeViewData = (data) => {
+  if (!data || typeof data !== 'object') return EMPTY_VIEW_DATA;
+  const views = (Array.isArray(data.views) ? data.views : [])
+    .filter(view => view && typeof view.id === 'string' && typeof view.name === 'string')
+    .map(view => ({ id: view.id, name: view.name, ...getViewState(view) }));
+  const defaultViewId = typeof data.defaultViewId === 'string' ? data.defaultViewId : null;
+  return { views, defaultViewId };
+};
+
+// Create a view holding the given table state
+export const createView = (name, state) => ({
+  id: `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  ...getViewState(state)
+});
+
+// JSON with object keys sorted, so that equal states compare equal
+const stableStringify = (value) => JSON.stringify(value, (key, val) => (
+  val && typeof val === 'object' && !Array.isArray(val)
+    ? Object.fromEntries(Object.keys(val).sort().map(name => [name, val[name]]))
+    : val
+));
+
+// Whether two table states agree on every part a view sets
+export const isSameViewState = (a, b) =>
+  VIEW_STATE_PARTS.every(part => stableStringify(a[part]) === stableStringify(b[part]));
+
+/**
+ * Load views from a storage, synchronously when its load() is synchronous.
+ * A storage that fails to load behaves as empty.
+ */
+export const loadViews = (storage) => {
+  try {
+    const result = storage.load();
+    return isThenable(result)
+      ? Promise.resolve(result).then(normalizeViewData, () => EMPTY_VIEW_DATA)
+      : normalizeViewData(result);
+  } catch (err) {
+    return EMPTY_VIEW_DATA;
+  }
+};
+
+export const saveViews = (storage, data) => {
+  try {
+    const result = storage.save(data);
+    if (isThenable(result)) result.catch(() => {});
+  } catch (err) {
+    // The views stay usable for this session when they cannot be saved
+  }
+};
+
+/**
+ * Create a view storage that keeps views in localStorage under `key`.
+ */
+export function createLocalViewStorage(key, storage = globalThis.localStorage) {
+  return {
+    load: () => {
+      const text = storage ? storage.getItem(key) : null;
+      return text ? JSON.parse(text) : EMPTY_VIEW_DATA;
+    },
+
+    save: (data) => {
+      if (storage) storage.setItem(key, JSON.stringify(data));
+    }
+  };
+}
@@ -0,0 +1,75 @@
+import {
+  EMPTY_VIEW_DATA,
+  getViewState,
+  normalizeViewData,
+  createView,
+  isSameViewState,
+  loadViews,
+  saveViews,
+  createLocalViewStorage
+} from './views.js';
+
+describe('saved view helpers', () => {
+  const state = {
+    search: 'smith',
+    sort: [{ key: 'name', direction: 'asc' }],
+    page: 3,
+    filters: { role: 'admin', active: false },
+    columns: { order: ['name'], hidden: [], widths: {}, pinned: {} }
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('creates views from the state parts they keep', () => {
+    const view = createView('  Admins ', state);
+
+    expect(view.id).toMatch(/^view-/);
+    expect(createView('Admins', state).id).not.toBe(view.id);
+    expect(view).toEqual({
+      id: view.id,
+      name: 'Admins',
+      search: 'smith',
+      sort: state.sort,
+      filters: state.filters,
+      columns: state.columns
+    });
+    expect(getViewState({ id: 'a', name: 'A', filters: { role: 'admin' }, sort: 'name' })).toEqual({ filters: { role: 'admin' } });
+  });
+
+  test('compares states regardless of key order', () => {
+    expect(isSameViewState(state, { ...state, page: 1, filters: { active: false, role: 'admin' } })).toBe(true);
+    expect(isSameViewState(state, { ...state, search: '' })).toBe(false);
+  });
+
+  test('keeps the well-formed views of loaded data', () => {
+    expect(normalizeViewData({
+      views: [{ id: 'a', name: 'A', search: 'x', extra: true }, { name: 'No id' }, null],
+      defaultViewId: 'a'
+    })).toEqual({ views: [{ id: 'a', name: 'A', search: 'x' }], defaultViewId: 'a' });
+    expect(normalizeViewData('views')).toBe(EMPTY_VIEW_DATA);
+  });
+
+  test('stores views in localStorage', () => {
+    const storage = createLocalViewStorage('people:views');
+    const data = { views: [{ id: 'a', name: 'A', search: 'x' }], defaultViewId: 'a' };
+
+    expect(loadViews(storage)).toEqual(EMPTY_VIEW_DATA);
+    saveViews(storage, data);
+    expect(JSON.parse(localStorage.getItem('people:views'))).toEqual(data);
+    expect(loadViews(storage)).toEqual(data);
+
+    localStorage.setItem('people:views', '{');
+    expect(loadViews(storage)).toEqual(EMPTY_VIEW_DATA);
+  });
+
+  test('loads views from async storages and ignores failures', async () => {
+    const data = { views: [{ id: 'a', name: 'A' }], defaultViewId: null };
+
+    await expect(loadViews({ load: () => Promise.resolve(data) })).resolves.toEqual(data);
+    await expect(loadViews({ load: () => Promise.reject(new Error('offline')) })).resolves.toEqual(EMPTY_VIEW_DATA);
+    expect(() => saveViews({ save: () => { throw new Error('quota'); } }, data)).not.toThrow();
+    expect(() => saveViews({ save: () => Promise.reject(new Error('offline')) }, data)).not.toThrow();
+  });
+});